@@ -1,8 +1,8 @@
-import { emitter, emit, on, emits, EventEmitter } from "./src/decorators.js";
+import { emitter, emit, on, emits, event, bubble, batch, EventEmitter } from "./src/decorators.js";
 
 export default emitter;
 
-export { emitter, emit, on, emits, EventEmitter };
+export { emitter, emit, on, emits, event, bubble, batch, EventEmitter };
 
 export {
 	emitter as Emitter,
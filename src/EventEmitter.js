@@ -1,4 +1,14 @@
 import { EventEmitter as NodeEventEmitter } from "events";
+import { Subscription } from "./Subscription.js";
+import { validateEvent, validatesEvents, markValidated, getEventSchema } from "./schema.js";
+import { forward as forwardEvents } from "./forward.js";
+import { hasTiming, timed } from "./timing.js";
+import { weakListener } from "./weak.js";
+import { batch as batchEvents, queueEmit } from "./batch.js";
+import { emitLater as deferEmit, flushDeferred as flushDeferredEmits, cancelDeferred as cancelDeferredEmits, checkScheduler } from "./schedule.js";
+import { traceEmit } from "./tracing.js";
+import { bridge as bridgeEvents } from "./bridge.js";
+import { checkEmitter } from "./shared.js";
 
 /**
  * Registry of all instances of classes that have event emitter functionality
@@ -10,6 +20,367 @@ const _emitterRegistry = new WeakSet();
  * @typedef {new (...args: any[]) => any} class
  */
 
+/**
+ * The middleware added to each class with the static `use()` method.
+ *
+ * @type {WeakMap<Function, Middleware[]>}
+ */
+const _classMiddleware = new WeakMap();
+
+/**
+ * The class middleware of each class and its base classes, in the order it runs, built on the first emit.
+ * Replaced whenever class middleware is added or removed, and `null` until a class first adds middleware.
+ *
+ * @type {WeakMap<Function, Middleware[]>|null}
+ */
+let _middlewareChains = null;
+
+/**
+ * Returns the class middleware that instances of a class run, starting with the middleware of the base class.
+ *
+ * @param {Function} Class - The class of the emitter.
+ * @returns {Middleware[]} The class middleware.
+ */
+function classMiddleware(Class) {
+	if (!_middlewareChains) return [];
+
+	let chain = _middlewareChains.get(Class);
+
+	if (!chain) {
+		chain = [];
+
+		for (let Base = Class; Base; Base = Object.getPrototypeOf(Base)) {
+			if (_classMiddleware.has(Base)) chain.unshift(..._classMiddleware.get(Base));
+		}
+
+		_middlewareChains.set(Class, chain);
+	}
+
+	return chain;
+}
+
+/**
+ * @callback Middleware
+ * @param {string|symbol} type - The event type being emitted.
+ * @param {any[]} args - The arguments the event is being emitted with.
+ * @param {(type?: string|symbol, args?: any[]) => any} next - Passes the event on to the next middleware, or to the listeners
+ * after the last one, optionally with a different type or arguments, and returns what they return.
+ * @returns {any} The value `emit()` returns. Middleware that passes the event on should return the value returned by `next()`.
+ */
+
+/**
+ * @param {Middleware[]} middleware - The list to add the middleware to.
+ * @param {Middleware} fn - The middleware to add.
+ * @param {() => void} [changed] - Called after the middleware is added and after it is removed.
+ * @returns {Subscription} A subscription that removes the middleware.
+ */
+function addMiddleware(middleware, fn, changed) {
+	if (typeof fn !== "function") {
+		throw new TypeError(`The "middleware" argument must be of type Function. Received type ${typeof fn}`);
+	}
+
+	middleware.push(fn);
+	changed?.();
+
+	return new Subscription(() => {
+		const index = middleware.indexOf(fn);
+		if (index === -1) return;
+
+		middleware.splice(index, 1);
+		changed?.();
+	}, { listener: fn });
+}
+
+/**
+ * Finds where a value belongs in a sorted list with a binary search.
+ *
+ * @param {number} length - The length of the list.
+ * @param {(index: number) => boolean} before - Returns `true` if the item at the index goes before the value.
+ * @returns {number} The index of the first item that does not go before the value.
+ */
+function bisect(length, before) {
+	let low = 0;
+	let high = length;
+
+	while (low < high) {
+		const middle = (low + high) >>> 1;
+
+		if (before(middle)) low = middle + 1;
+		else high = middle;
+	}
+
+	return low;
+}
+
+/**
+ * The maximum number of event types whose matching patterns are cached before the cache is reset.
+ */
+const MATCH_CACHE_LIMIT = 1000;
+
+/**
+ * Tests whether the segments of an event type match the segments of a wildcard pattern.
+ * A `*` segment matches exactly one segment, a `**` segment matches any number of segments, including none.
+ *
+ * @param {string[]} pattern - The segments of the pattern.
+ * @param {string[]} segments - The segments of the event type.
+ * @param {number} [p=0] - The index of the pattern segment to match from.
+ * @param {number} [s=0] - The index of the event type segment to match from.
+ * @returns {boolean} `true` if the event type matches the pattern.
+ */
+function matchSegments(pattern, segments, p = 0, s = 0) {
+	for (; p < pattern.length; p++, s++) {
+		if (pattern[p] === "**") {
+			if (p === pattern.length - 1) return true;
+
+			for (let i = s; i <= segments.length; i++) {
+				if (matchSegments(pattern, segments, p + 1, i)) return true;
+			}
+
+			return false;
+		}
+
+		if (s >= segments.length) return false;
+		if (pattern[p] !== "*" && pattern[p] !== segments[s]) return false;
+	}
+
+	return s === segments.length;
+}
+
+/**
+ * Adds a listener to any object that can register listeners, using the Node.js style methods
+ * if available, or `addEventListener()` otherwise.
+ *
+ * @param {object} emitter - The object to add the listener to.
+ * @param {string|symbol} type - The event type to listen for.
+ * @param {Function} listener - The listener to add.
+ * @param {boolean} [once=false] - Whether the listener should only be called once.
+ * @returns {() => void} A function that removes the listener.
+ */
+function listen(emitter, type, listener, once = false) {
+	const register = once && emitter.once ? emitter.once : emitter.on ?? emitter.addListener;
+
+	if (register) {
+		register.call(emitter, type, listener);
+		return () => (emitter.off ?? emitter.removeListener)?.call(emitter, type, listener);
+	}
+
+	emitter.addEventListener(type, listener, { once });
+	return () => emitter.removeEventListener(type, listener);
+}
+
+/**
+ * Creates the function that removes a weak listener from an emitter once it has been garbage collected.
+ * The emitter is only held weakly, so that listeners that are never collected do not keep it alive.
+ *
+ * @param {object} emitter - The emitter the listener was added to.
+ * @param {string|symbol} type - The event type the listener was added to.
+ * @returns {(wrapper: Function) => void} A function that removes the wrapper of the weak listener.
+ */
+function removeCollected(emitter, type) {
+	const ref = new WeakRef(emitter);
+	return wrapper => ref.deref()?.removeListener(type, wrapper);
+}
+
+/**
+ * The modules whose stack frames are left out of registration stacks, since they only show how a listener was added.
+ * They are matched by file name, so that frames are still recognized when they are mapped to the sources by source maps.
+ */
+const INTERNAL_MODULES = [import.meta.url, new URL("./decorators.js", import.meta.url).href].map(url => `/${url.split("/").pop()}:`);
+
+/**
+ * The number of stack frames captured for each listener with `captureStacks`, including those left out.
+ */
+const STACK_FRAME_LIMIT = 30;
+
+/**
+ * @typedef {Object} Registration
+ * @property {string} site - Where the listener was added, from the first stack frame outside this library.
+ * @property {string} stack - The stack frames from where the listener was added, one per line.
+ */
+
+/**
+ * Captures where a listener is being added, leaving out the frames of this library.
+ *
+ * @returns {Registration} The registration site and stack.
+ */
+function captureRegistration() {
+	const { stackTraceLimit } = Error;
+	let stack;
+
+	try {
+		Error.stackTraceLimit = STACK_FRAME_LIMIT;
+		stack = new Error().stack ?? "";
+	} finally {
+		Error.stackTraceLimit = stackTraceLimit;
+	}
+
+	const frames = stack.split("\n")
+		.slice(1)
+		.map(frame => frame.trim())
+		.filter(frame => frame && !INTERNAL_MODULES.some(module => frame.includes(module)));
+
+	return { site: frames[0]?.replace(/^at /, "") ?? "unknown", stack: frames.join("\n") };
+}
+
+/**
+ * @param {number} max - The maximum number of listeners to check.
+ * @returns {number} The maximum number of listeners.
+ */
+function checkMaxListeners(max) {
+	if (typeof max !== "number" || !(max >= 0)) {
+		throw new RangeError(`The "maxListeners" must be a non-negative number. Received ${String(max)}`);
+	}
+
+	return max;
+}
+
+/**
+ * @param {AbortSignal} signal - The signal that was aborted.
+ * @returns {Error} An error with the name `AbortError` whose cause is the reason the signal was aborted.
+ */
+function abortError(signal) {
+	const error = new Error("The operation was aborted", { cause: signal.reason });
+
+	error.name = "AbortError";
+	error.code = "ABORT_ERR";
+
+	return error;
+}
+
+/**
+ * The policies that decide what happens when a listener throws. See {@linkcode EventEmitter.errorPolicy}.
+ */
+const ERROR_POLICIES = ["stop", "continue", "isolate"];
+
+/**
+ * @param {string|symbol} type - The event type whose listeners threw.
+ * @param {any[]} errors - The errors the listeners threw.
+ * @returns {AggregateError} An error collecting the errors thrown while emitting the event.
+ */
+function listenerErrors(type, errors) {
+	const error = new AggregateError(errors, `${errors.length} '${String(type)}' listener(s) threw an error.`);
+
+	error.type = type;
+
+	return error;
+}
+
+/**
+ * Creates an Event to deliver to listeners added with `addEventListener()` when an event is emitted with `emit()`.
+ * Events emitted without arguments become an `Event`, otherwise a `CustomEvent` whose `detail` is
+ * the only argument, or an array of the arguments if there are several.
+ *
+ * @param {string|symbol} type - The event type that was emitted.
+ * @param {any[]} args - The arguments the event was emitted with.
+ * @param {EventInit} [init] - Additional options for the event, such as `cancelable`.
+ * @returns {Event} The event to deliver.
+ */
+function toEvent(type, args, init = {}) {
+	if (args.length === 0) return new Event(String(type), init);
+	return new CustomEvent(String(type), { ...init, detail: args.length === 1 ? args[0] : args });
+}
+
+/**
+ * Sets the `eventPhase` of an event that is being delivered outside of a native `EventTarget`.
+ *
+ * @param {Event} event - The event being delivered.
+ * @param {number} phase - One of `Event.CAPTURING_PHASE`, `Event.AT_TARGET` or `Event.BUBBLING_PHASE`.
+ */
+function setEventPhase(event, phase) {
+	Object.defineProperty(event, "eventPhase", { value: phase, configurable: true });
+}
+
+/**
+ * Calls a listener added with `addEventListener()` with an event.
+ *
+ * @param {object} currentTarget - The object the listener was added to.
+ * @param {Function|{ handleEvent: Function }} listener - The listener to call.
+ * @param {Event} event - The event to call the listener with.
+ * @param {boolean} [passive=false] - Whether calls to `preventDefault()` are ignored.
+ * @returns {any} The value returned by the listener.
+ */
+function callEventListener(currentTarget, listener, event, passive = false) {
+	setCurrentTarget(event, currentTarget);
+
+	if (passive) Object.defineProperty(event, "preventDefault", { value: () => {}, configurable: true });
+
+	try {
+		if (typeof listener === "function") return listener.call(currentTarget, event);
+		return listener.handleEvent(event);
+	} finally {
+		if (passive) delete event.preventDefault;
+	}
+}
+
+/**
+ * The capture listeners added to each emitter with `addEventListener()`, by event type, for the capture phase of dispatched events.
+ * They are stored with the other listeners of the emitter as well, so that `emit()` calls them.
+ * Kept outside of the class so that ancestors created from other mixin classes can be reached.
+ *
+ * @type {WeakMap<object, Map<string|symbol, Map<Function|object, { once: boolean, passive: boolean, remove: () => void }>>>}
+ */
+const _captureListeners = new WeakMap();
+
+/**
+ * Calls the capture listeners an emitter has for an event type.
+ *
+ * @param {object} emitter - The emitter whose capture listeners are called.
+ * @param {string|symbol} type - The event type being dispatched.
+ * @param {Event} event - The event being dispatched.
+ */
+function capture(emitter, type, event) {
+	const listeners = _captureListeners.get(emitter)?.get(type);
+	if (!listeners) return;
+
+	for (const [listener, { once, passive, remove }] of [...listeners]) {
+		if (_stoppedEvents.has(event)) return;
+		if (once) remove();
+
+		callEventListener(emitter, listener, event, passive);
+	}
+}
+
+/**
+ * Events that an emitter is dispatching through their capture, target and bubbling phases.
+ * The capture listeners of the emitters they reach are called by their capture phase, rather than by `emit()`.
+ */
+const _dispatchingEvents = new WeakSet();
+
+/**
+ * Events whose `stopImmediatePropagation()` method has been called while being dispatched by an emitter.
+ */
+const _stoppedEvents = new WeakSet();
+
+/**
+ * Lets an emitter see when `stopImmediatePropagation()` is called on an event,
+ * which native events only expose to the `EventTarget` dispatching them.
+ *
+ * @param {Event} event - The event being dispatched.
+ */
+function trackPropagation(event) {
+	if (Object.hasOwn(event, "stopImmediatePropagation")) return;
+
+	Object.defineProperty(event, "stopImmediatePropagation", {
+		value() {
+			_stoppedEvents.add(event);
+			Event.prototype.stopImmediatePropagation.call(event);
+		},
+		configurable: true
+	});
+}
+
+/**
+ * Sets the `currentTarget` of an event that is being delivered outside of a native `EventTarget`,
+ * and its `target` if it has not been dispatched before.
+ *
+ * @param {Event} event - The event being delivered.
+ * @param {object} currentTarget - The object whose listeners are being called.
+ */
+function setCurrentTarget(event, currentTarget) {
+	if (event.target === null) Object.defineProperty(event, "target", { value: currentTarget, configurable: true });
+	Object.defineProperty(event, "currentTarget", { value: currentTarget, configurable: true });
+}
+
 /**
  * @see {@linkcode EventEmitter.mix}
  * @param {class} [Base] - The class to add event emitter functionality to.
@@ -22,6 +393,19 @@ export const EventEmitterMixin = (Base = Object) => class EventEmitter extends B
 	static captureRejections = false;
 	static suppressMaxListenersWarning = false;
 	static errorMonitor = Symbol("errorMonitor");
+	static wildcard = false;
+	static delimiter = ":";
+	static validation = "throw";
+	static strictEvents = false;
+	static errorPolicy = "stop";
+	static scheduler = "microtask";
+	static metrics = false;
+	static slowListenerThreshold = 100;
+	static captureStacks = false;
+
+	static {
+		this.prototype.emit[validatesEvents] = true;
+	}
 
 	// ======== Static Methods ========
 
@@ -33,13 +417,198 @@ export const EventEmitterMixin = (Base = Object) => class EventEmitter extends B
 		return _emitterRegistry.has(instance);
 	}
 
+	/**
+	 * Creates a promise that is fulfilled with an array of the arguments of the next `type` event emitted by `emitter`,
+	 * or rejected if `emitter` emits `'error'` first. Works with any object that can register listeners,
+	 * including `EventTarget`s, for which the promise is fulfilled with an array containing the event.
+	 *
+	 * @example
+	 * ```js
+	 * const [value] = await EventEmitter.once(emitter, "ready");
+	 * ```
+	 *
+	 * @param {object} emitter - The object to listen to.
+	 * @param {string|symbol} type - The event type to wait for.
+	 * @param {{ signal?: AbortSignal }} [options] - The `signal` rejects the promise with an `AbortError` when aborted.
+	 * @returns {Promise<any[]>} A promise for the arguments the event was emitted with.
+	 */
+	static once(emitter, type, { signal } = {}) {
+		checkEmitter(emitter);
+
+		return new Promise((resolve, reject) => {
+			if (signal?.aborted) return reject(abortError(signal));
+
+			const cleanup = [];
+			const settle = (callback, value) => {
+				cleanup.forEach(fn => fn());
+				callback(value);
+			};
+
+			cleanup.push(listen(emitter, type, (...args) => settle(resolve, args), true));
+
+			if (type !== "error" && type !== this.errorMonitor && (emitter.on || emitter.addListener)) {
+				cleanup.push(listen(emitter, "error", error => settle(reject, error), true));
+			}
+
+			if (signal) {
+				const abort = () => settle(reject, abortError(signal));
+
+				signal.addEventListener("abort", abort, { once: true });
+				cleanup.push(() => signal.removeEventListener("abort", abort));
+			}
+		});
+	}
+
+	/**
+	 * Returns an async iterator over the `type` events emitted by `emitter`, which yields an array
+	 * of the arguments of each event. Events emitted before they are consumed are buffered.
+	 * The iterator throws if `emitter` emits `'error'`, and finishes when one of the `close` events is emitted
+	 * or when the loop consuming it exits. Works with any object that can register listeners.
+	 *
+	 * @example
+	 * ```js
+	 * for await (const [chunk] of EventEmitter.on(stream, "data", { close: "end" })) {
+	 *     process(chunk);
+	 * }
+	 * ```
+	 *
+	 * @param {object} emitter - The object to listen to.
+	 * @param {string|symbol} type - The event type to iterate over.
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Throws an `AbortError` from the iterator when aborted.
+	 * @param {string|symbol|(string|symbol)[]} [options.close] - Event types that finish the iteration.
+	 * @param {number} [options.bufferSize=Infinity] - The maximum number of unconsumed events to buffer. The oldest are discarded first.
+	 * @returns {AsyncIterableIterator<any[]>} An async iterator over the arguments of the events.
+	 */
+	static on(emitter, type, { signal, close = [], bufferSize = Infinity } = {}) {
+		checkEmitter(emitter);
+
+		if (signal?.aborted) throw abortError(signal);
+
+		const buffer = [];
+		const pending = [];
+		const cleanup = [];
+		let error = null;
+		let finished = false;
+
+		const finish = () => {
+			finished = true;
+			cleanup.forEach(fn => fn());
+			cleanup.length = 0;
+		};
+
+		const push = (...args) => {
+			if (pending.length) return pending.shift().resolve({ value: args, done: false });
+
+			buffer.push(args);
+			if (buffer.length > bufferSize) buffer.shift();
+		};
+
+		const fail = reason => {
+			finish();
+
+			if (pending.length) pending.shift().reject(reason);
+			else error = reason;
+
+			end();
+		};
+
+		const end = () => {
+			finish();
+			pending.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+		};
+
+		cleanup.push(listen(emitter, type, push));
+
+		if (type !== "error" && type !== this.errorMonitor && (emitter.on || emitter.addListener)) {
+			cleanup.push(listen(emitter, "error", fail));
+		}
+
+		for (const name of [].concat(close)) cleanup.push(listen(emitter, name, end));
+
+		if (signal) {
+			const abort = () => fail(abortError(signal));
+
+			signal.addEventListener("abort", abort, { once: true });
+			cleanup.push(() => signal.removeEventListener("abort", abort));
+		}
+
+		return {
+			next() {
+				if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false });
+
+				if (error) {
+					const reason = error;
+					error = null;
+					return Promise.reject(reason);
+				}
+
+				if (finished) return Promise.resolve({ value: undefined, done: true });
+
+				return new Promise((resolve, reject) => pending.push({ resolve, reject }));
+			},
+			return() {
+				buffer.length = 0;
+				end();
+				return Promise.resolve({ value: undefined, done: true });
+			},
+			throw(reason) {
+				buffer.length = 0;
+				fail(reason);
+				return this.next();
+			},
+			[Symbol.asyncIterator]() {
+				return this;
+			}
+		};
+	}
+
+	/**
+	 * Adds middleware that every instance of the class, and of its subclasses, runs when emitting events.
+	 * Class middleware runs before instance middleware, starting with the middleware of the base class.
+	 * See {@linkcode EventEmitter.use}.
+	 *
+	 * @param {Middleware} middleware - The middleware to add.
+	 * @returns {Subscription} A subscription that removes the middleware.
+	 */
+	static use(middleware) {
+		if (!_classMiddleware.has(this)) _classMiddleware.set(this, []);
+
+		return addMiddleware(_classMiddleware.get(this), middleware, () => _middlewareChains = new WeakMap());
+	}
+
 	// ======== Fields ========
 
 	#events = new Map();
 	#mxListeners = undefined;
+	#typeMaxListeners = new Map();
+	#captureStacks = undefined;
+	#registrations = new WeakMap();
 	#suppressMaxListenersWarning = undefined;
 	#captureRejections = undefined;
 	#onceRegistry = new WeakMap();
+	#wildcard = undefined;
+	#delimiter = undefined;
+	#validation = undefined;
+	#strictEvents = undefined;
+	#schema = undefined;
+	#errorPolicy = undefined;
+	#scheduler = undefined;
+	#metrics = undefined;
+	#slowListenerThreshold = undefined;
+	#stats = new Map();
+	#slowWarned = new WeakSet();
+	#timedWrappers = new WeakSet();
+	#registrationWrappers = new WeakSet();
+	#patterns = new Map();
+	#matchCache = new Map();
+	#ordering = new WeakMap();
+	#baseOrder = new Map();
+	#disposers = new WeakMap();
+	#eventTargetListeners = new Map();
+	#parentEmitter = undefined;
+	#middleware = [];
+	#sticky = new Map();
 
 	// ======== Constructor ========
 
@@ -50,6 +619,23 @@ export const EventEmitterMixin = (Base = Object) => class EventEmitter extends B
 
 		if (args[0]?.captureRejections) this.#captureRejections = args[0].captureRejections;
 		if (args[0]?.maxListeners) this.#mxListeners = args[0].maxListeners;
+		if (args[0]?.wildcard !== undefined) this.#wildcard = args[0].wildcard;
+		if (args[0]?.delimiter) this.#delimiter = args[0].delimiter;
+		if (args[0]?.validation) this.#validation = args[0].validation;
+		if (args[0]?.strictEvents !== undefined) this.#strictEvents = args[0].strictEvents;
+		if (args[0]?.errorPolicy) this.errorPolicy = args[0].errorPolicy;
+		if (args[0]?.scheduler !== undefined) this.scheduler = args[0].scheduler;
+		if (args[0]?.metrics !== undefined) this.#metrics = args[0].metrics;
+		if (args[0]?.slowListenerThreshold !== undefined) this.slowListenerThreshold = args[0].slowListenerThreshold;
+		if (args[0]?.captureStacks !== undefined) this.#captureStacks = args[0].captureStacks;
+		if (args[0]?.parentEmitter) this.parentEmitter = args[0].parentEmitter;
+
+		if (Array.isArray(args[0]?.sticky)) {
+			for (const type of args[0].sticky) this.sticky(type);
+		}
+		else if (args[0]?.sticky) {
+			for (const type of Reflect.ownKeys(args[0].sticky)) this.sticky(type, args[0].sticky[type]);
+		}
 	}
 
 	// ======== Accessors ========
@@ -82,423 +668,2120 @@ export const EventEmitterMixin = (Base = Object) => class EventEmitter extends B
 		this.#captureRejections = bool;
 	}
 
-	// ======== Private Methods ========
-
-	/**
-	 * @param {Function} listener - The listener to check.
-	 * @returns {boolean} `true` if the listener is a function.
-	 */
-	#checkListener(listener) {
-		if (typeof listener !== "function") {
-			throw new TypeError(`The "listener" argument must be of type Function. Received type ${typeof listener}`);
-		}
+	get wildcard() {
+		return this.#wildcard ?? this.constructor.wildcard;
+	}
 
-		return true;
-	}	
+	set wildcard(bool) {
+		this.#wildcard = bool;
+		this.#compilePatterns();
+	}
 
-	/**
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @param {boolean} [prepend=false] - Whether to prepend the listener to the list of listeners for the event type.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
-	 */
-	#addListener(type, listener, prepend = false) {
-		this.#checkListener(listener); // Verify the listener is a function
-		this.emit("newListener", type, listener, prepend); // Emit the 'newListener' event before adding the listener in case the listener is for the 'newListener' type.
+	get delimiter() {
+		return this.#delimiter ?? this.constructor.delimiter;
+	}
 
-		if (!this.#events.has(type)) this.#events.set(type, []);
+	set delimiter(delimiter) {
+		this.#delimiter = delimiter;
+		this.#compilePatterns();
+	}
 
-		const existing = this.#events.get(type); // Get the existing listeners for the event type
+	get validation() {
+		return this.#validation ?? this.constructor.validation;
+	}
 
-		if (prepend) existing.unshift(listener);
-		else existing.push(listener);
+	set validation(mode) {
+		this.#validation = mode;
+	}
 
-		const max = this.maxListeners;
+	get strictEvents() {
+		return this.#strictEvents ?? this.constructor.strictEvents;
+	}
 
-		if (max > 0 && existing.length > max && !existing.warned) {
-			existing.warned = true;
+	set strictEvents(bool) {
+		this.#strictEvents = bool;
+	}
 
-			const warning = new Error(`Possible EventEmitter memory leak detected. ${existing.length} '${type}' listeners added. Use emitter.setMaxListeners() to increase limit`);
-			
-			warning.name = "MaxListenersExceededWarning";
-			warning.emitter = this;
-			warning.type = type;
-			warning.count = existing.length;
+	/**
+	 * What happens when a listener throws and there is no `'error'` listener to handle the error:
+	 * - `"stop"`: The error is re-thrown and the remaining listeners are not called.
+	 * - `"continue"`: The remaining listeners are called, then the errors are thrown together as an `AggregateError`,
+	 *   which is reported to `errorMonitor` listeners in place of each error.
+	 * - `"isolate"`: The error is reported to `errorMonitor` listeners, or logged if there are none, and the remaining listeners are called.
+	 *
+	 * Rejections captured with `captureRejections`, `emitSerial()` or `emitParallel()` follow the same policy.
+	 * Rejections captured while emitting with `emit()` settle after it returns, so with `"continue"` they are
+	 * reported together as an `AggregateError` to `'error'` or `errorMonitor` listeners, or logged, instead of being thrown.
+	 */
+	get errorPolicy() {
+		return this.#errorPolicy ?? this.constructor.errorPolicy;
+	}
 
-			console.warn(warning);
+	set errorPolicy(policy) {
+		if (!ERROR_POLICIES.includes(policy)) {
+			throw new TypeError(`The "errorPolicy" must be one of ${ERROR_POLICIES.map(p => `"${p}"`).join(", ")}. Received ${String(policy)}`);
 		}
 
-		return this;
+		this.#errorPolicy = policy;
 	}
 
 	/**
-	 * @param {string|symbol} type - The event type to remove the listener from.
-	 * @param {Function} listener - The listener to remove.
+	 * When events emitted with {@linkcode EventEmitter.emitLater} are emitted: `"microtask"`, `"macrotask"`, `"timeout"`,
+	 * `"animationFrame"`, a number of milliseconds, or a function that schedules a call. See {@linkcode deferEmit|emitLater()}.
+	 */
+	get scheduler() {
+		return this.#scheduler ?? this.constructor.scheduler;
+	}
+
+	set scheduler(scheduler) {
+		this.#scheduler = checkScheduler(scheduler);
+	}
+
+	/**
+	 * Whether emit counts and listener durations are recorded. See {@linkcode EventEmitter.getStats}.
+	 */
+	get metrics() {
+		return this.#metrics ?? this.constructor.metrics;
+	}
+
+	set metrics(bool) {
+		this.#metrics = bool;
+	}
+
+	/**
+	 * With `metrics` enabled, a `SlowListenerWarning` is logged the first time a listener takes longer than this
+	 * many milliseconds to return, or for a promise it returned to settle. `0` disables the warning.
+	 */
+	get slowListenerThreshold() {
+		return this.#slowListenerThreshold ?? this.constructor.slowListenerThreshold;
+	}
+
+	set slowListenerThreshold(ms) {
+		if (typeof ms !== "number" || !(ms >= 0)) {
+			throw new RangeError(`The "slowListenerThreshold" must be a non-negative number of milliseconds. Received ${String(ms)}`);
+		}
+
+		this.#slowListenerThreshold = ms;
+	}
+
+	/**
+	 * Whether the stack is captured when each listener is added, so that {@linkcode EventEmitter.leakReport}
+	 * and the `MaxListenersExceededWarning` can show where listeners were added.
+	 */
+	get captureStacks() {
+		return this.#captureStacks ?? this.constructor.captureStacks;
+	}
+
+	set captureStacks(bool) {
+		this.#captureStacks = bool;
+	}
+
+	/**
+	 * The emitter that events dispatched with `bubbles: true` propagate to once this emitter's listeners have been called,
+	 * and whose capture listeners are called before them. Events continue through the `parentEmitter` of each ancestor.
+	 */
+	get parentEmitter() {
+		return this.#parentEmitter;
+	}
+
+	set parentEmitter(parent) {
+		if (parent !== undefined && parent !== null) {
+			if (typeof parent.emit !== "function" && typeof parent.dispatchEvent !== "function") {
+				throw new TypeError(`The "parentEmitter" must have an emit() or dispatchEvent() method.`);
+			}
+
+			for (let ancestor = parent; ancestor; ancestor = ancestor.parentEmitter) {
+				if (ancestor === this) throw new Error("An emitter cannot be its own ancestor.");
+			}
+		}
+
+		this.#parentEmitter = parent ?? undefined;
+	}
+
+	// ======== Private Methods ========
+
+	/**
+	 * @param {Function} listener - The listener to check.
+	 * @returns {boolean} `true` if the listener is a function.
+	 */
+	#checkListener(listener) {
+		if (typeof listener !== "function") {
+			throw new TypeError(`The "listener" argument must be of type Function. Received type ${typeof listener}`);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Starts tracking the event type as a wildcard pattern if it contains a `*` or `**` segment.
+	 *
+	 * @param {string|symbol} type - The event type that listeners were added to.
+	 */
+	#trackPattern(type) {
+		if (!this.wildcard || typeof type !== "string") return;
+
+		const segments = type.split(this.delimiter);
+		if (!segments.some(segment => segment === "*" || segment === "**")) return;
+
+		this.#patterns.set(type, segments);
+		this.#matchCache.clear();
+	}
+
+	/**
+	 * Stops tracking the event type as a wildcard pattern once it no longer has listeners.
+	 *
+	 * @param {string|symbol} type - The event type that listeners were removed from.
+	 */
+	#untrackPattern(type) {
+		if (this.#patterns.delete(type)) this.#matchCache.clear();
+	}
+
+	/**
+	 * Rebuilds the wildcard patterns from the registered event types,
+	 * used when the `wildcard` or `delimiter` settings change.
+	 */
+	#compilePatterns() {
+		this.#patterns.clear();
+		this.#matchCache.clear();
+
+		for (const type of this.#events.keys()) this.#trackPattern(type);
+	}
+
+	/**
+	 * Returns the wildcard patterns that match an event type, other than the event type itself.
+	 * Results are cached per event type until the set of patterns changes.
+	 *
+	 * @param {string|symbol} type - The event type to match.
+	 * @returns {string[]|null} The matching patterns, or `null` if there are none.
+	 */
+	#matchPatterns(type) {
+		if (this.#patterns.size === 0 || typeof type !== "string") return null;
+
+		let matches = this.#matchCache.get(type);
+
+		if (!matches) {
+			const segments = type.split(this.delimiter);
+			matches = [];
+
+			for (const [pattern, patternSegments] of this.#patterns) {
+				if (pattern !== type && matchSegments(patternSegments, segments)) matches.push(pattern);
+			}
+
+			if (this.#matchCache.size >= MATCH_CACHE_LIMIT) this.#matchCache.clear();
+			this.#matchCache.set(type, matches);
+		}
+
+		return matches.length ? matches : null;
+	}
+
+	/**
+	 * Collects the listeners that an emit of `type` will call along with the arguments to call each one with.
+	 * Listeners registered on the event type come first, followed by listeners registered on matching patterns,
+	 * which receive the event type as their first argument.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param {any[]} args - The arguments to pass to the listeners.
+	 * @returns {[Function, any[]][]} The listeners and the arguments to call them with.
+	 */
+	#snapshot(type, args) {
+		const calls = this.#events.get(type)?.map(listener => [listener, args]) ?? [];
+		const patterns = this.#matchPatterns(type);
+
+		if (patterns) {
+			const patternArgs = [type, ...args];
+
+			for (const pattern of patterns) {
+				for (const listener of this.#events.get(pattern)) calls.push([listener, patternArgs]);
+			}
+		}
+
+		return calls;
+	}
+
+	/**
+	 * Records the arguments of an emit if the event type is sticky, dropping the oldest payload
+	 * once more than `count` payloads are retained.
+	 *
+	 * @param {string|symbol} type - The event type being emitted.
+	 * @param {any[]} args - The arguments the event was emitted with.
+	 */
+	#retain(type, args) {
+		const sticky = this.#sticky.get(type);
+		if (!sticky) return;
+
+		sticky.history.push({ args, time: Date.now() });
+		if (sticky.history.length > sticky.count) sticky.history.shift();
+	}
+
+	/**
+	 * Returns the payloads retained for a sticky event type, discarding any that have outlived the `ttl`.
+	 *
+	 * @param {string|symbol} type - The event type to return the payloads for.
+	 * @returns {{ args: any[], time: number }[]} The retained payloads, oldest first.
+	 */
+	#retained(type) {
+		const sticky = this.#sticky.get(type);
+		if (!sticky) return [];
+
+		const expired = Date.now() - sticky.ttl;
+		while (sticky.history.length && sticky.history[0].time <= expired) sticky.history.shift();
+
+		return sticky.history;
+	}
+
+	/**
+	 * Calls a newly added listener with the payloads retained for its event type, or for every
+	 * sticky event type its wildcard pattern matches. Stops early if the listener removes itself,
+	 * such as a listener added with {@linkcode EventEmitter.once}.
+	 *
+	 * @param {string|symbol} type - The event type the listener was added to.
+	 * @param {Function} listener - The listener that was added.
+	 */
+	#replay(type, listener) {
+		if (this.#sticky.size === 0) return;
+
+		const calls = this.#retained(type).map(({ args }) => [type, args, args]);
+		const pattern = this.#patterns.get(type);
+
+		if (pattern) {
+			for (const sticky of this.#sticky.keys()) {
+				if (sticky === type || typeof sticky !== "string" || !matchSegments(pattern, sticky.split(this.delimiter))) continue;
+				for (const { args } of this.#retained(sticky)) calls.push([sticky, args, [sticky, ...args]]);
+			}
+		}
+
+		for (const [emitted, args, callArgs] of calls) {
+			if (!this.#events.get(type)?.includes(listener)) return;
+			this.#invoke(listener, emitted, args, callArgs);
+		}
+	}
+
+	/**
+	 * @typedef {Object} ListenerOptions
+	 * @property {boolean} [prepend=false] - Whether to add the listener before other listeners of the same priority.
+	 * @property {number} [priority=0] - Listeners with a higher priority are called before listeners with a lower priority.
+	 * @property {string} [name] - A name that other listeners of the same event type can refer to in `before` and `after`.
+	 * @property {string|string[]} [before] - Names of listeners that this listener must be called before.
+	 * @property {string|string[]} [after] - Names of listeners that this listener must be called after.
+	 * @property {AbortSignal} [signal] - Removes the listener when the signal is aborted.
+	 * @property {(...args: any[]) => boolean} [filter] - Called with the arguments of each event, the listener is only called if it returns a truthy value.
+	 * Events that are filtered out do not count towards the limit of `once()` and `limited()` listeners.
+	 * @property {boolean} [weak=false] - Holds the listener, or the `receiver` if one is given, weakly instead of keeping it alive.
+	 * The listener is removed once it has been garbage collected.
+	 * @property {object} [receiver] - With `weak`, the object to call the listener on. The listener must not be bound to the receiver.
+	 * @property {number} [debounce] - Waits until events stop arriving for this many milliseconds before calling the listener.
+	 * @property {number} [throttle] - Calls the listener at most once every this many milliseconds.
+	 * @property {number} [delay] - Calls the listener this many milliseconds after each event.
+	 * @property {boolean} [leading] - Whether a debounced or throttled listener is called at the start of a burst of events.
+	 * @property {boolean} [trailing=true] - Whether a debounced or throttled listener is called with the last event of a burst.
+	 */
+
+	/**
+	 * @param {AbortSignal} [signal] - The signal to check.
+	 * @returns {boolean} `true` if the signal is an AbortSignal or is not provided.
+	 */
+	#checkSignal(signal) {
+		if (signal !== undefined && (typeof signal?.aborted !== "boolean" || typeof signal.addEventListener !== "function")) {
+			throw new TypeError(`The "signal" option must be an instance of AbortSignal. Received type ${typeof signal}`);
+		}
+
+		return true;
+	}
+
+	/**
+	 * @param {any} filter - The filter option to check.
+	 * @returns {boolean} `true` if the filter is a function or is not set.
+	 */
+	#checkFilter(filter) {
+		if (filter !== undefined && typeof filter !== "function") {
+			throw new TypeError(`The "filter" option must be of type Function. Received type ${typeof filter}`);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Runs the function registered to run when a registration of a listener is removed, such as removing its abort handler.
+	 * Registrations with a disposer are stored as a function of their own, see {@linkcode #registration}.
+	 *
+	 * @param {Function} listener - The listener as stored in the list of listeners.
+	 */
+	#dispose(listener) {
+		const disposer = this.#disposers.get(listener);
+		if (!disposer) return;
+
+		this.#disposers.delete(listener);
+		disposer();
+	}
+
+	/**
+	 * Validates and normalizes the ordering options for a listener.
+	 *
+	 * @param {ListenerOptions} options - The options passed when adding the listener.
+	 * @returns {{ priority: number, name?: string, before: string[], after: string[] }|undefined} The ordering of the listener, or `undefined` if it uses the default ordering.
+	 */
+	#checkOrdering({ priority = 0, name, before = [], after = [] } = {}) {
+		if (typeof priority !== "number" || Number.isNaN(priority)) {
+			throw new TypeError(`The "priority" option must be of type number. Received type ${typeof priority}`);
+		}
+
+		before = [].concat(before);
+		after = [].concat(after);
+
+		if (priority === 0 && name === undefined && !before.length && !after.length) return undefined;
+
+		return { priority, name, before, after };
+	}
+
+	/**
+	 * Resolves the order the listeners of an event type would be in with a listener of the given ordering added,
+	 * so that circular constraints throw before anything is changed. Only listeners with `before` or `after` constraints,
+	 * or named listeners added to an event type that has constraints, can make them circular.
+	 *
+	 * @param {string|symbol} type - The event type the listener is being added to.
+	 * @param {{ priority: number, name?: string, before: string[], after: string[] }} ordering - The ordering of the listener.
+	 * @param {boolean} prepend - Whether the listener is being prepended.
+	 * @throws {Error} If the constraints are circular.
+	 */
+	#checkOrder(type, ordering, prepend) {
+		const base = this.#baseOrder.get(type);
+		if (!this.#constrains(ordering) && (ordering.name === undefined || !base)) return;
+
+		const standIn = () => {};
+		const listeners = [...base ?? this.#events.get(type) ?? []];
+
+		this.#ordering.set(standIn, ordering);
+		listeners.splice(this.#priorityIndex(listeners, ordering.priority, prepend), 0, standIn);
+		this.#resolveOrder(type, listeners);
+	}
+
+	/**
+	 * @param {{ before: string[], after: string[] }} [ordering] - The ordering of a listener.
+	 * @returns {boolean} `true` if the listener has to be called before or after other listeners.
+	 */
+	#constrains(ordering) {
+		return Boolean(ordering?.before.length || ordering?.after.length);
+	}
+
+	/**
+	 * Wraps a listener that is not already wrapped in a function of its own, so that the state kept
+	 * for this registration, like its ordering, where it was added and the signal that removes it, is not shared with other registrations of the same function.
+	 * {@linkcode EventEmitter.rawListeners} returns the listener in place of the wrapper.
+	 *
+	 * @param {Function} listener - The listener being added.
+	 * @returns {Function} A function that is only used for this registration of the listener.
+	 */
+	#registration(listener) {
+		if (this.#onceRegistry.has(listener)) return listener;
+
+		const registration = function (...args) {
+			return listener.apply(this, args);
+		};
+
+		this.#onceRegistry.set(registration, listener);
+		this.#registrationWrappers.add(registration);
+
+		return registration;
+	}
+
+	/**
+	 * @param {Function} listener - The listener to get the priority of.
+	 * @returns {number} The priority the listener was added with.
+	 */
+	#priorityOf(listener) {
+		return this.#ordering.get(listener)?.priority ?? 0;
+	}
+
+	/**
+	 * Finds where a listener of the given priority goes in a list of listeners sorted by priority, highest first.
+	 *
+	 * @param {Function[]} listeners - The listeners, sorted by priority.
+	 * @param {number} priority - The priority of the listener.
+	 * @param {boolean} prepend - Whether the listener goes before other listeners of the same priority.
+	 * @returns {number} The index to insert the listener at.
+	 */
+	#priorityIndex(listeners, priority, prepend) {
+		return bisect(listeners.length, index => prepend
+			? this.#priorityOf(listeners[index]) > priority
+			: this.#priorityOf(listeners[index]) >= priority);
+	}
+
+	/**
+	 * Inserts a listener into the list of listeners for an event type, keeping the list stably sorted by priority.
+	 *
+	 * Once an event type has listeners with `before` or `after` constraints, the listeners are also kept in priority order
+	 * in {@linkcode #baseOrder}, and the list is the result of reordering them to satisfy the constraints.
+	 *
+	 * @param {string|symbol} type - The event type the listeners are for.
+	 * @param {Function[]} listeners - The existing listeners for the event type.
+	 * @param {Function} listener - The listener to insert.
+	 * @param {boolean} prepend - Whether to insert the listener before other listeners of the same priority.
+	 */
+	#insertListener(type, listeners, listener, prepend) {
+		const priority = this.#priorityOf(listener);
+		let base = this.#baseOrder.get(type);
+
+		if (!base && !this.#constrains(this.#ordering.get(listener))) {
+			return void listeners.splice(this.#priorityIndex(listeners, priority, prepend), 0, listener);
+		}
+
+		if (!base) {
+			base = listeners.slice();
+			this.#baseOrder.set(type, base);
+		}
+
+		base.splice(this.#priorityIndex(base, priority, prepend), 0, listener);
+		listeners.splice(0, listeners.length, ...this.#resolveOrder(type, base));
+	}
+
+	/**
+	 * Sorts listeners topologically so that every `before` and `after` constraint is satisfied,
+	 * otherwise keeping the existing order. Constraints naming listeners that are not registered are ignored.
+	 *
+	 * The order is built from the end: each step places the latest listener that no remaining listener has to come after,
+	 * so listeners only move ahead of others when a constraint requires it.
+	 *
+	 * @param {string|symbol} type - The event type the listeners are for.
+	 * @param {Function[]} listeners - The listeners in priority order.
+	 * @returns {Function[]} The listeners in resolved order.
+	 * @throws {Error} If the constraints are circular.
+	 */
+	#resolveOrder(type, listeners) {
+		const named = new Map();
+
+		listeners.forEach((listener, index) => {
+			const name = this.#ordering.get(listener)?.name;
+			if (name === undefined) return;
+			if (!named.has(name)) named.set(name, []);
+			named.get(name).push(index);
+		});
+
+		const successors = listeners.map(() => new Set());
+		const predecessors = listeners.map(() => new Set());
+
+		const addEdge = (from, to) => {
+			if (from === to || successors[from].has(to)) return;
+			successors[from].add(to);
+			predecessors[to].add(from);
+		};
+
+		listeners.forEach((listener, index) => {
+			const { before = [], after = [] } = this.#ordering.get(listener) ?? {};
+			before.forEach(name => named.get(name)?.forEach(other => addEdge(index, other)));
+			after.forEach(name => named.get(name)?.forEach(other => addEdge(other, index)));
+		});
+
+		const remaining = successors.map(others => others.size);
+		const ready = listeners.map((listener, index) => index).filter(index => remaining[index] === 0); // Sorted by index
+		const resolved = [];
+
+		while (ready.length) {
+			const index = ready.pop();
+			resolved.push(listeners[index]);
+
+			predecessors[index].forEach(other => {
+				if (--remaining[other] === 0) ready.splice(bisect(ready.length, at => ready[at] < other), 0, other);
+			});
+		}
+
+		if (resolved.length < listeners.length) throw new Error(`Listener ordering constraints for '${String(type)}' are circular.`);
+
+		return resolved.reverse();
+	}
+
+	/**
+	 * Follows the wrappers created for a listener, such as by {@linkcode #addLimitedListener} or the filter and timing options,
+	 * back to the listener that was originally added.
+	 *
+	 * @param {Function} listener - The listener or wrapper.
+	 * @returns {Function} The original listener.
+	 */
+	#unwrap(listener) {
+		for (let wrapped = this.#wrapped(listener); wrapped; wrapped = this.#wrapped(listener)) listener = wrapped;
+		return listener;
+	}
+
+	/**
+	 * @param {Function} fn - A stored listener, which may be a wrapper.
+	 * @param {Function} listener - The listener to look for.
+	 * @returns {boolean} `true` if `fn` is the listener or wraps it.
+	 */
+	#wraps(fn, listener) {
+		for (; fn; fn = this.#wrapped(fn)) {
+			if (fn === listener) return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * @param {Function} fn - A stored listener, which may be a wrapper.
+	 * @returns {Function|undefined} The function it wraps, or `undefined` if it is not a wrapper or wraps a weak listener that has been collected.
+	 */
+	#wrapped(fn) {
+		const wrapped = this.#onceRegistry.get(fn);
+		return wrapped instanceof WeakRef ? wrapped.deref() : wrapped;
+	}
+
+	/**
+	 * Wraps a listener added with the `weak` option, see {@linkcode weakListener}.
+	 * The wrapper removes itself from the event type once the listener or receiver has been collected.
+	 *
+	 * @param {string|symbol} type - The event type the listener is added to.
+	 * @param {Function} listener - The listener to wrap.
+	 * @param {object} [receiver] - The object to call the listener on.
+	 * @returns {{ wrapper: Function, unregister: () => void }} The wrapper, and a function to call when it is removed.
+	 */
+	#weaken(type, listener, receiver) {
+		this.#checkListener(listener);
+
+		const { wrapper, ref, unregister } = weakListener(listener, receiver, removeCollected(this, type));
+
+		// Only refer to a weakly held listener through its WeakRef, so that `listeners()` does not keep it alive.
+		this.#onceRegistry.set(wrapper, receiver === undefined ? ref : listener);
+
+		return { wrapper, unregister };
+	}
+
+	/**
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {boolean} [prepend=false] - Whether to prepend the listener to the list of listeners for the event type.
+	 * @param {ListenerOptions} [options] - The ordering, filter, timing and weak options for the listener.
+	 * @param {() => void} [onRemove] - A function to run when this registration of the listener is removed.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	#addListener(type, listener, prepend = false, options = {}, onRemove = undefined) {
+		this.#checkListener(listener); // Verify the listener is a function
+		this.#checkSignal(options.signal);
+		this.#checkFilter(options.filter);
+
+		const ordering = this.#checkOrdering(options);
+		if (ordering) this.#checkOrder(type, ordering, prepend);
+
+		if (options.signal?.aborted) return this;
+
+		if (options.weak) {
+			const { wrapper, unregister } = this.#weaken(type, listener, options.receiver);
+			const removed = onRemove;
+
+			listener = wrapper;
+			onRemove = () => {
+				unregister();
+				removed?.();
+			};
+		}
+
+		if (hasTiming(options)) {
+			const original = listener;
+			const { wrapper, cancel } = timed(original, options, (context, args) => this.#invoke(original, type, args));
+			const removed = onRemove;
+
+			this.#onceRegistry.set(wrapper, original);
+			this.#timedWrappers.add(wrapper);
+			listener = wrapper;
+			onRemove = () => {
+				cancel();
+				removed?.();
+			};
+		}
+
+		// Filter outside of any other wrapper, so that filtered out events are not timed or counted by limited listeners.
+		if (options.filter) {
+			const { filter } = options;
+			const original = listener;
+			const filtered = function (...args) {
+				if (filter.apply(this, args)) return original.apply(this, args);
+			};
+
+			this.#onceRegistry.set(filtered, original);
+			if (this.#timedWrappers.has(original)) this.#timedWrappers.add(filtered);
+			listener = filtered;
+		}
+
+		// Listeners with a signal or cleanup get their own wrapper, so that aborting removes this registration, and removing it
+		// runs its own cleanup, rather than those of another registration of the same function.
+		if (ordering || this.captureStacks || options.signal || onRemove) listener = this.#registration(listener);
+		if (ordering) this.#ordering.set(listener, ordering);
+
+		this.emit("newListener", type, this.#unwrap(listener), prepend); // Emit the 'newListener' event before adding the listener in case the listener is for the 'newListener' type.
+
+		if (!this.#events.has(type)) {
+			this.#events.set(type, []);
+			this.#trackPattern(type);
+		}
+
+		const existing = this.#events.get(type); // Get the existing listeners for the event type
+
+		this.#insertListener(type, existing, listener, prepend);
+
+		if (this.captureStacks) this.#registrations.set(listener, captureRegistration());
+
+		if (options.signal) {
+			const signal = options.signal;
+			const abort = () => this.#removeListener(type, listener);
+
+			signal.addEventListener("abort", abort, { once: true });
+			this.#disposers.set(listener, () => {
+				signal.removeEventListener("abort", abort);
+				onRemove?.();
+			});
+		}
+		else if (onRemove) this.#disposers.set(listener, onRemove);
+
+		const max = this.getMaxListeners(type);
+
+		if (max > 0 && existing.length > max && !existing.warned) {
+			existing.warned = true;
+
+			const sites = this.captureStacks ? this.#leakSites(existing) : [];
+			const added = sites.map(({ site, count }) => `\n    ${count} added at ${site}`).join("");
+			const warning = new Error(`Possible EventEmitter memory leak detected. ${existing.length} '${String(type)}' listeners added. Use emitter.setMaxListeners() to increase limit${added}`);
+			
+			warning.name = "MaxListenersExceededWarning";
+			warning.emitter = this;
+			warning.type = type;
+			warning.count = existing.length;
+			warning.sites = sites;
+
+			console.warn(warning);
+		}
+
+		this.#replay(type, listener);
+
+		return this;
+	}
+
+	/**
+	 * @param {string|symbol} type - The event type to remove the listener from.
+	 * @param {Function} listener - The listener to remove.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	#removeListener(type, listener) {
+		this.#checkListener(listener); // Verify the listener is a function
+
+		const events = this.#events.get(type);
+		if (!events) return this;
+
+		let index = events.indexOf(listener);
+
+		// If the listener was wrapped by `#addLimitedListener` or the filter and timing options, find the wrapper instead
+		if (index === -1) index = events.findIndex(fn => this.#wraps(fn, listener));
+		if (index === -1) return this;
+
+		const [removed] = events.splice(index, 1);
+		const base = this.#baseOrder.get(type);
+		if (base?.includes(removed)) base.splice(base.indexOf(removed), 1);
+
+		if (events.length === 0) {
+			this.#events.delete(type);
+			this.#baseOrder.delete(type);
+			this.#untrackPattern(type);
+		}
+
+		this.#dispose(removed);
+		this.#emitRemoved(type, removed);
+
+		return this;
+	}
+
+	/**
+	 * Emits the 'removeListener' event for the specified listener, 
+	 * either the original listener or the listener wrapped by the {@linkcode #addLimitedListener} method.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param {Function} listener - The listener to emit.
+	 */
+	#emitRemoved(type, listener) {
+		this.emit("removeListener", type, this.#unwrap(listener));
+	}
+
+	/**
+	 * Removes all listeners from the specified event type.
+	 *
+	 * @param {string|symbol} type - The event type to remove all listeners from.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	#removeListeners(type) {
+		const listeners = this.#events.get(type);
+		if (!listeners) return this;
+
+		listeners.forEach(listener => {
+			this.#dispose(listener);
+			this.#emitRemoved(type, listener);
+		});
+
+		this.#events.delete(type);
+		this.#baseOrder.delete(type);
+		this.#untrackPattern(type);
+
+		return this;
+	}
+
+	/**
+	 * Removes all listeners from all event types.
+	 *
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	#removeAllListeners() {
+		this.#events.forEach((listeners, type) => 
+			listeners.forEach(listener => {
+				this.#dispose(listener);
+				this.#emitRemoved(type, listener);
+			})
+		);
+
+		this.#events.clear();
+		this.#baseOrder.clear();
+		this.#patterns.clear();
+		this.#matchCache.clear();
+
+		return this;
+	}
+
+	/**
+	 * Adds a listener to the specified event type that will only be called a specified number of times.
+	 * The listener will be removed after the specified number of calls.
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
+	 * @param {boolean} [prepend=false] - Whether to prepend the listener to the list of listeners for the event type.
+	 * @param {ListenerOptions} [options] - The ordering options for the listener.
 	 * @returns {EventEmitter} The instance of the EventEmitter class.
 	 */
-	#removeListener(type, listener) {
-		this.#checkListener(listener); // Verify the listener is a function
+	#addLimitedListener(type, listener, count = 1, prepend = false, options = {}) {
+		let onRemove;
+
+		// Weaken the listener before it is wrapped, so that the wrapper does not keep it alive.
+		if (options.weak) {
+			({ wrapper: listener, unregister: onRemove } = this.#weaken(type, listener, options.receiver));
+			options = { ...options, weak: false };
+		}
+
+		const limitedWrapped = (...args) => {
+			if (--count < 1) this.removeListener(type, limitedWrapped);
+			return listener.apply(this, args);
+		};
+
+		this.#onceRegistry.set(limitedWrapped, listener);
+		this.#addListener(type, limitedWrapped, prepend, options, onRemove);
+
+		return this;
+	}
+
+	/**
+	 * Routes an error thrown by a listener to the 'error' event if it has listeners,
+	 * otherwise emits the 'Symbol(EventEmitter.errorMonitor)' event and re-throws the error.
+	 * With the `"continue"` policy the error is re-thrown without being monitored, since it is collected
+	 * and reported together with the other errors, see {@linkcode #throwCollected}.
+	 *
+	 * @param {any} error - The error thrown by the listener.
+	 */
+	#handleError(error) {
+		if (this.#events.has("error")) return void this.#emit("error", error);
+		if (this.errorPolicy === "continue") throw error;
+
+		const monitored = this.#events.has(EventEmitter.errorMonitor);
+		if (monitored) this.#emit(EventEmitter.errorMonitor, error);
+
+		if (this.errorPolicy !== "isolate") throw error; // Unhandled 'error' event
+		if (!monitored) console.error(error);
+	}
+
+	/**
+	 * Reports an error that cannot be thrown to the code that caused it to the 'error' event if it has listeners,
+	 * otherwise to the 'Symbol(EventEmitter.errorMonitor)' event, or logs it if neither has listeners.
+	 *
+	 * @param {any} error - The error to report.
+	 */
+	#reportError(error) {
+		if (this.#events.has("error")) return void this.#emit("error", error);
+		if (this.#events.has(EventEmitter.errorMonitor)) return void this.#emit(EventEmitter.errorMonitor, error);
+
+		console.error(error);
+	}
+
+	/**
+	 * Handles an error thrown or rejected by a listener, collecting it instead of re-throwing it
+	 * when the `errorPolicy` is `"continue"`.
+	 *
+	 * @param {any[]} errors - The errors collected so far while emitting the event.
+	 * @param {() => void} handle - Calls {@linkcode #handleError} or {@linkcode #handleRejection} for the error.
+	 */
+	#collectError(errors, handle) {
+		try {
+			handle();
+		} catch (error) {
+			if (this.errorPolicy !== "continue") throw error;
+			errors.push(error);
+		}
+	}
+
+	/**
+	 * Emits the errors collected with the `"continue"` policy as an `AggregateError` to the 'Symbol(EventEmitter.errorMonitor)'
+	 * event, then throws it.
+	 *
+	 * @param {string|symbol} type - The event type that was emitted.
+	 * @param {any[]} errors - The errors thrown or rejected by the listeners.
+	 * @throws {AggregateError} The collected errors.
+	 */
+	#throwCollected(type, errors) {
+		const error = listenerErrors(type, errors);
+
+		if (this.#events.has(EventEmitter.errorMonitor)) this.#emit(EventEmitter.errorMonitor, error);
+		throw error;
+	}
+
+	/**
+	 * Routes a promise rejection from a listener to the `Symbol.for("nodejs.rejection")` method if it exists,
+	 * otherwise handles it the same way as a thrown error. See {@linkcode #handleError}.
+	 *
+	 * @param {any} error - The rejection reason.
+	 * @param {string|symbol} type - The event type that was emitted.
+	 * @param {any[]} args - The arguments that were passed to the listeners.
+	 */
+	#handleRejection(error, type, args) {
+		if (this[Symbol.for("nodejs.rejection")]) return this[Symbol.for("nodejs.rejection")](error, type, ...args);
+		this.#handleError(error);
+	}
+
+	/**
+	 * Validates the arguments of an event if the class declares its events. See {@linkcode validateEvent}.
+	 * The declared events are looked up on the first emit.
+	 *
+	 * @param {string|symbol} type - The event type being emitted.
+	 * @param {any[]} args - The arguments the event is being emitted with.
+	 */
+	#validate(type, args) {
+		if (this.#schema === undefined) this.#schema = getEventSchema(this);
+		if (this.#schema) validateEvent(this, type, args);
+	}
+
+	/**
+	 * @param {string|symbol} type - The event type being emitted.
+	 * @returns {boolean} `true` if the event runs through middleware before reaching the listeners.
+	 */
+	#intercepts(type) {
+		if (type === "newListener" || type === "removeListener") return false;
+		return this.#middleware.length > 0 || classMiddleware(this.constructor).length > 0;
+	}
+
+	/**
+	 * Runs the class and instance middleware for an event, then passes it to `dispatch`
+	 * unless one of them drops it. The `'newListener'` and `'removeListener'` events skip the middleware.
+	 *
+	 * @param {string|symbol} type - The event type being emitted.
+	 * @param {any[]} args - The arguments the event is being emitted with.
+	 * @param {(type: string|symbol, args: any[]) => any} dispatch - Calls the listeners.
+	 * @returns {any} The value returned by the first middleware, or by `dispatch` if there is no middleware.
+	 */
+	#intercept(type, args, dispatch) {
+		if (!this.#intercepts(type)) return dispatch(type, args);
+
+		// Copy the middleware, so that middleware added or removed while the event runs through it applies from the next emit.
+		const middleware = [...classMiddleware(this.constructor), ...this.#middleware];
+
+		const run = (index, type, args) => {
+			if (index === middleware.length) return dispatch(type, args);
+
+			let called = false;
+
+			return middleware[index].call(this, type, args, (nextType = type, nextArgs = args) => {
+				if (called) throw new Error("next() was called more than once by the same middleware.");
+				if (!Array.isArray(nextArgs)) throw new TypeError(`The "args" passed to next() must be an array. Received type ${typeof nextArgs}`);
+
+				called = true;
+
+				return run(index + 1, nextType, nextArgs);
+			});
+		};
+
+		return run(0, type, args);
+	}
+
+	/**
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {boolean} `true` if the event was emitted successfully.
+	 */
+	#emit(type, ...args) {
+		this.#validate(type, args);
+		this.#retain(type, args);
+		this.#countEmit(type);
+
+		const listeners = this.#events.get(type);
+		const patterns = this.#matchPatterns(type);
+
+		if (!listeners && !patterns) return false;
+
+		// Without patterns every listener is called with the same arguments, so copying the listeners is enough.
+		const calls = patterns ? this.#snapshot(type, args) : listeners.slice();
+		const event = typeof args[0] === "object" && args[0] instanceof Event ? args[0] : null;
+		const errors = [];
+		const rejections = [];
+
+		for (const call of calls) {
+			if (event && _stoppedEvents.has(event)) break;
+
+			try {
+				const rejection = patterns ? this.#invoke(call[0], type, args, call[1]) : this.#invoke(call, type, args);
+				if (rejection) rejections.push(rejection);
+			} catch (error) {
+				if (this.errorPolicy !== "continue") throw error;
+				errors.push(error);
+			}
+		}
+
+		// Captured rejections settle after the emit returns, where nothing can catch them, so they are reported together instead.
+		if (rejections.length && this.errorPolicy === "continue") {
+			Promise.allSettled(rejections).then(results => {
+				const rejected = results.filter(result => result.status === "rejected").map(result => result.reason);
+				if (rejected.length) this.#reportError(listenerErrors(type, rejected));
+			});
+		}
+
+		if (errors.length) this.#throwCollected(type, errors);
+
+		return true;
+	}
+
+	/**
+	 * @param {string|symbol} type - The event type.
+	 * @returns {{ emitted: number, listeners: Map<Function, ListenerStats> }} The statistics recorded for the event type.
+	 */
+	#statsFor(type) {
+		if (!this.#stats.has(type)) this.#stats.set(type, { emitted: 0, listeners: new Map() });
+		return this.#stats.get(type);
+	}
+
+	/**
+	 * Counts an emit of the event type, if `metrics` are enabled. The `'newListener'` and `'removeListener'` events are not counted.
+	 *
+	 * @param {string|symbol} type - The event type being emitted.
+	 */
+	#countEmit(type) {
+		if (this.metrics && type !== "newListener" && type !== "removeListener") this.#statsFor(type).emitted++;
+	}
+
+	/**
+	 * Groups listeners by where they were added, most common first. Listeners added while `captureStacks`
+	 * was disabled are grouped under the site `"unknown"`.
+	 *
+	 * @param {Function[]} listeners - The listeners, as stored for an event type.
+	 * @returns {LeakSite[]} The registration sites of the listeners.
+	 */
+	#leakSites(listeners) {
+		const sites = new Map();
+
+		for (const listener of listeners) {
+			const { site, stack } = this.#registrations.get(listener) ?? { site: "unknown", stack: "" };
+			const original = this.#unwrap(listener);
+
+			if (!sites.has(site)) sites.set(site, { site, stack, count: 0, listeners: [] });
+
+			const entry = sites.get(site);
+			entry.count++;
+			entry.listeners.push(original?.name || "anonymous");
+		}
+
+		return [...sites.values()].sort((a, b) => b.count - a.count);
+	}
+
+	/**
+	 * Records how long a listener took, and logs a `SlowListenerWarning` the first time it is slower than the `slowListenerThreshold`.
+	 *
+	 * @param {string|symbol} type - The event type the listener was called for.
+	 * @param {Function} listener - The original listener.
+	 * @param {number} duration - How long the listener took, in milliseconds.
+	 * @param {boolean} async - Whether the duration is how long the promise returned by the listener took to settle.
+	 */
+	#recordDuration(type, listener, duration, async) {
+		const { listeners } = this.#statsFor(type);
+
+		if (!listeners.has(listener)) {
+			listeners.set(listener, { calls: 0, totalDuration: 0, maxDuration: 0, asyncCalls: 0, totalAsyncDuration: 0, maxAsyncDuration: 0 });
+		}
+
+		const stats = listeners.get(listener);
+
+		if (async) {
+			stats.asyncCalls++;
+			stats.totalAsyncDuration += duration;
+			stats.maxAsyncDuration = Math.max(stats.maxAsyncDuration, duration);
+		}
+		else {
+			stats.calls++;
+			stats.totalDuration += duration;
+			stats.maxDuration = Math.max(stats.maxDuration, duration);
+		}
+
+		const threshold = this.slowListenerThreshold;
+
+		if (threshold > 0 && duration > threshold && !this.#slowWarned.has(stats)) {
+			this.#slowWarned.add(stats);
+
+			const warning = new Error(`Slow listener detected. A '${String(type)}' listener took ${duration.toFixed(1)}ms ${async ? "to settle" : "to return"}, more than the ${threshold}ms threshold. Use emitter.slowListenerThreshold to change the threshold`);
+
+			warning.name = "SlowListenerWarning";
+			warning.emitter = this;
+			warning.type = type;
+			warning.listener = listener;
+			warning.duration = duration;
+
+			console.warn(warning);
+		}
+	}
+
+	/**
+	 * Calls a listener, recording how long it takes if `metrics` are enabled. Debounced, throttled and delayed listeners
+	 * are recorded when they are actually called, rather than each time an event reaches them.
+	 *
+	 * @param {Function} listener - The listener to call.
+	 * @param {string|symbol} type - The event type being emitted.
+	 * @param {any[]} callArgs - The arguments to call the listener with.
+	 * @param {boolean} [awaited=false] - Whether the emitter waits for a returned promise, in which case a promise that settles
+	 * once its duration has been recorded is returned in its place. Otherwise its duration is recorded without affecting it.
+	 * @returns {any} The value returned by the listener, or a promise that settles the same way as the returned promise.
+	 */
+	#call(listener, type, callArgs, awaited = false) {
+		if (!this.metrics || this.#timedWrappers.has(listener)) return listener.apply(this, callArgs);
+
+		const original = this.#unwrap(listener);
+		const start = performance.now();
+		let result;
+
+		try {
+			result = listener.apply(this, callArgs);
+		} finally {
+			this.#recordDuration(type, original, performance.now() - start, false);
+		}
+
+		if (typeof result?.then !== "function") return result;
+
+		const record = () => this.#recordDuration(type, original, performance.now() - start, true);
+
+		if (awaited) return Promise.resolve(result).finally(record);
+
+		// Rethrow rejections so that one nobody handles is still reported as unhandled, the same as without metrics.
+		Promise.resolve(result).then(record, error => {
+			record();
+			throw error;
+		});
+
+		return result;
+	}
+
+	/**
+	 * Calls a single listener, routing thrown errors and, with `captureRejections`, rejected promises.
+	 *
+	 * @param {Function} listener - The listener to call.
+	 * @param {string|symbol} type - The event type being emitted.
+	 * @param {any[]} args - The arguments the event was emitted with.
+	 * @param {any[]} [callArgs=args] - The arguments to call the listener with.
+	 * @returns {Promise<void>|undefined} A promise that rejects if a captured rejection is not handled.
+	 */
+	#invoke(listener, type, args, callArgs = args) {
+		try {
+			const result = this.#call(listener, type, callArgs, this.captureRejections);
+
+			if (result !== undefined && result !== null && this.captureRejections && typeof result.then === "function") { // If the listener returns a promise or thenable
+				return Promise.resolve(result).then(undefined, error => this.#handleRejection(error, type, args));
+			}
+		} catch (error) {
+			this.#handleError(error);
+		}
+	}
+
+	/**
+	 * Calls each listener in turn, waiting for any returned promise to settle before calling the next one.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param {any[]} args - The arguments to pass to the listeners.
+	 * @returns {Promise<any[]>} The resolved results of the listeners, in order.
+	 */
+	async #emitSerial(type, args) {
+		this.#validate(type, args);
+		this.#retain(type, args);
+		this.#countEmit(type);
+
+		const results = [];
+		const errors = [];
+
+		for (const [listener, callArgs] of this.#snapshot(type, args)) {
+			try {
+				results.push(await this.#call(listener, type, callArgs, true));
+			} catch (error) {
+				this.#collectError(errors, () => this.#handleRejection(error, type, args));
+				results.push(undefined);
+			}
+		}
+
+		if (errors.length) this.#throwCollected(type, errors);
+
+		return results;
+	}
+
+	/**
+	 * Calls every listener synchronously, then waits for all of the returned promises to settle.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param {any[]} args - The arguments to pass to the listeners.
+	 * @returns {Promise<any[]>} The resolved results of the listeners, in order.
+	 */
+	#emitParallel(type, args) {
+		try {
+			this.#validate(type, args);
+		} catch (error) {
+			return Promise.reject(error);
+		}
+
+		this.#retain(type, args);
+		this.#countEmit(type);
+
+		const errors = [];
+
+		return Promise.all(this.#snapshot(type, args).map(([listener, callArgs]) =>
+			new Promise(resolve => resolve(this.#call(listener, type, callArgs, true)))
+				.then(undefined, error => void this.#collectError(errors, () => this.#handleRejection(error, type, args)))
+		)).then(results => {
+			if (errors.length) this.#throwCollected(type, errors);
+			return results;
+		});
+	}
+
+	/**
+	 * Adds a listener that is called during the capture phase of events dispatched on this emitter or its descendants.
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function|{ handleEvent: Function }} listener - The listener to add.
+	 * @param {{ once: boolean, passive: boolean, signal?: AbortSignal }} options - Options for the listener.
+	 */
+	#addCaptureListener(type, listener, { once, passive, signal }) {
+		this.#checkSignal(signal);
+		if (signal?.aborted) return;
+
+		if (!_captureListeners.has(this)) _captureListeners.set(this, new Map());
+
+		const types = _captureListeners.get(this);
+		if (!types.has(type)) types.set(type, new Map());
+
+		const registered = types.get(type);
+		if (registered.has(listener)) return;
+
+		const wrapper = this.#eventListener(type, listener, { once, passive, capture: true });
+
+		registered.set(listener, { once, passive, remove: () => this.#removeListener(type, wrapper) });
+		this.#onceRegistry.set(wrapper, listener);
+
+		this.#addListener(type, wrapper, false, { signal }, () => {
+			registered.delete(listener);
+			if (registered.size === 0 && types.get(type) === registered) types.delete(type);
+		});
+	}
+
+	/**
+	 * Wraps a listener added with {@linkcode EventEmitter.addEventListener}, so that it is called with an `Event`
+	 * however the event was emitted.
+	 *
+	 * @param {string|symbol} type - The event type the listener is added to.
+	 * @param {Function|{ handleEvent: Function }} listener - The listener to wrap.
+	 * @param {{ once: boolean, passive: boolean, capture: boolean }} options - Options for the listener. Capture listeners are not
+	 * called for events being dispatched through their phases, since the capture phase calls them instead.
+	 * @returns {Function} The wrapper to add to the listeners of the event type.
+	 */
+	#eventListener(type, listener, { once, passive, capture }) {
+		const wrapper = (...args) => {
+			// Pattern listeners receive the emitted event type before the arguments
+			const [eventType, eventArgs] = this.#patterns.has(type) ? [args[0], args.slice(1)] : [type, args];
+			const event = eventArgs[0] instanceof Event ? eventArgs[0] : toEvent(eventType, eventArgs);
+
+			if (capture && _dispatchingEvents.has(event)) return;
+			if (once) this.removeListener(type, wrapper);
+
+			return callEventListener(this, listener, event, passive);
+		};
+
+		return wrapper;
+	}
+
+	/**
+	 * Dispatches an event through its capture, target and, if it bubbles, bubbling phases.
+	 *
+	 * @param {string|symbol} type - The event type to emit the event as.
+	 * @param {Event} event - The event to dispatch.
+	 * @returns {boolean} `false` if the event is cancelable and a listener called `preventDefault()`, `true` otherwise.
+	 */
+	#dispatch(type, event) {
+		// An event dispatched again from one of its own listeners is still being dispatched once that dispatch returns.
+		const dispatching = !_dispatchingEvents.has(event);
+		if (dispatching) _dispatchingEvents.add(event);
+
+		try {
+			return this.#propagate(type, event);
+		} finally {
+			if (dispatching) _dispatchingEvents.delete(event);
+		}
+	}
 
-		const events = this.#events.get(type);
-		if (!events) return this;
+	/**
+	 * Calls the listeners of an event in its capture, target and, if it bubbles, bubbling phases. See {@linkcode #dispatch}.
+	 *
+	 * @param {string|symbol} type - The event type to emit the event as.
+	 * @param {Event} event - The event to dispatch.
+	 * @returns {boolean} `false` if the event is cancelable and a listener called `preventDefault()`, `true` otherwise.
+	 */
+	#propagate(type, event) {
+		Object.defineProperty(event, "target", { value: this, configurable: true });
+		trackPropagation(event);
+
+		const ancestors = [];
+		for (let parent = this.parentEmitter; parent; parent = parent.parentEmitter) ancestors.push(parent);
+
+		for (const ancestor of ancestors.toReversed()) {
+			if (event.cancelBubble) break;
+
+			setEventPhase(event, Event.CAPTURING_PHASE);
+			setCurrentTarget(event, ancestor);
+			capture(ancestor, type, event);
+		}
+
+		if (!event.cancelBubble) {
+			setEventPhase(event, Event.AT_TARGET);
+			setCurrentTarget(event, this);
+			capture(this, type, event);
 
-		if (this.#onceRegistry.has(listener)) {
-			listener = this.#onceRegistry.get(listener);
-			this.#onceRegistry.delete(listener);
+			if (!_stoppedEvents.has(event)) this.emit(type, event);
 		}
 
-		const index = events.indexOf(listener);
+		if (event.bubbles) {
+			for (const ancestor of ancestors) {
+				if (event.cancelBubble) break;
+
+				setEventPhase(event, Event.BUBBLING_PHASE);
+				setCurrentTarget(event, ancestor);
+
+				if (typeof ancestor.emit === "function") ancestor.emit(type, event);
+				else ancestor.dispatchEvent(event);
+			}
+		}
+
+		return !event.defaultPrevented;
+	}
+
+	// ======== Public Methods ========
+
+	/**
+	 * Returns the current max listener value for the {@linkcode EventEmitter} which is 
+	 * either set by {@linkcode EventEmitter.setMaxListeners} or defaults to {@linkcode EventEmitter.defaultMaxListeners}.
+	 *
+	 * @param {string|symbol} [type] - The event type to return the max listener value of, if it has its own.
+	 * @returns {number} The current max listener value.
+	 */
+	getMaxListeners(type) {
+		if (type !== undefined && this.#typeMaxListeners.has(type)) return this.#typeMaxListeners.get(type);
+		return this.maxListeners;
+	}
 
-		if (index !== -1) {
-			events.splice(index, 1);
-			if (events.length === 0) this.#events.delete(type);
+	/**
+	 * Sets the max listener value for the {@linkcode EventEmitter} instance, or for the event named `type`,
+	 * which overrides the value for the instance. Passing `undefined` as the value for `type` removes its override.
+	 *
+	 * @example
+	 * ```js
+	 * emitter.setMaxListeners(20);
+	 * emitter.setMaxListeners("change", 100);
+	 * ```
+	 *
+	 * @overload
+	 * @param {number} max - The max listener value to set.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 *
+	 * @overload
+	 * @param {string|symbol} type - The event type to set the max listener value of.
+	 * @param {number} [max] - The max listener value to set, or `undefined` to use the value for the instance.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	setMaxListeners(...args) {
+		if (typeof args[0] !== "string" && typeof args[0] !== "symbol") {
+			this.maxListeners = args[0];
+			return this;
 		}
 
-		this.emit("removeListener", type, listener);
+		const [type, max] = args;
+
+		if (max === undefined) this.#typeMaxListeners.delete(type);
+		else this.#typeMaxListeners.set(type, checkMaxListeners(max));
 
 		return this;
 	}
 
 	/**
-	 * Emits the 'removeListener' event for the specified listener, 
-	 * either the original listener or the listener wrapped by the {@linkcode #addLimitedListener} method.
+	 * Alias for {@linkcode EventEmitter.on}
 	 *
-	 * @param {string|symbol} type - The event type to emit.
-	 * @param {Function} listener - The listener to emit.
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {ListenerOptions} [options] - Options for the listener.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
 	 */
-	#emitRemoved(type, listener) {
-		if (this.#onceRegistry.has(listener)) 
-			listener = this.#onceRegistry.get(listener);
+	addListener(type, listener, options = {}) {
+		return this.#addListener(type, listener, options.prepend, options);
+	}
 
-		this.emit("removeListener", type, listener);
+	/**
+	 * Alias for {@linkcode EventEmitter.once}
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {ListenerOptions} [options] - Options for the listener.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	addOnceListener(type, listener, options = {}) {
+		return this.#addLimitedListener(type, listener, 1, options.prepend, options);
 	}
 
 	/**
-	 * Removes all listeners from the specified event type.
+	 * Alias for {@linkcode EventEmitter.limited}
 	 *
-	 * @param {string|symbol} type - The event type to remove all listeners from.
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
+	 * @param {ListenerOptions} [options] - Options for the listener.
 	 * @returns {EventEmitter} The instance of the EventEmitter class.
 	 */
-	#removeListeners(type) {
-		const listeners = this.#events.get(type);
-		if (!listeners) return this;
+	addLimitedListener(type, listener, count, options = {}) {
+		return this.#addLimitedListener(type, listener, count, options.prepend, options);
+	}
 
-		listeners.forEach(listener => this.#emitRemoved(type, listener));
+	/**
+	 * Adds the `listener` function to the beginning of the listeners array for the event named `type`. 
+	 * No checks are made to see if the listener has already been added. 
+	 * Multiple calls passing the same combination of `type` and `listener` will result in the `listener` being added,
+	 * and called, multiple times.
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {ListenerOptions} [options] - Options for the listener.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	prependListener(type, listener, options = {}) {
+		return this.#addListener(type, listener, true, options);
+	}
 
-		this.#events.delete(type);
+	/**
+	 * Adds a one-time `listener` function for the event named `type` to the beginning of the listeners array.
+	 * The next time `type` is triggered, this listener is removed, and then invoked.
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {ListenerOptions} [options] - Options for the listener.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	prependOnceListener(type, listener, options = {}) {
+		return this.#addLimitedListener(type, listener, 1, true, options);
+	}
 
-		return this;
+	/**
+	 * Adds a limited-use `listener` function for the event named `type` to the beginning of the listeners array.
+	 * This listener is removed after being called the specified number of times.
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
+	 * @param {ListenerOptions} [options] - Options for the listener.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	prependLimitedListener(type, listener, count, options = {}) {
+		return this.#addLimitedListener(type, listener, count, true, options);
 	}
 
 	/**
-	 * Removes all listeners from all event types.
+	 * Removes the specified `listener` from the listener array for the event named `type`.
 	 *
+	 * @param {string|symbol} type - The event type to remove the listener from.
+	 * @param {Function} listener - The listener to remove.
 	 * @returns {EventEmitter} The instance of the EventEmitter class.
 	 */
-	#removeAllListeners() {
-		this.#events.forEach((listeners, type) => 
-			listeners.forEach(listener => this.#emitRemoved(type, listener))
-		);
+	removeListener(type, listener) {
+		return this.#removeListener(type, listener);
+	}
 
-		this.#events.clear();
+	/**
+	 * Adds the `listener` function to the end of the listeners array for the event named `type`.
+	 * No checks are made to see if the `listener` has already been added.
+	 * Multiple calls passing the same combination of `type` and `listener` will result in the `listener` being added,
+	 * and called, multiple times.
+	 *
+	 * Listeners are called in order of their `priority` option, highest first, and in the order they were added
+	 * when their priorities are equal. A listener can be given a `name` so that other listeners of the same event type
+	 * can be ordered relative to it with the `before` and `after` options, which take precedence over priorities.
+	 *
+	 * If a `signal` is provided, the listener is removed when the signal is aborted,
+	 * and is not added at all if the signal has already been aborted.
+	 *
+	 * @example
+	 * ```js
+	 * emitter.on("request", authenticate, { name: "auth", priority: 10 });
+	 * emitter.on("request", log, { after: "auth" });
+	 * ```
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {ListenerOptions} [options] - Options for the listener.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @throws {Error} If the `before` and `after` constraints of the listeners for `type` are circular.
+	 */
+	on(type, listener, options = {}) {
+		return this.#addListener(type, listener, options.prepend, options);
+	}
 
-		return this;
+	/**
+	 * Adds a one-time `listener` function for the event named `type`.
+	 * The next time `type` is triggered, this listener is removed, and then invoked.
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {ListenerOptions} [options] - Options for the listener.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	once(type, listener, options = {}) {
+		return this.#addLimitedListener(type, listener, 1, options.prepend, options);
+	}
+
+	/**
+	 * Adds a limited-use `listener` function for the event named `type`.
+	 * This listener is removed after being called the specified number of times.
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
+	 * @param {boolean|ListenerOptions} [prepend=false] - Whether to prepend the listener to the list of listeners for the event type, or options for the listener.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	limited(type, listener, count = 1, prepend = false) {
+		if (prepend && typeof prepend === "object") return this.#addLimitedListener(type, listener, count, prepend.prepend, prepend);
+		return this.#addLimitedListener(type, listener, count, prepend);
+	}
+
+	/**
+	 * Alias for {@linkcode EventEmitter.removeListener}
+	 *
+	 * @param {string|symbol} type - The event type to remove the listener from.
+	 * @param {Function} listener - The listener to remove.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 */
+	off(type, listener) {
+		return this.#removeListener(type, listener);
+	}
+
+	/**
+	 * Adds the `listener` function for the event named `type` the same way as {@linkcode EventEmitter.on},
+	 * or {@linkcode EventEmitter.once} with the `once` option, and returns a {@linkcode Subscription}
+	 * that removes exactly this registration of the listener when unsubscribed or disposed.
+	 *
+	 * @example
+	 * ```js
+	 * using subscription = emitter.subscribe("event", listener);
+	 * ```
+	 *
+	 * @param {string|symbol} type - The event type to add the listener to.
+	 * @param {Function} listener - The listener to add.
+	 * @param {ListenerOptions & { once?: boolean }} [options] - Options for the listener.
+	 * @returns {Subscription} A subscription that removes the listener.
+	 */
+	subscribe(type, listener, options = {}) {
+		this.#checkSignal(options.signal);
+
+		const controller = new AbortController();
+		const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+		if (options.once) this.#addLimitedListener(type, listener, 1, options.prepend, { ...options, signal });
+		else this.#addListener(type, listener, options.prepend, { ...options, signal });
+
+		return new Subscription(() => controller.abort(), { emitter: this, type, listener });
+	}
+
+	/**
+	 * Forwards events emitted by this emitter to `target`. See {@linkcode forward} in `forward.js` for the options.
+	 *
+	 * @example
+	 * ```js
+	 * const link = child.forward(parent, "**", { prefix: "child:" });
+	 * link.unsubscribe(); // Stops forwarding
+	 * ```
+	 *
+	 * @param {object} target - The emitter to forward events to.
+	 * @param {string|symbol|(string|symbol)[]} [types="**"] - The event types to forward, or `"**"` for every event.
+	 * @param {import("./forward.js").ForwardOptions} [options] - Options for forwarding.
+	 * @returns {Subscription} A subscription that stops forwarding when unsubscribed or disposed.
+	 */
+	forward(target, types, options) {
+		return forwardEvents(this, target, types, options);
+	}
+
+	/**
+	 * Connects this emitter to an emitter on the other side of a `MessagePort`, `Worker` or `parentPort`,
+	 * so that the event types either side listens to are sent across. See {@linkcode bridge} in `bridge.js`.
+	 *
+	 * @example
+	 * ```js
+	 * const link = emitter.bridge(worker, { types: ["progress", "error"] });
+	 * link.unsubscribe(); // Closes the bridge
+	 * ```
+	 *
+	 * @param {MessagePort|object} port - The port to send and receive events on.
+	 * @param {import("./bridge.js").BridgeOptions} [options] - Options for the bridge.
+	 * @returns {Subscription} A subscription that closes the bridge when unsubscribed or disposed.
+	 */
+	bridge(port, options) {
+		return bridgeEvents(this, port, options);
+	}
+
+	/**
+	 * Runs `fn` as a transaction, queueing the events passed to {@linkcode EventEmitter.emit} until it completes,
+	 * then emitting them in order. If `fn` throws, or returns a promise that rejects, the queued events are discarded.
+	 * `'error'`, `'newListener'` and `'removeListener'` are never queued, and neither are the events dispatched by
+	 * {@linkcode EventEmitter.emitCancelable}, {@linkcode EventEmitter.dispatchEvent} and {@linkcode EventEmitter.bubble},
+	 * so that listeners can still veto them. See {@linkcode batchEvents|batch()} for how nested batches and the `coalesce` option work.
+	 *
+	 * @example
+	 * ```js
+	 * emitter.batch(() => {
+	 *     emitter.emit("change", "name");
+	 *     emitter.emit("change", "email");
+	 * }, { coalesce: ["change"] }); // Emits 'change' once, with "email"
+	 * ```
+	 *
+	 * @template T
+	 * @param {() => T} fn - The function to run.
+	 * @param {object} [options]
+	 * @param {import("./batch.js").CoalesceOption} [options.coalesce] - Which event types to only emit once.
+	 * @returns {T} The value returned by `fn`, or a promise that is fulfilled with it once the events have been emitted.
+	 */
+	batch(fn, options) {
+		return batchEvents(this, fn, options);
+	}
+
+	/**
+	 * Adds middleware that runs whenever an event is emitted with {@linkcode EventEmitter.emit}, `emitAsync()`,
+	 * `emitSerial()`, `emitParallel()` or `dispatchEvent()`, including by the `@emit` and `@emits` decorators,
+	 * before the arguments are validated and the listeners are called. The `'newListener'` and `'removeListener'`
+	 * events skip the middleware.
+	 *
+	 * Middleware is called with the event type, the arguments, and a `next()` function. It can pass the event on
+	 * unchanged with `next()`, with a different type or arguments with `next(type, args)`, later by calling `next()`
+	 * asynchronously, or drop the event by not calling `next()` at all. `emit()` only returns `true` if the event
+	 * reached its listeners before the middleware returned.
+	 *
+	 * @example
+	 * ```js
+	 * emitter.use((type, args, next) => {
+	 *     if (type === "login") return next(type, [{ ...args[0], password: undefined }]);
+	 *     return next();
+	 * });
+	 * ```
+	 *
+	 * @param {Middleware} middleware - The middleware to add.
+	 * @returns {Subscription} A subscription that removes the middleware.
+	 */
+	use(middleware) {
+		return addMiddleware(this.#middleware, middleware);
+	}
+
+	/**
+	 * Returns an array listing the events for which the emitter has registered listeners.
+	 * The values in the array are strings or `Symbols`.
+	 *
+	 * @returns {(string|symbol)[]} An array of event names.
+	 */
+	eventNames() {
+		return [...this.#events.keys()];
+	}
+
+	/**
+	 * Returns the number of listeners listening for the event named `type`,
+	 * including listeners registered on wildcard patterns that match `type`.
+	 * If `listener` is provided, it will return how many times the listener is found in the list of the listeners of the event.
+	 *
+	 * @param {string|symbol} type - The event type to count the listeners for.
+	 * @param {Function} [listener] - The listener to count.
+	 */
+	listenerCount(type, listener) {
+		const listeners = this.#snapshot(type, []);
+
+		if (listener && this.#checkListener(listener)) 
+			return listeners.filter(([fn]) => this.#wraps(fn, listener)).length;
+
+		return listeners.length;
+	}
+
+	/**
+	 * Returns a copy of the array of listeners for the event named `type`,
+	 * including any wrappers (such as those created by {@linkcode once()}).
+	 *
+	 * @param {string|symbol} type - The event type to return the listeners for.
+	 * @returns {Function[]} An array of listeners for the specified event type.
+	 */
+	rawListeners(type) {
+		return this.#events.get(type)?.map(fn => this.#registrationWrappers.has(fn) ? this.#wrapped(fn) : fn) ?? [];
+	}
+
+	/**
+	 * Returns a copy of the array of listeners for the event named `type`.
+	 * 
+	 * @param {string|symbol} type - The event type to return the listeners for.
+	 * @returns {Function[]} An array of listeners for the specified event type.
+	 */
+	listeners(type) {
+		return this.#events.get(type)?.map(listener => this.#unwrap(listener)) ?? [];
 	}
 
 	/**
-	 * Adds a listener to the specified event type that will only be called a specified number of times.
-	 * The listener will be removed after the specified number of calls.
+	 * Removes all listeners, or those of the specified `type`.
 	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
-	 * @param {boolean} [prepend=false] - Whether to prepend the listener to the list of listeners for the event type.
+	 * @param {string|symbol} [type] - The event type to remove listeners from.
 	 * @returns {EventEmitter} The instance of the EventEmitter class.
 	 */
-	#addLimitedListener(type, listener, count = 1, prepend = false) {
-		const limitedWrapped = (...args) => {
-			if (--count < 1) this.removeListener(type, limitedWrapped);
-			return listener.apply(this, args);
-		};
-
-		this.#addListener(type, limitedWrapped, prepend);
-
-		return this;
+	removeAllListeners(type) {
+		if (type === undefined) return this.#removeAllListeners();
+		return this.#removeListeners(type);
 	}
 
 	/**
+	 * Synchronously calls each of the listeners registered for the event named `type`,
+	 * in the order they were registered, passing the supplied arguments to each.
+	 *
+	 * When the `wildcard` option is enabled, listeners registered on wildcard patterns that match `type`
+	 * are called afterwards, with `type` passed before the supplied arguments. Patterns are split into segments
+	 * by the `delimiter` (`":"` by default); a `*` segment matches any single segment
+	 * and a `**` segment matches any number of segments, so `"user:*"` matches `"user:login"`
+	 * and `"**"` matches every string event type.
+	 *
+	 * If a listener throws and there is no `'error'` listener, the `errorPolicy` decides whether the error
+	 * is re-thrown straight away, thrown with any others once every listener has been called, or only reported.
+	 *
+	 * If the class declares its events, with a static `events` map or the `@event` decorator,
+	 * the arguments are validated first according to the `validation` and `strictEvents` options.
+	 *
+	 * While a {@linkcode EventEmitter.batch} is running, the event is queued instead, and `emit()` returns whether it currently has listeners.
+	 *
+	 * Each emit is published to the `"event-emitter-decorators:emit"` tracing channel of `node:diagnostics_channel`
+	 * while it has subscribers, with the class name, event type and listener count.
+	 *
+	 * @throws {Error} An `EventValidationError` if the arguments are invalid and `validation` is `"throw"`.
 	 * @param {string|symbol} type - The event type to emit.
 	 * @param  {...any} args - The arguments to pass to the listeners.
-	 * @returns {boolean} `true` if the event was emitted successfully.
+	 * @returns {boolean} `true` if the event had listeners, `false` otherwise.
 	 */
-	#emit(type, ...args) {
-		const listeners = this.#events.get(type);
-
-		if (!listeners) return false;
+	emit(type, ...args) {
+		if (queueEmit(this, type, args)) return this.listenerCount(type) > 0;
 
-		for (const listener of listeners.slice()) {
-			try {
-				const result = listener.apply(this, args);
-
-				if (result !== undefined && result !== null && this.captureRejections && typeof result.then === "function") { // If the listener returns a promise or thenable
-					result.then(undefined, error => { // Handle the promise rejection
-						// Use the 'nodejs.rejection' symbol to handle the rejection if it exists
-						if (this[Symbol.for("nodejs.rejection")]) return this[Symbol.for("nodejs.rejection")](error, type, ...args);
-
-						// Otherwise, emit the 'error' event if it exists, otherwise emit the 'Symbol(EventEmitter.errorMonitor)' event and re-throw the error
-						if (this.#events.has("error")) this.#emit("error", error);
-						else {
-							if (this.#events.has(EventEmitter.errorMonitor)) this.#emit(EventEmitter.errorMonitor, error);
-							throw error; // Unhandled 'error' event
-						}
-					});
-				}
-			} catch (error) {
-				// If the listener throws an error, emit the 'error' event
-				if (this.#events.has("error")) this.#emit("error", error);
-				else { // If there is no 'error' event listener emit the 'Symbol(EventEmitter.errorMonitor)' event and re-throw the error 
-					if (this.#events.has(EventEmitter.errorMonitor)) this.#emit(EventEmitter.errorMonitor, error);
-					throw error; // Unhandled 'error' event
-				}
-			}
-		}
+		if (!this.#intercepts(type)) return traceEmit(this, type, args, () => this.#emit(type, ...args));
 
-		return true;
+		return traceEmit(this, type, args, () => this.#intercept(type, args, (type, args) => this.#emit(type, ...args)) === true);
 	}
 
-	// ======== Public Methods ========
-
 	/**
-	 * Returns the current max listener value for the {@linkcode EventEmitter} which is 
-	 * either set by {@linkcode EventEmitter.setMaxListeners} or defaults to {@linkcode EventEmitter.defaultMaxListeners}.
+	 * Alias for {@linkcode EventEmitter.emitParallel}
 	 *
-	 * @returns {number} The current max listener value.
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {Promise<any[]>} A promise that resolves with the results of the listeners.
 	 */
-	getMaxListeners() {
-		return this.maxListeners;
+	emitAsync(type, ...args) {
+		return this.emitParallel(type, ...args);
 	}
 
 	/**
-	 * Sets the max listener value for the {@linkcode EventEmitter} instance.
+	 * Calls each of the listeners registered for the event named `type` one at a time,
+	 * waiting for any promise returned by a listener to settle before calling the next.
 	 *
-	 * @param {number} max - The max listener value to set.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * Rejections and thrown errors are routed through `Symbol.for("nodejs.rejection")`,
+	 * the `'error'` event, or `EventEmitter.errorMonitor` the same way as with `captureRejections`.
+	 * If none of those handle the error, the returned promise rejects and the remaining listeners are not called,
+	 * unless the `errorPolicy` is `"continue"` or `"isolate"`.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {Promise<any[]>} A promise that resolves with the results of the listeners, in order.
 	 */
-	setMaxListeners(max) {
-		this.maxListeners = max;
-		return this;
+	emitSerial(type, ...args) {
+		return traceEmit(this, type, args, () => new Promise(resolve => resolve(this.#intercept(type, args, (type, args) => this.#emitSerial(type, args)))), true);
 	}
 
 	/**
-	 * Alias for {@linkcode EventEmitter.on}
+	 * Synchronously calls each of the listeners registered for the event named `type`,
+	 * then waits for all of the promises they return to settle.
 	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * Rejections and thrown errors are routed the same way as {@linkcode EventEmitter.emitSerial},
+	 * and the returned promise rejects with the first error that is not handled.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {Promise<any[]>} A promise that resolves with the results of the listeners, in order.
 	 */
-	addListener(type, listener) {
-		return this.#addListener(type, listener);
+	emitParallel(type, ...args) {
+		return traceEmit(this, type, args, () => new Promise(resolve => resolve(this.#intercept(type, args, (type, args) => this.#emitParallel(type, args)))), true);
 	}
 
 	/**
-	 * Alias for {@linkcode EventEmitter.once}
+	 * Emits the event named `type` later, according to the `scheduler`, instead of straight away.
+	 * This lets an emitter emit events from its constructor that are received by listeners added after it returns.
 	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * Since nothing may be waiting for the event, an error thrown while emitting it is emitted as an `'error'` event
+	 * if there are `'error'` listeners, otherwise to `errorMonitor` listeners, or logged, instead of rejecting the promise.
+	 *
+	 * @example
+	 * ```js
+	 * class Service extends EventEmitter {
+	 *     constructor() {
+	 *         super();
+	 *         this.emitLater("ready");
+	 *     }
+	 * }
+	 * ```
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {Promise<boolean>} A promise that is fulfilled with the result of {@linkcode EventEmitter.emit} once the event
+	 * has been emitted, or with `false` if it is cancelled or an error was thrown.
 	 */
-	addOnceListener(type, listener) {
-		return this.#addLimitedListener(type, listener, 1);
+	emitLater(type, ...args) {
+		return deferEmit(this, type, args, this.scheduler).catch(error => {
+			this.#reportError(error);
+			return false;
+		});
 	}
 
 	/**
-	 * Alias for {@linkcode EventEmitter.limited}
+	 * Emits the events scheduled with {@linkcode EventEmitter.emitLater} that have not been emitted yet straight away.
 	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
-	 * @param {boolean} [prepend=false] - Whether to prepend the listener to the list of listeners for the event type.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @param {string|symbol} [type] - Only flush the events of this type.
+	 * @returns {number} The number of events that were emitted.
 	 */
-	addLimitedListener(type, listener, count) {
-		return this.#addLimitedListener(type, listener, count);
+	flushDeferred(type) {
+		return flushDeferredEmits(this, type);
 	}
 
 	/**
-	 * Adds the `listener` function to the beginning of the listeners array for the event named `type`. 
-	 * No checks are made to see if the listener has already been added. 
-	 * Multiple calls passing the same combination of `type` and `listener` will result in the `listener` being added,
-	 * and called, multiple times.
+	 * Cancels the events scheduled with {@linkcode EventEmitter.emitLater} that have not been emitted yet.
 	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @param {string|symbol} [type] - Only cancel the events of this type.
+	 * @returns {number} The number of events that were cancelled.
 	 */
-	prependListener(type, listener) {
-		return this.#addListener(type, listener, true);
+	cancelDeferred(type) {
+		return cancelDeferredEmits(this, type);
 	}
 
+	// ======== EventTarget Methods ========
+
 	/**
-	 * Adds a one-time `listener` function for the event named `type` to the beginning of the listeners array.
-	 * The next time `type` is triggered, this listener is removed, and then invoked.
+	 * Adds a listener the same way as {@linkcode EventTarget.addEventListener}. The listener shares
+	 * the same list of listeners as {@linkcode EventEmitter.on}, so it is called for events emitted by
+	 * {@linkcode EventEmitter.emit} as well as {@linkcode EventEmitter.dispatchEvent}.
+	 *
+	 * The listener is always called with an `Event`. If the event was emitted with `emit()` and its first argument
+	 * is not an `Event`, a `CustomEvent` is created whose `detail` is the only argument, or an array of the arguments.
+	 *
+	 * Adding the same listener for the same event type more than once has no effect.
+	 *
+	 * Listeners added with the `capture` option are called and counted like the other listeners. For events dispatched
+	 * with {@linkcode EventEmitter.dispatchEvent}, {@linkcode EventEmitter.bubble} or {@linkcode EventEmitter.emitCancelable},
+	 * they are called in the capture phase instead, before the other listeners of the emitter and before the listeners
+	 * of its descendants the event was dispatched on, and not again when the event bubbles.
 	 *
 	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @param {Function|{ handleEvent: Function }|null} listener - The listener to add.
+	 * @param {boolean|{ once?: boolean, signal?: AbortSignal, capture?: boolean, passive?: boolean }} [options] - Options for the listener, or whether to use capture.
 	 */
-	prependOnceListener(type, listener) {
-		return this.#addLimitedListener(type, listener, 1, true);
+	addEventListener(type, listener, options = {}) {
+		if (listener === null || listener === undefined) return;
+
+		if (typeof listener !== "function" && typeof listener?.handleEvent !== "function") {
+			throw new TypeError(`The "listener" argument must be of type Function or an object with a handleEvent method. Received type ${typeof listener}`);
+		}
+
+		const useCapture = typeof options === "boolean" ? options : Boolean(options?.capture);
+
+		if (typeof options !== "object" || options === null) options = {};
+
+		const { once = false, passive = false, signal } = options;
+
+		if (useCapture) return this.#addCaptureListener(type, listener, { once, passive, signal });
+
+		if (!this.#eventTargetListeners.has(type)) this.#eventTargetListeners.set(type, new Map());
+
+		const registered = this.#eventTargetListeners.get(type);
+		if (registered.has(listener)) return;
+
+		const wrapper = this.#eventListener(type, listener, { once, passive, capture: false });
+
+		this.#checkSignal(signal);
+		if (signal?.aborted) return;
+
+		registered.set(listener, wrapper);
+		this.#onceRegistry.set(wrapper, listener);
+
+		this.#addListener(type, wrapper, false, { signal }, () => {
+			registered.delete(listener);
+			if (registered.size === 0) this.#eventTargetListeners.delete(type);
+		});
 	}
 
 	/**
-	 * Adds a limited-use `listener` function for the event named `type` to the beginning of the listeners array.
-	 * This listener is removed after being called the specified number of times.
+	 * Removes a listener added with {@linkcode EventEmitter.addEventListener}.
 	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @param {string|symbol} type - The event type to remove the listener from.
+	 * @param {Function|{ handleEvent: Function }|null} listener - The listener to remove.
+	 * @param {boolean|{ capture?: boolean }} [options] - Whether the listener was added with the `capture` option.
 	 */
-	prependLimitedListener(type, listener, count) {
-		return this.#addLimitedListener(type, listener, count, true);
+	removeEventListener(type, listener, options = {}) {
+		const useCapture = typeof options === "boolean" ? options : Boolean(options?.capture);
+
+		if (useCapture) return void _captureListeners.get(this)?.get(type)?.get(listener)?.remove();
+
+		const wrapper = this.#eventTargetListeners.get(type)?.get(listener);
+		if (wrapper) this.#removeListener(type, wrapper);
 	}
 
 	/**
-	 * Removes the specified `listener` from the listener array for the event named `type`.
+	 * Dispatches an event that bubbles up through the `parentEmitter` of this emitter and each of its ancestors.
+	 * Listeners receive a cancelable `CustomEvent`, the same as with {@linkcode EventEmitter.emitCancelable},
+	 * whose `target` is this emitter and whose `currentTarget` is the emitter whose listeners are being called.
+	 * Calling `stopPropagation()` prevents the event from reaching the next ancestor.
 	 *
-	 * @param {string|symbol} type - The event type to remove the listener from.
-	 * @param {Function} listener - The listener to remove.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass as the `detail` of the event.
+	 * @returns {boolean} `false` if a listener called `preventDefault()`, `true` otherwise.
 	 */
-	removeListener(type, listener) {
-		return this.#removeListener(type, listener);
+	bubble(type, ...args) {
+		this.#validate(type, args);
+		return this.#dispatch(type, markValidated(toEvent(type, args, { bubbles: true, cancelable: true })));
 	}
 
 	/**
-	 * Adds the `listener` function to the end of the listeners array for the event named `type`.
-	 * No checks are made to see if the `listener` has already been added.
-	 * Multiple calls passing the same combination of `type` and `listener` will result in the `listener` being added,
-	 * and called, multiple times.
+	 * Dispatches an `Event` the same way as {@linkcode EventTarget.dispatchEvent}, calling the listeners
+	 * for `event.type` with the event, including listeners added with {@linkcode EventEmitter.on}.
 	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * Capture listeners added to ancestors with `addEventListener()` are called first, starting from the outermost
+	 * {@linkcode EventEmitter.parentEmitter}. If `event.bubbles` is `true`, the listeners of each ancestor are then called
+	 * in turn, until a listener calls `stopPropagation()`.
+	 *
+	 * @param {Event} event - The event to dispatch.
+	 * @returns {boolean} `false` if the event is cancelable and a listener called `preventDefault()`, `true` otherwise.
 	 */
-	on(type, listener) {
-		return this.#addListener(type, listener);
+	dispatchEvent(event) {
+		if (!(event instanceof Event)) {
+			throw new TypeError(`The "event" argument must be an instance of Event. Received type ${typeof event}`);
+		}
+
+		return this.#dispatch(event.type, event);
 	}
 
 	/**
-	 * Adds a one-time `listener` function for the event named `type`.
-	 * The next time `type` is triggered, this listener is removed, and then invoked.
+	 * Emits a cancelable event. Listeners receive an `Event`, or a `CustomEvent` whose `detail` is the only argument
+	 * or an array of the arguments if there are several, and can veto the action the event announces by calling
+	 * `preventDefault()`. Calling `stopImmediatePropagation()` prevents the remaining listeners from being called.
 	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @example
+	 * ```js
+	 * emitter.on("close", (event) => {
+	 *     if (event.detail.unsaved) event.preventDefault();
+	 * });
+	 *
+	 * if (emitter.emitCancelable("close", { unsaved: true })) close();
+	 * ```
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass as the `detail` of the event.
+	 * @returns {boolean} `false` if a listener called `preventDefault()`, `true` otherwise.
 	 */
-	once(type, listener) {
-		return this.#addLimitedListener(type, listener, 1);
+	emitCancelable(type, ...args) {
+		this.#validate(type, args);
+		return this.#dispatch(type, markValidated(toEvent(type, args, { cancelable: true })));
 	}
 
+	// ======== Metrics Methods ========
+
 	/**
-	 * Adds a limited-use `listener` function for the event named `type`.
-	 * This listener is removed after being called the specified number of times.
-	 *
-	 * @param {string|symbol} type - The event type to add the listener to.
-	 * @param {Function} listener - The listener to add.
-	 * @param {number} [count=1] - The number of times the listener can be called before being removed.
-	 * @param {boolean} [prepend=false] - Whether to prepend the listener to the list of listeners for the event type.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @typedef {Object} ListenerStats
+	 * @property {number} calls - How many times the listener has been called.
+	 * @property {number} totalDuration - The total time the listener took to return, in milliseconds.
+	 * @property {number} maxDuration - The longest time the listener took to return, in milliseconds.
+	 * @property {number} asyncCalls - How many promises returned by the listener have settled.
+	 * @property {number} totalAsyncDuration - The total time from calling the listener until the promises it returned settled, in milliseconds.
+	 * @property {number} maxAsyncDuration - The longest time from calling the listener until the promise it returned settled, in milliseconds.
 	 */
-	limited(type, listener, count = 1, prepend = false) {
-		return this.#addLimitedListener(type, listener, count, prepend);
-	}
 
 	/**
-	 * Alias for {@linkcode EventEmitter.removeListener}
+	 * @typedef {Object} EventStats
+	 * @property {number} emitted - How many times the event has been emitted.
+	 * @property {Map<Function, ListenerStats>} listeners - The statistics of each listener that has been called for the event.
+	 */
+
+	/**
+	 * Returns the statistics recorded while `metrics` are enabled: how many times each event type has been emitted,
+	 * and how many times each listener has been called and how long it took.
 	 *
-	 * @param {string|symbol} type - The event type to remove the listener from.
-	 * @param {Function} listener - The listener to remove.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * Listeners are keyed by the function that was added, not by any wrapper. When a listener returns a promise, how long it
+	 * takes to settle is recorded as well, whether or not the emitter waits for it.
+	 * The recorded listeners are kept alive until {@linkcode EventEmitter.resetStats} is called, including weak listeners.
+	 *
+	 * @example
+	 * ```js
+	 * const emitter = new EventEmitter({ metrics: true, slowListenerThreshold: 50 });
+	 * // ...
+	 * for (const [listener, stats] of emitter.getStats("save").listeners) {
+	 *     console.log(listener.name, stats.calls, stats.maxDuration);
+	 * }
+	 * ```
+	 *
+	 * @param {string|symbol} [type] - The event type to return the statistics of.
+	 * @returns {Map<string|symbol, EventStats>|EventStats} A copy of the statistics of every event type, or of `type`.
 	 */
-	off(type, listener) {
-		return this.#removeListener(type, listener);
+	getStats(type) {
+		const copy = ({ emitted, listeners }) => ({
+			emitted,
+			listeners: new Map([...listeners].map(([listener, stats]) => [listener, { ...stats }]))
+		});
+
+		if (type !== undefined) return copy(this.#stats.get(type) ?? { emitted: 0, listeners: new Map() });
+
+		return new Map([...this.#stats].map(([type, stats]) => [type, copy(stats)]));
 	}
 
 	/**
-	 * Returns an array listing the events for which the emitter has registered listeners.
-	 * The values in the array are strings or `Symbols`.
+	 * Clears the statistics recorded for every event type, or for `type`. Listeners that have already been
+	 * reported by a `SlowListenerWarning` are reported again if they are slow again.
 	 *
-	 * @returns {(string|symbol)[]} An array of event names.
+	 * @param {string|symbol} [type] - The event type to clear the statistics of.
 	 */
-	eventNames() {
-		return [...this.#events.keys()];
+	resetStats(type) {
+		if (type === undefined) this.#stats.clear();
+		else this.#stats.delete(type);
 	}
 
 	/**
-	 * Returns the number of listeners listening for the event named `type`. 
-	 * If `listener` is provided, it will return how many times the listener is found in the list of the listeners of the event.
-	 *
-	 * @param {string|symbol} type - The event type to count the listeners for.
-	 * @param {Function} [listener] - The listener to count.
+	 * @typedef {Object} LeakSite
+	 * @property {string} site - Where the listeners were added, or `"unknown"` if their stacks were not captured.
+	 * @property {string} stack - The stack from where the first of the listeners was added.
+	 * @property {number} count - How many of the listeners were added there.
+	 * @property {string[]} listeners - The names of the listeners.
 	 */
-	listenerCount(type, listener) {
-		const listeners = this.#events.get(type);
 
-		if (!listeners) return 0;
+	/**
+	 * @typedef {Object} LeakReport
+	 * @property {string|symbol} type - The event type.
+	 * @property {number} count - How many listeners the event type has.
+	 * @property {number} max - The max listener value for the event type, see {@linkcode EventEmitter.getMaxListeners}.
+	 * @property {boolean} exceeded - Whether the event type has more listeners than the max listener value.
+	 * @property {LeakSite[]} sites - The listeners grouped by where they were added, most common first.
+	 */
 
-		if (listener && this.#checkListener(listener)) 
-			return listeners.filter(fn => fn === listener).length;
+	/**
+	 * Reports the listeners of every event type, or of `type`, grouped by where they were added,
+	 * with the event types that have the most listeners first. Where listeners were added is only known
+	 * if they were added while `captureStacks` was enabled.
+	 *
+	 * @example
+	 * ```js
+	 * const emitter = new EventEmitter({ captureStacks: true });
+	 * // ...
+	 * for (const { type, count, sites } of emitter.leakReport().filter(report => report.exceeded)) {
+	 *     console.log(type, count, sites.map(({ site, count }) => `${count} at ${site}`));
+	 * }
+	 * ```
+	 *
+	 * @param {string|symbol} [type] - The event type to report on.
+	 * @returns {LeakReport[]} A report for each event type that has listeners.
+	 */
+	leakReport(type) {
+		const types = type === undefined ? [...this.#events.keys()] : [type].filter(type => this.#events.has(type));
 
-		return listeners.length;
+		return types.map(type => {
+			const listeners = this.#events.get(type);
+			const max = this.getMaxListeners(type);
+
+			return { type, count: listeners.length, max, exceeded: max > 0 && listeners.length > max, sites: this.#leakSites(listeners) };
+		}).sort((a, b) => b.count - a.count);
 	}
 
+	// ======== Sticky Event Methods ========
+
 	/**
-	 * Returns a copy of the array of listeners for the event named `type`,
-	 * including any wrappers (such as those created by {@linkcode once()}).
+	 * Marks the event named `type` as sticky. The most recent payloads emitted for a sticky event are retained,
+	 * and every listener added afterwards is immediately called with them, oldest first, so listeners added
+	 * after an event such as `'ready'` has fired still receive it. Listeners added to wildcard patterns
+	 * receive the retained payloads of every sticky event type the pattern matches.
 	 *
-	 * @param {string|symbol} type - The event type to return the listeners for.
-	 * @returns {Function[]} An array of listeners for the specified event type.
+	 * Sticky events can also be declared with the `sticky` constructor option, either as an array of
+	 * event types or as an object mapping event types to their options.
+	 *
+	 * @example
+	 * ```js
+	 * emitter.sticky("ready");
+	 * emitter.emit("ready", config);
+	 * emitter.on("ready", (config) => {}); // Called immediately with `config`
+	 * ```
+	 *
+	 * @param {string|symbol} type - The event type to make sticky.
+	 * @param {object} [options]
+	 * @param {number} [options.count=1] - The number of payloads to retain.
+	 * @param {number} [options.ttl=Infinity] - The number of milliseconds a payload is retained for.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
 	 */
-	rawListeners(type) {
-		return this.#events.get(type).slice() ?? [];
+	sticky(type, { count = 1, ttl = Infinity } = {}) {
+		if (!Number.isInteger(count) || count < 1) {
+			throw new RangeError(`The "count" option must be a positive integer. Received ${count}`);
+		}
+
+		if (typeof ttl !== "number" || !(ttl > 0)) {
+			throw new RangeError(`The "ttl" option must be a positive number. Received ${ttl}`);
+		}
+
+		const history = this.#sticky.get(type)?.history ?? [];
+		if (history.length > count) history.splice(0, history.length - count);
+
+		this.#sticky.set(type, { count, ttl, history });
+
+		return this;
 	}
 
 	/**
-	 * Returns a copy of the array of listeners for the event named `type`.
-	 * 
-	 * @param {string|symbol} type - The event type to return the listeners for.
-	 * @returns {Function[]} An array of listeners for the specified event type.
+	 * Stops retaining payloads for the event named `type` and discards those already retained.
+	 *
+	 * @param {string|symbol} type - The event type to stop retaining.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
 	 */
-	listeners(type) {
-		return this.#events.get(type)?.map(listener => {
-			if (this.#onceRegistry.has(listener)) return this.#onceRegistry.get(listener);
-			return listener;
-		}) ?? [];
+	unsticky(type) {
+		this.#sticky.delete(type);
+		return this;
 	}
 
 	/**
-	 * Removes all listeners, or those of the specified `type`.
+	 * Returns the arguments of each payload retained for the sticky event named `type`, oldest first.
 	 *
-	 * @param {string|symbol} [type] - The event type to remove listeners from.
-	 * @returns {EventEmitter} The instance of the EventEmitter class.
+	 * @param {string|symbol} type - The event type to return the payloads for.
+	 * @returns {any[][]} The retained payloads, or an empty array if the event type is not sticky.
 	 */
-	removeAllListeners(type) {
-		if (type === undefined) return this.#removeAllListeners();
-		return this.#removeListeners(type);
+	retained(type) {
+		return this.#retained(type).map(({ args }) => args.slice());
 	}
 
 	/**
-	 * Synchronously calls each of the listeners registered for the event named `type`,
-	 * in the order they were registered, passing the supplied arguments to each.
+	 * Discards the payloads retained for the event named `type`, or for every sticky event type.
+	 * The event types remain sticky.
 	 *
-	 * @param {string|symbol} type - The event type to emit.
-	 * @param  {...any} args - The arguments to pass to the listeners.
-	 * @returns {boolean} `true` if the event had listeners, `false` otherwise.
+	 * @param {string|symbol} [type] - The event type to discard the payloads of.
+	 * @returns {EventEmitter} The instance of the EventEmitter class.
 	 */
-	emit(type, ...args) {
-		return this.#emit(type, ...args);
+	clearRetained(type) {
+		if (type === undefined) {
+			for (const sticky of this.#sticky.values()) sticky.history.length = 0;
+		}
+		else if (this.#sticky.has(type)) this.#sticky.get(type).history.length = 0;
+
+		return this;
 	}
 };
 
@@ -550,12 +2833,49 @@ export const EventEmitterMixin = (Base = Object) => class EventEmitter extends B
  * All `EventEmitter`s emit the event `'newListener'` when new listeners are
  * added and `'removeListener'` when existing listeners are removed.
  *
- * It supports the following option:
+ * It supports the following options:
  *
  * `captureRejections` {boolean} It enables
  * [automatic capturing of promise rejection][capturerejections].
  * **Default:** `false`.
  *
+ * `errorPolicy` {string} What happens when a listener throws, either `"stop"`, `"continue"` or `"isolate"`.
+ * See {@linkcode EventEmitter.errorPolicy}.
+ * **Default:** `"stop"`.
+ *
+ * `wildcard` {boolean} Treats event types containing `*` or `**` segments as patterns.
+ * When disabled, such event types are ordinary event names.
+ * **Default:** `false`.
+ *
+ * `delimiter` {string} The separator between the segments of wildcard patterns.
+ * **Default:** `":"`.
+ *
+ * `validation` {string} How payloads are checked against the events declared by the class,
+ * either `"throw"`, `"warn"` or `"off"`. See {@linkcode validateEvent}.
+ * **Default:** `"throw"`.
+ *
+ * `strictEvents` {boolean} Rejects events that the class has not declared.
+ * **Default:** `false`.
+ *
+ * `scheduler` {string|number|Function} When events emitted with `emitLater()` are emitted.
+ * See {@linkcode EventEmitter.scheduler}.
+ * **Default:** `"microtask"`.
+ *
+ * `metrics` {boolean} Records emit counts and listener durations. See {@linkcode EventEmitter.getStats}.
+ * **Default:** `false`.
+ *
+ * `slowListenerThreshold` {number} The number of milliseconds after which a listener is reported as slow, or `0` for never.
+ * See {@linkcode EventEmitter.slowListenerThreshold}.
+ * **Default:** `100`.
+ *
+ * `captureStacks` {boolean} Captures where each listener is added. See {@linkcode EventEmitter.leakReport}.
+ * **Default:** `false`.
+ *
+ * `parentEmitter` {Object} The emitter that bubbling events propagate to. See {@linkcode EventEmitter.parentEmitter}.
+ *
+ * `sticky` {Array|Object} Event types whose payloads are retained and replayed to listeners added later,
+ * or an object mapping event types to their `count` and `ttl` options. See {@linkcode EventEmitter.sticky}.
+ *
  * @class
  * @param {new} [Base] - The class to add event emitter functionality to when used as a mixin.
  * @param {any[]} [args] - Arguments to pass to the class constructor when used with the `new` keyword.
@@ -4,6 +4,7 @@ import assert from "node:assert";
 // import { EventEmitter } from "events";
 // import EventEmitter from "../node_modules/events/events.js";
 import EventEmitter from "./EventEmitter.js";
+import { SubscriptionGroup } from "./Subscription.js";
 
 import { prototypeLogger } from "./helpers.js";
 
@@ -432,4 +433,1208 @@ suite("EventEmitter", () => {
 			done();
 		}, 100);
 	});
+
+	test("should await listeners in order with emitSerial", async () => {
+		const emitter = new EventEmitter();
+		const callOrder = [];
+
+		emitter.on("event", async (value) => {
+			await new Promise(resolve => setTimeout(resolve, 10));
+			callOrder.push(1);
+			return value * 2;
+		});
+
+		emitter.on("event", (value) => {
+			callOrder.push(2);
+			return value * 3;
+		});
+
+		const results = await emitter.emitSerial("event", 7);
+		assert.deepStrictEqual(callOrder, [1, 2], "Listeners were not awaited in order");
+		assert.deepStrictEqual(results, [14, 21], "Listener results are incorrect");
+	});
+
+	test("should call listeners in parallel with emitParallel and emitAsync", async () => {
+		const emitter = new EventEmitter();
+		const callOrder = [];
+
+		emitter.on("event", async () => {
+			callOrder.push("start 1");
+			await new Promise(resolve => setTimeout(resolve, 10));
+			callOrder.push("end 1");
+			return 1;
+		});
+
+		emitter.on("event", async () => {
+			callOrder.push("start 2");
+			return 2;
+		});
+
+		assert.deepStrictEqual(await emitter.emitParallel("event"), [1, 2], "Listener results are incorrect");
+		assert.deepStrictEqual(callOrder, ["start 1", "start 2", "end 1"], "Listeners were not called in parallel");
+		assert.deepStrictEqual(await emitter.emitAsync("event"), [1, 2], "emitAsync results are incorrect");
+		assert.deepStrictEqual(await emitter.emitAsync("nothing"), [], "emitAsync without listeners should resolve with an empty array");
+	});
+
+	test("should route async listener rejections to the 'error' event", async () => {
+		const emitter = new EventEmitter();
+		const errors = [];
+
+		emitter.on("event", async () => { throw new Error("Test error"); });
+		emitter.on("event", () => "ok");
+		emitter.on("error", (error) => errors.push(error.message));
+
+		assert.deepStrictEqual(await emitter.emitSerial("event"), [undefined, "ok"], "Serial results are incorrect");
+		assert.deepStrictEqual(await emitter.emitParallel("event"), [undefined, "ok"], "Parallel results are incorrect");
+		assert.deepStrictEqual(errors, ["Test error", "Test error"], "Errors were not emitted as 'error' events");
+	});
+
+	test("should reject emitAsync promises when errors are unhandled", async () => {
+		const emitter = new EventEmitter();
+		let monitored = null;
+		let called = false;
+
+		emitter.on("event", async () => { throw new Error("Test error"); });
+		emitter.on(EventEmitter.errorMonitor, (error) => monitored = error);
+
+		await assert.rejects(emitter.emitParallel("event"), { message: "Test error" });
+		assert.strictEqual(monitored?.message, "Test error", "errorMonitor was not emitted");
+
+		emitter.on("event", () => called = true);
+		await assert.rejects(emitter.emitSerial("event"), { message: "Test error" });
+		assert.strictEqual(called, false, "Serial emission continued after an unhandled error");
+	});
+
+	test("should route emitAsync rejections to the nodejs.rejection symbol", async () => {
+		const emitter = new EventEmitter();
+		let received = null;
+
+		emitter[Symbol.for("nodejs.rejection")] = (error, type, ...args) => received = { error, type, args };
+		emitter.on("event", async () => { throw new Error("Test error"); });
+
+		await emitter.emitAsync("event", 42);
+		assert.strictEqual(received.error.message, "Test error", "Error is incorrect");
+		assert.strictEqual(received.type, "event", "Event type is incorrect");
+		assert.deepStrictEqual(received.args, [42], "Event arguments are incorrect");
+	});
+	test("should call wildcard pattern listeners with the event type", () => {
+		const emitter = new EventEmitter({ wildcard: true });
+		const received = [];
+
+		emitter.on("user:*", (type, ...args) => received.push(["user:*", type, ...args]));
+		emitter.on("user:login", (...args) => received.push(["user:login", ...args]));
+
+		assert.strictEqual(emitter.emit("user:login", 42), true, "emit should report listeners");
+		assert.strictEqual(emitter.emit("user:logout"), true, "emit should report pattern listeners");
+		assert.strictEqual(emitter.emit("user:profile:update"), false, "'*' should only match a single segment");
+		assert.deepStrictEqual(received, [
+			["user:login", 42],
+			["user:*", "user:login", 42],
+			["user:*", "user:logout"]
+		], "Pattern listeners were not called correctly");
+	});
+
+	test("should match any number of segments with '**'", () => {
+		const emitter = new EventEmitter({ wildcard: true });
+		const received = [];
+
+		emitter.on("user:**", (type) => received.push(`user:** ${type}`));
+		emitter.on("**", (type) => received.push(type));
+
+		emitter.emit("ready");
+		emitter.emit("user");
+		emitter.emit("user:profile:update");
+		emitter.emit(Symbol("symbol"));
+
+		assert.deepStrictEqual(received, [
+			"ready",
+			"user:** user",
+			"user",
+			"user:** user:profile:update",
+			"user:profile:update"
+		], "'**' patterns did not match correctly");
+	});
+
+	test("should use a configurable delimiter for patterns", () => {
+		const emitter = new EventEmitter({ wildcard: true, delimiter: "." });
+		let called = 0;
+
+		emitter.on("user.*", () => called++);
+		emitter.emit("user.login");
+		emitter.emit("user:login");
+		assert.strictEqual(called, 1, "Pattern with a custom delimiter did not match correctly");
+
+		emitter.delimiter = ":";
+		emitter.emit("user.login");
+		assert.strictEqual(called, 1, "Pattern was not recompiled when the delimiter changed");
+	});
+
+	test("should treat patterns literally when wildcard is disabled", () => {
+		const emitter = new EventEmitter({ wildcard: false });
+		let called = 0;
+
+		emitter.on("user:*", () => called++);
+		emitter.emit("user:login");
+		emitter.emit("user:*");
+		assert.strictEqual(called, 1, "Pattern listeners should only be called for the literal event type");
+	});
+
+	test("should treat '*' event types literally unless wildcard is enabled", () => {
+		const emitter = new EventEmitter();
+		const received = [];
+
+		emitter.on("*", (...args) => received.push(["*", ...args]));
+		emitter.on("user:*", (...args) => received.push(["user:*", ...args]));
+
+		assert.strictEqual(emitter.wildcard, false, "Wildcard was enabled by default");
+		assert.strictEqual(emitter.emit("ready"), false, "'*' listener was called for another event type");
+		assert.strictEqual(emitter.emit("user:login"), false, "'user:*' listener was called for another event type");
+
+		emitter.emit("*", 1);
+		emitter.emit("user:*", 2);
+
+		assert.deepStrictEqual(received, [["*", 1], ["user:*", 2]], "Literal event types were not emitted with their arguments");
+		assert.strictEqual(emitter.listenerCount("ready"), 0, "listenerCount included the literal '*' listener");
+	});
+
+	test("should include patterns in listenerCount, eventNames and removeListener", () => {
+		const emitter = new EventEmitter({ wildcard: true });
+		const removed = [];
+		const added = [];
+		const listener = () => {};
+
+		emitter.on("removeListener", (type) => removed.push(type));
+		emitter.on("newListener", (type) => added.push(type));
+		emitter.on("user:login", () => {});
+		emitter.on("user:*", listener);
+
+		assert.deepStrictEqual(added, ["user:login", "user:*"], "newListener was not emitted for patterns");
+		assert.strictEqual(emitter.listenerCount("user:login"), 2, "listenerCount should include pattern listeners");
+		assert.strictEqual(emitter.listenerCount("user:login", listener), 1, "listenerCount should find pattern listeners");
+		assert.ok(emitter.eventNames().includes("user:*"), "eventNames should include patterns");
+
+		emitter.off("user:*", listener);
+		assert.deepStrictEqual(removed, ["user:*"], "removeListener was not emitted for patterns");
+		assert.strictEqual(emitter.listenerCount("user:login"), 1, "Pattern listener was not removed");
+		assert.ok(!emitter.eventNames().includes("user:*"), "Removed pattern is still in eventNames");
+	});
+	test("should call listeners in order of priority", () => {
+		const emitter = new EventEmitter();
+		const callOrder = [];
+
+		emitter.on("event", () => callOrder.push("default"));
+		emitter.on("event", () => callOrder.push("low"), { priority: -1 });
+		emitter.on("event", () => callOrder.push("high"), { priority: 10 });
+		emitter.on("event", () => callOrder.push("high 2"), { priority: 10 });
+		emitter.prependListener("event", () => callOrder.push("prepended"));
+		emitter.once("event", () => callOrder.push("once"), { priority: 5 });
+
+		emitter.emit("event");
+		assert.deepStrictEqual(callOrder, ["high", "high 2", "once", "prepended", "default", "low"], "Listeners were not called in priority order");
+		assert.strictEqual(emitter.listeners("event").length, 5, "Once listener was not removed");
+	});
+
+	test("should order named listeners with before and after constraints", () => {
+		const emitter = new EventEmitter();
+		const auth = () => {};
+		const log = () => {};
+		const parse = () => {};
+		const respond = () => {};
+
+		emitter.on("request", respond, { name: "respond", priority: 100 });
+		emitter.on("request", log, { after: "auth" });
+		emitter.on("request", auth, { name: "auth", before: "respond" });
+		emitter.prependListener("request", parse, { name: "parse", before: ["auth"] });
+
+		assert.deepStrictEqual(emitter.listeners("request"), [parse, auth, respond, log], "Constraints were not resolved");
+		assert.deepStrictEqual(emitter.rawListeners("request"), [parse, auth, respond, log], "rawListeners do not reflect the resolved order");
+	});
+
+	test("should keep priority order for listeners added after constraints are resolved", () => {
+		const emitter = new EventEmitter();
+		const late = () => {};
+		const auth = () => {};
+		const middle = () => {};
+		const pre = () => {};
+
+		emitter.on("request", late, { before: "auth" });
+		emitter.on("request", auth, { name: "auth", priority: 10 });
+		emitter.on("request", middle, { priority: 5 });
+		emitter.prependListener("request", pre);
+
+		assert.deepStrictEqual(emitter.listeners("request"), [late, auth, middle, pre], "Prepended listener was moved ahead of higher priorities");
+
+		emitter.off("request", late);
+		emitter.on("request", late, { priority: 5 });
+		assert.deepStrictEqual(emitter.listeners("request"), [auth, middle, late, pre], "Removed listener was kept in the priority order");
+	});
+
+	test("should keep the ordering of each registration of a listener separate", () => {
+		const emitter = new EventEmitter();
+		const callOrder = [];
+		const listener = type => callOrder.push([type, "shared"]);
+
+		emitter.on("a", listener, { priority: 5 });
+		emitter.on("b", type => callOrder.push([type, "first"]));
+		emitter.on("b", listener);
+		emitter.on("a", type => callOrder.push([type, "other"]), { priority: 1 });
+		emitter.on("a", listener, { priority: -1 });
+
+		emitter.emit("a", "a");
+		emitter.emit("b", "b");
+
+		assert.deepStrictEqual(callOrder, [["a", "shared"], ["a", "other"], ["a", "shared"], ["b", "first"], ["b", "shared"]], "Ordering was shared between registrations");
+		assert.deepStrictEqual(emitter.rawListeners("a"), [listener, emitter.listeners("a")[1], listener], "rawListeners did not return the listeners");
+
+		emitter.off("a", listener);
+		emitter.emit("a", "a");
+		assert.strictEqual(emitter.listenerCount("a", listener), 1, "Registration was not removed");
+	});
+
+	test("should reject circular ordering constraints and invalid priorities", () => {
+		const emitter = new EventEmitter();
+		const listener = () => {};
+
+		emitter.on("event", () => {}, { name: "first", before: "second" });
+
+		assert.throws(() => {
+			emitter.on("event", () => {}, { name: "second", before: "first" });
+		}, /circular/, "Circular constraints were accepted");
+		assert.strictEqual(emitter.listenerCount("event"), 1, "Listener with circular constraints was added");
+
+		const added = [];
+		emitter.on("newListener", type => added.push(type));
+		assert.throws(() => {
+			emitter.on("other", () => {}, { name: "loop", before: "loop", after: "loop" });
+			emitter.on("other", () => {}, { name: "third", before: "fourth", after: "fourth" });
+			emitter.on("other", () => {}, { name: "fourth" });
+		}, /circular/, "Circular constraints were accepted");
+		assert.deepStrictEqual(added, ["other", "other"], "'newListener' was emitted for a listener with circular constraints");
+		assert.strictEqual(emitter.listenerCount("other"), 2, "Listener with circular constraints was added");
+
+		assert.throws(() => {
+			emitter.on("event", listener, { priority: "high" });
+		}, TypeError, "Invalid priority was accepted");
+	});
+	test("should remove listeners when their signal is aborted", () => {
+		const emitter = new EventEmitter();
+		const controller = new AbortController();
+		const removed = [];
+		const listener = () => {};
+		const onceListener = () => {};
+		let called = 0;
+
+		emitter.on("removeListener", (type, fn) => removed.push(fn));
+		emitter.on("event", listener, { signal: controller.signal });
+		emitter.once("event", onceListener, { signal: controller.signal });
+		emitter.limited("event", () => called++, 3, { signal: controller.signal });
+		emitter.prependListener("event", () => called++, { signal: controller.signal });
+		emitter.prependOnceListener("other", () => called++, { signal: controller.signal });
+
+		assert.strictEqual(emitter.listenerCount("event"), 4, "Listeners were not added");
+		assert.deepStrictEqual(emitter.listeners("event").slice(1, 3), [listener, onceListener], "listeners() should return the original once listener");
+
+		controller.abort();
+		emitter.emit("event");
+		emitter.emit("other");
+
+		assert.strictEqual(called, 0, "Listeners were called after the signal was aborted");
+		assert.strictEqual(emitter.listenerCount("event"), 0, "Listeners were not removed");
+		assert.strictEqual(emitter.listenerCount("other"), 0, "Prepended once listener was not removed");
+		assert.strictEqual(removed.length, 5, "removeListener was not emitted for each listener");
+		assert.ok(removed.includes(onceListener), "removeListener should be emitted with the original once listener");
+	});
+
+	test("should only remove the registration of an aborted signal", () => {
+		const emitter = new EventEmitter();
+		const controller = new AbortController();
+		let called = 0;
+		const listener = () => called++;
+
+		emitter.on("event", listener);
+		emitter.on("event", listener, { signal: controller.signal });
+		emitter.off("event", listener);
+		controller.abort();
+		emitter.emit("event");
+
+		assert.strictEqual(emitter.listenerCount("event"), 0, "Aborting left a registration of the listener");
+		assert.strictEqual(called, 0, "Listener was called after both registrations were removed");
+	});
+
+	test("should not add listeners when their signal is already aborted", () => {
+		const emitter = new EventEmitter();
+		let added = false;
+
+		emitter.on("newListener", () => added = true);
+		emitter.on("event", () => {}, { signal: AbortSignal.abort() });
+
+		assert.strictEqual(added, false, "newListener was emitted for a listener with an aborted signal");
+		assert.strictEqual(emitter.listenerCount("event"), 0, "Listener with an aborted signal was added");
+		assert.throws(() => emitter.on("event", () => {}, { signal: {} }), TypeError, "Invalid signal was accepted");
+	});
+
+	test("should remove once listeners by their original function", () => {
+		const emitter = new EventEmitter();
+		const controller = new AbortController();
+		let removed = 0;
+		let called = false;
+		const listener = () => called = true;
+
+		emitter.once("event", listener, { signal: controller.signal });
+		emitter.on("removeListener", () => removed++);
+		emitter.off("event", listener);
+		emitter.emit("event");
+		controller.abort();
+
+		assert.strictEqual(called, false, "Once listener was not removed by its original function");
+		assert.strictEqual(removed, 1, "removeListener should only be emitted when a listener is removed");
+	});
+	test("EventEmitter.once should resolve with the arguments of the next event", async () => {
+		const emitter = new EventEmitter();
+
+		setTimeout(() => emitter.emit("ready", 1, 2), 1);
+		assert.deepStrictEqual(await EventEmitter.once(emitter, "ready"), [1, 2], "Promise did not resolve with the event arguments");
+		assert.strictEqual(emitter.listenerCount("ready"), 0, "Listener was not removed");
+		assert.strictEqual(emitter.listenerCount("error"), 0, "Error listener was not removed");
+
+		const target = new EventTarget();
+		const event = new Event("ready");
+		setTimeout(() => target.dispatchEvent(event), 1);
+		assert.deepStrictEqual(await EventEmitter.once(target, "ready"), [event], "Promise did not resolve with the Event");
+
+		assert.throws(() => EventEmitter.once({}, "ready"), TypeError, "Object that cannot register listeners was accepted");
+	});
+
+	test("EventEmitter.once should reject on 'error' and when aborted", async () => {
+		const emitter = new EventEmitter();
+		const controller = new AbortController();
+
+		setTimeout(() => emitter.emit("error", new Error("Test error")), 1);
+		await assert.rejects(EventEmitter.once(emitter, "ready"), { message: "Test error" });
+		assert.strictEqual(emitter.listenerCount("ready"), 0, "Listener was not removed after an error");
+
+		setTimeout(() => controller.abort("reason"), 1);
+		await assert.rejects(EventEmitter.once(emitter, "ready", { signal: controller.signal }), { name: "AbortError", cause: "reason" });
+		await assert.rejects(EventEmitter.once(emitter, "ready", { signal: controller.signal }), { name: "AbortError" });
+		assert.strictEqual(emitter.listenerCount("ready"), 0, "Listener was not removed after aborting");
+	});
+
+	test("EventEmitter.on should iterate over events until a close event", async () => {
+		const emitter = new EventEmitter();
+		const received = [];
+
+		setTimeout(() => {
+			emitter.emit("data", 1);
+			emitter.emit("data", 2, 3);
+			emitter.emit("end");
+			emitter.emit("data", 4);
+		}, 1);
+
+		for await (const args of EventEmitter.on(emitter, "data", { close: "end" })) received.push(args);
+
+		assert.deepStrictEqual(received, [[1], [2, 3]], "Iterator did not yield the events");
+		assert.strictEqual(emitter.listenerCount("data"), 0, "Listener was not removed");
+		assert.strictEqual(emitter.listenerCount("end"), 0, "Close listener was not removed");
+	});
+
+	test("EventEmitter.on should buffer a limited number of events", async () => {
+		const emitter = new EventEmitter();
+		const iterator = EventEmitter.on(emitter, "data", { bufferSize: 2 });
+
+		emitter.emit("data", 1);
+		emitter.emit("data", 2);
+		emitter.emit("data", 3);
+
+		assert.deepStrictEqual((await iterator.next()).value, [2], "Oldest event was not discarded");
+		assert.deepStrictEqual((await iterator.next()).value, [3], "Buffered event was not yielded");
+		assert.deepStrictEqual(await iterator.return(), { value: undefined, done: true }, "Iterator did not finish");
+		assert.strictEqual(emitter.listenerCount("data"), 0, "Listener was not removed");
+	});
+
+	test("EventEmitter.on should throw on 'error' and when aborted", async () => {
+		const emitter = new EventEmitter();
+		const controller = new AbortController();
+
+		setTimeout(() => emitter.emit("error", new Error("Test error")), 1);
+		await assert.rejects(async () => {
+			for await (const args of EventEmitter.on(emitter, "data")) assert.fail("No events were emitted");
+		}, { message: "Test error" });
+
+		const iterator = EventEmitter.on(emitter, "data", { signal: controller.signal });
+		setTimeout(() => controller.abort(), 1);
+		await assert.rejects(iterator.next(), { name: "AbortError" });
+		assert.deepStrictEqual(await iterator.next(), { value: undefined, done: true }, "Iterator did not finish after aborting");
+		assert.strictEqual(emitter.listenerCount("data"), 0, "Listener was not removed");
+	});
+	test("should remove listeners with the subscription returned by subscribe", () => {
+		const emitter = new EventEmitter();
+		const removed = [];
+		let called = 0;
+		const listener = () => called++;
+
+		emitter.on("removeListener", (type, fn) => removed.push(fn));
+		emitter.on("event", listener);
+
+		const subscription = emitter.subscribe("event", listener);
+		assert.strictEqual(subscription.emitter, emitter, "Subscription emitter is incorrect");
+		assert.strictEqual(subscription.type, "event", "Subscription type is incorrect");
+		assert.strictEqual(emitter.listenerCount("event"), 2, "Listener was not added");
+
+		subscription[Symbol.dispose]();
+		emitter.emit("event");
+
+		assert.strictEqual(called, 1, "Subscribed listener was not removed");
+		assert.strictEqual(emitter.listenerCount("event"), 1, "Other registration of the listener was removed");
+		assert.deepStrictEqual(removed, [listener], "removeListener was not emitted");
+	});
+
+	test("should remove exactly the registration of each subscription", () => {
+		const emitter = new EventEmitter();
+		let called = 0;
+		const listener = () => called++;
+
+		const first = emitter.subscribe("event", listener);
+		const second = emitter.subscribe("event", listener);
+		const once = emitter.subscribe("event", listener, { once: true });
+
+		second.unsubscribe();
+		first.unsubscribe();
+		assert.strictEqual(emitter.listenerCount("event"), 1, "Subscriptions did not remove their own registrations");
+
+		emitter.emit("event");
+		once.unsubscribe();
+		assert.strictEqual(called, 1, "Remaining registration was not called once");
+		assert.strictEqual(emitter.listenerCount("event"), 0, "Registrations were left after unsubscribing");
+	});
+
+	test("should subscribe once listeners and groups of subscriptions", () => {
+		const emitter = new EventEmitter();
+		const controller = new AbortController();
+		const group = new SubscriptionGroup();
+		let called = 0;
+
+		const once = group.use(emitter.subscribe("event", () => called++, { once: true }));
+		group.use(emitter.subscribe("event", () => called++, { priority: 1 }));
+		group.use(emitter.subscribe("other", () => called++, { signal: controller.signal }));
+
+		emitter.emit("event");
+		once.unsubscribe();
+		controller.abort();
+		emitter.emit("other");
+		assert.strictEqual(called, 2, "Listeners were not called correctly");
+		assert.strictEqual(emitter.listenerCount("other"), 0, "Listener was not removed when its signal was aborted");
+
+		group.dispose();
+		emitter.emit("event");
+		assert.strictEqual(called, 2, "Listeners were called after the group was disposed");
+		assert.deepStrictEqual(emitter.eventNames(), [], "Listeners were not removed when the group was disposed");
+	});
+	test("should add and remove listeners with addEventListener and removeEventListener", () => {
+		const emitter = new EventEmitter();
+		const received = [];
+		const listener = (event) => received.push(event);
+
+		emitter.addEventListener("event", listener);
+		emitter.addEventListener("event", listener);
+		assert.strictEqual(emitter.listenerCount("event"), 1, "Duplicate listener was added");
+		assert.deepStrictEqual(emitter.listeners("event"), [listener], "listeners() should return the original listener");
+
+		const event = new Event("event");
+		assert.strictEqual(emitter.dispatchEvent(event), true, "dispatchEvent should return true");
+		assert.strictEqual(received[0], event, "Listener did not receive the dispatched event");
+		assert.strictEqual(event.target, emitter, "Event target is incorrect");
+		assert.strictEqual(event.currentTarget, emitter, "Event currentTarget is incorrect");
+
+		emitter.removeEventListener("event", listener);
+		emitter.dispatchEvent(new Event("event"));
+		assert.strictEqual(received.length, 1, "Listener was not removed");
+		assert.strictEqual(emitter.listenerCount("event"), 0, "Listener was not removed");
+		assert.throws(() => emitter.dispatchEvent({ type: "event" }), TypeError, "Non-Event was dispatched");
+	});
+
+	test("should share listeners between emit and dispatchEvent", () => {
+		const emitter = new EventEmitter();
+		const received = [];
+		const handler = { handleEvent(event) { received.push(["handleEvent", event.detail, this === handler]); } };
+
+		emitter.addEventListener("event", (event) => received.push(["target", event.detail]));
+		emitter.addEventListener("event", handler);
+		emitter.on("event", (...args) => received.push(["on", ...args]));
+
+		emitter.emit("event", 42);
+		emitter.emit("event", 1, 2);
+
+		const event = new CustomEvent("event", { detail: "custom" });
+		emitter.dispatchEvent(event);
+
+		assert.deepStrictEqual(received, [
+			["target", 42],
+			["handleEvent", 42, true],
+			["on", 42],
+			["target", [1, 2]],
+			["handleEvent", [1, 2], true],
+			["on", 1, 2],
+			["target", "custom"],
+			["handleEvent", "custom", true],
+			["on", event]
+		], "Listeners did not receive each other's events");
+	});
+
+	test("should support once, signal and passive options for addEventListener", () => {
+		const emitter = new EventEmitter();
+		const controller = new AbortController();
+		let once = 0;
+		let aborted = 0;
+
+		emitter.addEventListener("event", () => once++, { once: true });
+		emitter.addEventListener("event", () => aborted++, { signal: controller.signal, capture: true });
+		emitter.addEventListener("cancel", (event) => event.preventDefault(), { passive: true });
+
+		emitter.dispatchEvent(new Event("event"));
+		controller.abort();
+		emitter.dispatchEvent(new Event("event"));
+
+		assert.strictEqual(once, 1, "Once listener was called more than once");
+		assert.strictEqual(aborted, 1, "Listener was not removed when the signal was aborted");
+		assert.strictEqual(emitter.listenerCount("event"), 0, "Listeners were not removed");
+		assert.strictEqual(emitter.dispatchEvent(new Event("cancel", { cancelable: true })), true, "Passive listener prevented the default action");
+
+		emitter.addEventListener("cancel", (event) => event.preventDefault());
+		assert.strictEqual(emitter.dispatchEvent(new Event("cancel", { cancelable: true })), false, "dispatchEvent should return false when the default action is prevented");
+	});
+	test("should replay sticky events to listeners added later", () => {
+		const emitter = new EventEmitter({ wildcard: true, sticky: ["ready"] });
+		const received = [];
+
+		emitter.emit("ready", "config");
+		emitter.emit("other", "lost");
+
+		emitter.on("ready", (...args) => received.push(["on", ...args]));
+		emitter.once("ready", (...args) => received.push(["once", ...args]));
+		emitter.on("other", (...args) => received.push(["other", ...args]));
+		emitter.on("*", (...args) => received.push(["pattern", ...args]));
+
+		assert.deepStrictEqual(received, [
+			["on", "config"],
+			["once", "config"],
+			["pattern", "ready", "config"]
+		], "Retained payload was not replayed");
+		assert.strictEqual(emitter.listenerCount("ready"), 2, "Once listener was not removed after the replay");
+
+		emitter.emit("ready", "reloaded");
+		assert.deepStrictEqual(emitter.retained("ready"), [["reloaded"]], "Only the last payload should be retained");
+		assert.deepStrictEqual(emitter.retained("other"), [], "Non-sticky event was retained");
+	});
+
+	test("should retain the configured number of sticky payloads", () => {
+		const emitter = new EventEmitter({ sticky: { progress: { count: 2 } } });
+		const received = [];
+
+		emitter.emit("progress", 1);
+		emitter.emit("progress", 2);
+		emitter.emit("progress", 3);
+
+		emitter.once("progress", value => received.push(value));
+		emitter.on("progress", value => received.push(value));
+
+		assert.deepStrictEqual(received, [2, 2, 3], "Retained payloads were not replayed in order");
+
+		emitter.clearRetained("progress");
+		assert.deepStrictEqual(emitter.retained("progress"), [], "Retained payloads were not cleared");
+
+		emitter.emit("progress", 4);
+		emitter.unsticky("progress");
+		assert.deepStrictEqual(emitter.retained("progress"), [], "Event type is still sticky");
+
+		assert.throws(() => emitter.sticky("progress", { count: 0 }), RangeError, "Invalid count was accepted");
+		assert.throws(() => emitter.sticky("progress", { ttl: -1 }), RangeError, "Invalid ttl was accepted");
+	});
+
+	test("should discard sticky payloads after their ttl", async () => {
+		const emitter = new EventEmitter();
+		let calls = 0;
+
+		emitter.sticky("status", { ttl: 10 });
+		emitter.emit("status", "online");
+
+		await new Promise(resolve => setTimeout(resolve, 20));
+
+		emitter.on("status", () => calls++);
+
+		assert.strictEqual(calls, 0, "Expired payload was replayed");
+		assert.deepStrictEqual(emitter.retained("status"), [], "Expired payload was retained");
+	});
+	test("should stop at the first listener error by default", () => {
+		const emitter = new EventEmitter();
+		const calls = [];
+
+		emitter.on("event", () => { calls.push(1); throw new Error("first"); });
+		emitter.on("event", () => calls.push(2));
+
+		assert.strictEqual(emitter.errorPolicy, "stop", "Default error policy should be 'stop'");
+		assert.throws(() => emitter.emit("event"), { message: "first" }, "Error was not re-thrown");
+		assert.deepStrictEqual(calls, [1], "Listener after the error was called");
+		assert.throws(() => { emitter.errorPolicy = "ignore"; }, TypeError, "Invalid error policy was accepted");
+	});
+
+	test("should call every listener and throw an AggregateError with the 'continue' policy", async () => {
+		const emitter = new EventEmitter({ errorPolicy: "continue" });
+		const calls = [];
+		const monitored = [];
+
+		emitter.on(EventEmitter.errorMonitor, error => monitored.push(error));
+		emitter.on("event", () => { calls.push(1); throw new Error("first"); });
+		emitter.on("event", () => calls.push(2));
+		emitter.on("event", () => { calls.push(3); throw new Error("second"); });
+
+		assert.throws(() => emitter.emit("event"), (error) => {
+			assert.ok(error instanceof AggregateError, "Error is not an AggregateError");
+			assert.deepStrictEqual(error.errors.map(e => e.message), ["first", "second"], "AggregateError has the wrong errors");
+			assert.strictEqual(error.type, "event", "AggregateError has the wrong event type");
+			return true;
+		}, "Errors were not thrown together");
+		assert.deepStrictEqual(calls, [1, 2, 3], "Not every listener was called");
+		assert.strictEqual(monitored.length, 1, "Errors were reported to errorMonitor more than once");
+		assert.ok(monitored[0] instanceof AggregateError, "errorMonitor did not receive the AggregateError");
+
+		emitter.on("async", async () => { throw new Error("rejected"); });
+		emitter.on("async", async () => "ok");
+
+		await assert.rejects(emitter.emitSerial("async"), AggregateError, "emitSerial did not reject with an AggregateError");
+		await assert.rejects(emitter.emitParallel("async"), AggregateError, "emitParallel did not reject with an AggregateError");
+	});
+
+	test("should report captured rejections together with the 'continue' policy", async (t) => {
+		const emitter = new EventEmitter({ errorPolicy: "continue", captureRejections: true });
+		const monitored = [];
+		const log = t.mock.method(console, "error", () => {});
+
+		emitter.on("async", async () => { throw new Error("first"); });
+		emitter.on("async", async () => { throw new Error("second"); });
+
+		assert.strictEqual(emitter.emit("async"), true, "emit() threw for captured rejections");
+		await new Promise(resolve => setImmediate(resolve));
+
+		const [[logged]] = log.mock.calls.map(call => call.arguments);
+		assert.ok(logged instanceof AggregateError, "Unhandled rejections were not logged together");
+		assert.deepStrictEqual(logged.errors.map(error => error.message), ["first", "second"], "AggregateError has the wrong errors");
+
+		emitter.on(EventEmitter.errorMonitor, error => monitored.push(error));
+		emitter.emit("async");
+		await new Promise(resolve => setImmediate(resolve));
+
+		assert.strictEqual(monitored.length, 1, "Rejections were reported to errorMonitor more than once");
+		assert.ok(monitored[0] instanceof AggregateError, "Rejections were not reported to errorMonitor together");
+		assert.strictEqual(log.mock.callCount(), 1, "Monitored rejections were logged");
+	});
+
+	test("should report each error and keep going with the 'isolate' policy", async (t) => {
+		class IsolatedEmitter extends EventEmitter {
+			static errorPolicy = "isolate";
+		}
+		const emitter = new IsolatedEmitter();
+		const monitored = [];
+		const calls = [];
+
+		emitter.on(EventEmitter.errorMonitor, error => monitored.push(error.message));
+		emitter.on("event", () => { calls.push(1); throw new Error("first"); });
+		emitter.on("event", () => calls.push(2));
+		emitter.on("async", async () => { throw new Error("rejected"); });
+		emitter.on("async", async () => "ok");
+
+		assert.strictEqual(emitter.emit("event"), true, "emit should not throw");
+		assert.deepStrictEqual(calls, [1, 2], "Not every listener was called");
+		assert.deepStrictEqual(await emitter.emitSerial("async"), [undefined, "ok"], "emitSerial should resolve");
+		assert.deepStrictEqual(monitored, ["first", "rejected"], "Errors were not reported to errorMonitor");
+
+		const error = t.mock.method(console, "error", () => {});
+		emitter.removeAllListeners(EventEmitter.errorMonitor);
+		emitter.emit("event");
+		assert.strictEqual(error.mock.callCount(), 1, "Unmonitored error was not logged");
+	});
+	test("should let listeners veto events emitted with emitCancelable", () => {
+		const emitter = new EventEmitter();
+		const symbol = Symbol("close");
+		const received = [];
+
+		emitter.on("close", (event) => {
+			received.push(event.detail);
+			if (event.detail.unsaved) event.preventDefault();
+		});
+		emitter.on(symbol, (event) => received.push(event.type));
+
+		assert.strictEqual(emitter.emitCancelable("close", { unsaved: false }), true, "Event was vetoed");
+		assert.strictEqual(emitter.emitCancelable("close", { unsaved: true }), false, "Event was not vetoed");
+		assert.strictEqual(emitter.emitCancelable(symbol), true, "Event without listeners vetoing it was vetoed");
+		assert.deepStrictEqual(received, [{ unsaved: false }, { unsaved: true }, "Symbol(close)"], "Listeners did not receive the events");
+	});
+
+	test("should stop calling listeners when stopImmediatePropagation is called", () => {
+		const emitter = new EventEmitter();
+		const calls = [];
+
+		emitter.on("event", (event) => { calls.push(1); event.stopImmediatePropagation(); });
+		emitter.addEventListener("event", () => calls.push(2));
+		emitter.on("*", () => calls.push(3));
+
+		emitter.emitCancelable("event");
+		emitter.dispatchEvent(new Event("event"));
+
+		assert.deepStrictEqual(calls, [1, 1], "Listeners were called after stopImmediatePropagation");
+	});
+	test("should bubble events through parent emitters", () => {
+		const root = new EventEmitter();
+		const parent = new EventEmitter({ parentEmitter: root });
+		const child = new EventEmitter();
+		const received = [];
+
+		child.parentEmitter = parent;
+
+		const record = name => event => received.push([name, event.target, event.currentTarget, event.eventPhase]);
+		child.on("change", record("child"));
+		parent.addEventListener("change", record("parent"));
+		root.on("change", record("root"));
+
+		assert.strictEqual(child.bubble("change", 42), true, "bubble should return true");
+		assert.deepStrictEqual(received, [
+			["child", child, child, Event.AT_TARGET],
+			["parent", child, parent, Event.BUBBLING_PHASE],
+			["root", child, root, Event.BUBBLING_PHASE]
+		], "Event did not bubble through the ancestors");
+
+		received.length = 0;
+		child.dispatchEvent(new Event("change"));
+		assert.strictEqual(received.length, 1, "Event that does not bubble reached the ancestors");
+
+		received.length = 0;
+		parent.on("change", event => event.stopPropagation());
+		child.dispatchEvent(new Event("change", { bubbles: true }));
+		assert.deepStrictEqual(received.map(([name]) => name), ["child", "parent"], "Event bubbled after stopPropagation");
+
+		assert.throws(() => { root.parentEmitter = child; }, Error, "Circular parent was accepted");
+		assert.throws(() => { root.parentEmitter = {}; }, TypeError, "Parent without emit() was accepted");
+	});
+
+	test("should call capture listeners of ancestors before the target", () => {
+		const parent = new EventEmitter();
+		const child = new EventEmitter({ parentEmitter: parent });
+		const calls = [];
+		const capture = event => calls.push(["capture", event.currentTarget === parent, event.eventPhase]);
+
+		parent.addEventListener("change", capture, true);
+		parent.addEventListener("change", () => calls.push(["bubble"]));
+		child.addEventListener("change", () => calls.push(["target"]), { capture: true, once: true });
+		child.on("change", () => calls.push(["on"]));
+
+		assert.strictEqual(parent.listenerCount("change"), 2, "Capture listener was not counted");
+
+		child.bubble("change");
+		assert.deepStrictEqual(calls, [
+			["capture", true, Event.CAPTURING_PHASE],
+			["target"],
+			["on"],
+			["bubble"]
+		], "Listeners were called in the wrong order");
+
+		calls.length = 0;
+		parent.removeEventListener("change", capture, { capture: true });
+		child.bubble("change");
+		assert.deepStrictEqual(calls, [["on"], ["bubble"]], "Capture listeners were not removed");
+		assert.strictEqual(parent.listenerCount("change"), 1, "Capture listener was still counted after being removed");
+
+		calls.length = 0;
+		parent.addEventListener("change", capture, true);
+		parent.emit("change", "value");
+		assert.deepStrictEqual(calls, [["bubble"], ["capture", true, Event.NONE]], "emit() did not call the capture listener");
+		parent.removeEventListener("change", capture, true);
+
+		calls.length = 0;
+		parent.addEventListener("change", event => event.stopPropagation(), true);
+		child.bubble("change");
+		assert.deepStrictEqual(calls, [], "Target was reached after stopPropagation in the capture phase");
+	});
+	test("should run middleware before emitting events", () => {
+		const emitter = new EventEmitter();
+		const received = [];
+		const calls = [];
+
+		emitter.on("login", user => received.push(user));
+		emitter.on("renamed", value => received.push(["renamed", value]));
+
+		const redact = emitter.use((type, args, next) => {
+			calls.push(type);
+			if (type === "login") return next(type, [{ ...args[0], password: undefined }]);
+			return next();
+		});
+		emitter.use((type, args, next) => {
+			if (type === "dropped") return;
+			if (type === "rename") return next("renamed", args);
+			return next();
+		});
+
+		assert.strictEqual(emitter.emit("login", { name: "user", password: "secret" }), true, "emit should return true");
+		assert.strictEqual(emitter.emit("dropped"), false, "Dropped event should return false");
+		emitter.emit("rename", 1);
+
+		assert.deepStrictEqual(received, [{ name: "user", password: undefined }, ["renamed", 1]], "Middleware did not modify the events");
+		assert.deepStrictEqual(calls, ["login", "dropped", "rename"], "Middleware was not called in order");
+
+		redact.unsubscribe();
+		emitter.emit("login", { name: "user", password: "secret" });
+		assert.strictEqual(received[2].password, "secret", "Middleware was not removed");
+		assert.throws(() => emitter.use(null), TypeError, "Invalid middleware was accepted");
+	});
+
+	test("should run class middleware before instance middleware", async () => {
+		class BaseEmitter extends EventEmitter {}
+		class ChildEmitter extends BaseEmitter {}
+		const order = [];
+
+		const base = BaseEmitter.use((type, args, next) => { order.push("base"); return next(); });
+		ChildEmitter.use((type, args, next) => { order.push("child"); return next(); });
+
+		const emitter = new ChildEmitter();
+		emitter.use((type, args, next) => { order.push("instance"); return next(); });
+		emitter.on("event", () => { order.push("listener"); return "done"; });
+
+		emitter.emit("event");
+		new BaseEmitter().emit("event");
+		assert.deepStrictEqual(order, ["base", "child", "instance", "listener", "base"], "Middleware ran in the wrong order");
+
+		base.unsubscribe();
+		order.length = 0;
+		assert.deepStrictEqual(await emitter.emitSerial("event"), ["done"], "emitSerial did not resolve with the listener results");
+		assert.deepStrictEqual(order, ["child", "instance", "listener"], "Class middleware was not removed");
+
+		order.length = 0;
+		BaseEmitter.use((type, args, next) => { order.push("added"); return next(); });
+		emitter.emit("event");
+		assert.deepStrictEqual(order, ["added", "child", "instance", "listener"], "Class middleware added after an emit did not run");
+	});
+
+	test("should let middleware delay events", async () => {
+		const emitter = new EventEmitter();
+		const received = [];
+
+		emitter.use((type, args, next) => new Promise(resolve => setTimeout(() => resolve(next()), 1)));
+		emitter.on("event", value => { received.push(value); });
+
+		assert.strictEqual(emitter.emit("event", 1), false, "Delayed event should return false");
+		assert.deepStrictEqual(received, [], "Delayed event was emitted immediately");
+
+		assert.deepStrictEqual(await emitter.emitAsync("event", 2), [undefined], "emitAsync did not wait for the middleware");
+		assert.deepStrictEqual(received, [1, 2], "Delayed events were not emitted");
+	});
+	test("should time listeners with the debounce, throttle and delay options", (t) => {
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+		const emitter = new EventEmitter();
+		const calls = [];
+		const listener = value => calls.push(value);
+		const removed = [];
+
+		emitter.on("removeListener", (type, fn) => removed.push(fn));
+		emitter.on("change", listener, { debounce: 100 });
+		assert.deepStrictEqual(emitter.listeners("change"), [listener], "listeners() did not return the original listener");
+		assert.strictEqual(emitter.listenerCount("change", listener), 1, "Timed listener was not counted");
+
+		emitter.emit("change", 1);
+		emitter.emit("change", 2);
+		t.mock.timers.tick(100);
+		assert.deepStrictEqual(calls, [2], "Listener was not debounced");
+
+		emitter.emit("change", 3);
+		emitter.off("change", listener);
+		t.mock.timers.tick(100);
+		assert.deepStrictEqual(calls, [2], "Pending call was not cancelled when the listener was removed");
+		assert.deepStrictEqual(removed, [listener], "'removeListener' was not emitted with the original listener");
+
+		emitter.on("tick", listener, { throttle: 50 });
+		emitter.emit("tick", 4);
+		emitter.emit("tick", 5);
+		emitter.removeAllListeners();
+		t.mock.timers.tick(50);
+		assert.deepStrictEqual(calls, [2, 4], "Pending call was not cancelled by removeAllListeners()");
+	});
+
+	test("should call limited listeners with a delay", (t) => {
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+		const emitter = new EventEmitter();
+		const calls = [];
+		const listener = value => calls.push(value);
+
+		emitter.once("ready", listener, { delay: 10 });
+		emitter.limited("change", listener, 2, { throttle: 10 });
+		assert.deepStrictEqual(emitter.listeners("ready"), [listener], "listeners() did not return the original listener");
+
+		emitter.emit("ready", 1);
+		emitter.emit("ready", 2);
+		assert.deepStrictEqual(calls, [], "Delayed listener was called immediately");
+
+		t.mock.timers.tick(10);
+		assert.deepStrictEqual(calls, [1], "Delayed once listener was not called once");
+		assert.strictEqual(emitter.listenerCount("ready"), 0, "Once listener was not removed");
+
+		emitter.emit("change", 3);
+		emitter.emit("change", 4);
+		emitter.emit("change", 5);
+		t.mock.timers.tick(10);
+		emitter.emit("change", 6);
+		assert.deepStrictEqual(calls, [1, 3, 5], "Limited listener did not count throttled calls");
+		assert.strictEqual(emitter.listenerCount("change"), 0, "Limited listener was not removed");
+		assert.throws(() => emitter.on("change", listener, { delay: 1, debounce: 1 }), TypeError, "Conflicting timing options were accepted");
+	});
+	test("should only call listeners for events that pass the filter option", () => {
+		const emitter = new EventEmitter();
+		const calls = [];
+		const listener = (id, value) => calls.push(value);
+		const filter = id => id === 1;
+
+		emitter.on("update", listener, { filter });
+		emitter.once("save", listener, { filter });
+		emitter.limited("load", listener, 2, { filter });
+
+		emitter.emit("update", 2, "a");
+		emitter.emit("update", 1, "b");
+		emitter.emit("save", 2, "c");
+		emitter.emit("save", 1, "d");
+		emitter.emit("save", 1, "e");
+		emitter.emit("load", 2, "f");
+		emitter.emit("load", 1, "g");
+		emitter.emit("load", 2, "h");
+		emitter.emit("load", 1, "i");
+
+		assert.deepStrictEqual(calls, ["b", "d", "g", "i"], "Filter was not applied");
+		assert.strictEqual(emitter.listenerCount("update"), 1, "Filtered listener was not counted");
+		assert.strictEqual(emitter.listenerCount("update", listener), 1, "Filtered listener was not counted");
+		assert.deepStrictEqual(emitter.listeners("update"), [listener], "listeners() did not return the original listener");
+		assert.strictEqual(emitter.listenerCount("save") + emitter.listenerCount("load"), 0, "Limited listeners were not removed");
+
+		emitter.off("update", listener);
+		assert.strictEqual(emitter.listenerCount("update"), 0, "Filtered listener was not removed");
+		assert.throws(() => emitter.on("update", listener, { filter: true }), TypeError, "Invalid filter was accepted");
+	});
+	test("should remove weak listeners once the listener or receiver is collected", { skip: !global.gc && "requires --expose-gc" }, async () => {
+		const emitter = new EventEmitter();
+		const calls = [];
+		const kept = function (value) { calls.push([this.name, value]); };
+		const receiver = { name: "kept" };
+
+		emitter.on("change", kept, { weak: true, receiver });
+		emitter.on("change", kept, { weak: true });
+		(() => {
+			emitter.on("change", value => calls.push(["collected", value]), { weak: true });
+			emitter.on("change", kept, { weak: true, receiver: { name: "collected" } });
+			emitter.limited("change", kept, 2, { weak: true, receiver: { name: "collected" } });
+		})();
+
+		for (let i = 0; i < 5; i++) {
+			await new Promise(resolve => setImmediate(resolve));
+			global.gc();
+		}
+		await new Promise(resolve => setImmediate(resolve));
+
+		emitter.emit("change", 1);
+
+		assert.deepStrictEqual(calls, [["kept", 1], [undefined, 1]], "Collected listeners were called");
+		assert.strictEqual(emitter.listenerCount("change"), 2, "Collected listeners were not removed");
+		assert.deepStrictEqual(emitter.listeners("change"), [kept, kept], "listeners() did not return the original listeners");
+
+		emitter.off("change", kept);
+		emitter.off("change", kept);
+		assert.strictEqual(emitter.listenerCount("change"), 0, "Weak listeners were not removed");
+	});
+	test("should batch events with batch()", () => {
+		const emitter = new EventEmitter();
+		const received = [];
+		emitter.on("change", value => received.push(value));
+		emitter.on("newListener", type => received.push(type));
+
+		emitter.batch(() => {
+			emitter.emit("change", 1);
+			emitter.on("other", () => {});
+			emitter.emit("change", 2);
+		}, { coalesce: ["change"] });
+
+		assert.deepStrictEqual(received, ["other", 2], "Events were not batched");
+	});
+	test("should emit events later with emitLater()", async () => {
+		class Service extends EventEmitter {
+			constructor(options) {
+				super(options);
+				this.emitLater("ready", "config");
+			}
+		}
+		const service = new Service();
+		const received = [];
+		service.on("ready", value => received.push(value));
+
+		await new Promise(resolve => queueMicrotask(resolve));
+		assert.deepStrictEqual(received, ["config"], "Event emitted in the constructor was not received");
+
+		const other = new Service({ scheduler: "macrotask" });
+		other.on("ready", value => received.push(value));
+		other.emitLater("ready", "again");
+
+		assert.strictEqual(other.scheduler, "macrotask", "Scheduler option was not applied");
+		assert.strictEqual(other.cancelDeferred("ready"), 2, "Pending events were not cancelled");
+		assert.strictEqual(other.flushDeferred(), 0, "Cancelled events were flushed");
+		assert.throws(() => { other.scheduler = "never"; }, TypeError, "Invalid scheduler was accepted");
+		assert.deepStrictEqual(received, ["config"], "Cancelled events were emitted");
+	});
+
+	test("should report errors thrown by listeners of events emitted with emitLater()", async (t) => {
+		const emitter = new EventEmitter();
+		const errors = [];
+		const log = t.mock.method(console, "error", () => {});
+
+		emitter.on("ready", () => { throw new Error("listener failed"); });
+		assert.strictEqual(await emitter.emitLater("ready"), false, "emitLater() did not fulfill with false");
+		assert.strictEqual(log.mock.callCount(), 1, "Error was not logged without 'error' listeners");
+
+		emitter.on("error", error => errors.push(error.message));
+		emitter.emitLater("ready");
+		await new Promise(resolve => setImmediate(resolve));
+
+		assert.deepStrictEqual(errors, ["listener failed"], "Error was not emitted as an 'error' event");
+	});
+	test("should record emit counts and listener durations with metrics enabled", async (t) => {
+		let now = 0;
+		t.mock.method(performance, "now", () => now);
+		const warn = t.mock.method(console, "warn", () => {});
+
+		const emitter = new EventEmitter({ metrics: true, slowListenerThreshold: 50, captureRejections: true });
+		const fast = () => { now += 10; };
+		const slow = async () => {
+			now += 60;
+			await Promise.resolve();
+			now += 40;
+		};
+
+		emitter.on("save", fast);
+		emitter.once("save", slow);
+		emitter.emit("save");
+		await new Promise(resolve => setImmediate(resolve));
+		emitter.emit("save");
+		emitter.emit("load");
+		await emitter.emitSerial("other");
+
+		const stats = emitter.getStats("save");
+		assert.strictEqual(stats.emitted, 2, "Emits were not counted");
+		assert.deepStrictEqual(stats.listeners.get(fast), { calls: 2, totalDuration: 20, maxDuration: 10, asyncCalls: 0, totalAsyncDuration: 0, maxAsyncDuration: 0 }, "Listener was not recorded");
+		assert.deepStrictEqual(stats.listeners.get(slow), { calls: 1, totalDuration: 60, maxDuration: 60, asyncCalls: 1, totalAsyncDuration: 100, maxAsyncDuration: 100 }, "Async listener was not recorded by its original function");
+		assert.deepStrictEqual([...emitter.getStats().keys()], ["save", "load", "other"], "Event types were not recorded");
+
+		assert.strictEqual(warn.mock.callCount(), 1, "Slow listener was not reported once");
+		const [warning] = warn.mock.calls[0].arguments;
+		assert.strictEqual(warning.name, "SlowListenerWarning", "Warning has the wrong name");
+		assert.strictEqual(warning.listener, slow, "Warning does not refer to the listener");
+		assert.strictEqual(warning.duration, 60, "Warning does not include the duration");
+
+		stats.emitted = 10;
+		assert.strictEqual(emitter.getStats("save").emitted, 2, "getStats() did not return a copy");
+
+		emitter.resetStats("save");
+		assert.strictEqual(emitter.getStats("save").emitted, 0, "Statistics of the type were not reset");
+		emitter.resetStats();
+		assert.strictEqual(emitter.getStats().size, 0, "Statistics were not reset");
+		assert.throws(() => { emitter.slowListenerThreshold = -1; }, RangeError, "Negative threshold was accepted");
+	});
+
+	test("should record async durations without captureRejections", async (t) => {
+		let now = 0;
+		t.mock.method(performance, "now", () => now);
+
+		const emitter = new EventEmitter({ metrics: true });
+		const load = async () => {
+			await Promise.resolve();
+			now += 30;
+		};
+
+		emitter.on("load", load);
+		emitter.emit("load");
+		await new Promise(resolve => setImmediate(resolve));
+
+		assert.deepStrictEqual(emitter.getStats("load").listeners.get(load), { calls: 1, totalDuration: 0, maxDuration: 0, asyncCalls: 1, totalAsyncDuration: 30, maxAsyncDuration: 30 }, "Async duration was not recorded");
+	});
+
+	test("should not record metrics unless they are enabled", () => {
+		const emitter = new EventEmitter();
+		emitter.on("event", () => {});
+		emitter.emit("event");
+
+		assert.strictEqual(emitter.metrics, false, "Metrics are enabled by default");
+		assert.strictEqual(emitter.getStats().size, 0, "Statistics were recorded without metrics");
+	});
+	test("should warn about each event type when it exceeds its own max listener value", (t) => {
+		const warn = t.mock.method(console, "warn", () => {});
+		const emitter = new EventEmitter();
+
+		emitter.setMaxListeners(1);
+		emitter.setMaxListeners("change", 3);
+
+		assert.strictEqual(emitter.getMaxListeners("change"), 3, "Max listeners of the type were not set");
+		assert.strictEqual(emitter.getMaxListeners("other"), 1, "Max listeners of other types were not the instance's");
+
+		for (let i = 0; i < 3; i++) emitter.on("change", () => {});
+		assert.strictEqual(warn.mock.callCount(), 0, "Warned before the max listeners of the type were exceeded");
+
+		emitter.on("change", () => {});
+		emitter.on("other", () => {});
+		emitter.on("other", () => {});
+		assert.deepStrictEqual(warn.mock.calls.map(call => call.arguments[0].type), ["change", "other"], "Did not warn once for each type");
+
+		emitter.setMaxListeners("change", undefined);
+		assert.strictEqual(emitter.getMaxListeners("change"), 1, "Max listeners of the type were not removed");
+		assert.throws(() => emitter.setMaxListeners("change", -1), RangeError, "Negative max listeners were accepted");
+	});
+
+	test("should report listeners grouped by where they were added with captureStacks", (t) => {
+		const warn = t.mock.method(console, "warn", () => {});
+		const emitter = new EventEmitter({ captureStacks: true, maxListeners: 2 });
+		const subscribe = () => emitter.on("change", function onChange() {});
+
+		subscribe();
+		subscribe();
+		emitter.on("change", () => {});
+		emitter.on("save", () => {});
+
+		const [change, save] = emitter.leakReport();
+		assert.strictEqual(change.type, "change", "Types with the most listeners were not reported first");
+		assert.deepStrictEqual([change.count, change.max, change.exceeded], [3, 2, true], "Report does not include the count and max");
+		assert.strictEqual(save.exceeded, false, "Type that did not exceed its max was reported as exceeded");
+
+		const [repeated, single] = change.sites;
+		assert.strictEqual(repeated.count, 2, "Listeners added at the same site were not grouped");
+		assert.deepStrictEqual(repeated.listeners, ["onChange", "onChange"], "Listeners were not reported by name");
+		assert.match(repeated.site, /subscribe .*EventEmitter\.test\.js/, "Site is not where the listener was added");
+		assert.ok(!repeated.stack.includes("/EventEmitter.js"), "Stack includes frames of the emitter");
+		assert.strictEqual(single.count, 1, "Listener added elsewhere was grouped with the others");
+
+		const [warning] = warn.mock.calls[0].arguments;
+		assert.deepStrictEqual(warning.sites.map(site => site.count), [2, 1], "Warning does not include the sites");
+		assert.match(warning.message, /2 added at subscribe/, "Warning message does not say where listeners were added");
+
+		assert.deepStrictEqual(emitter.leakReport("save").map(report => report.count), [1], "Report of a single type was wrong");
+		assert.deepStrictEqual(new EventEmitter().on("event", () => {}).leakReport()[0].sites.map(site => site.site), ["unknown"], "Sites were known without captureStacks");
+	});
+
+	test("should keep where each registration of the same listener was added", () => {
+		const emitter = new EventEmitter({ captureStacks: true });
+		const listener = function onChange() {};
+		const subscribeFirst = () => emitter.on("change", listener);
+		const subscribeAgain = () => emitter.on("change", listener);
+
+		subscribeFirst();
+		subscribeAgain();
+		subscribeAgain();
+
+		const [again, first] = emitter.leakReport("change")[0].sites;
+		assert.deepStrictEqual([again.count, first.count], [2, 1], "Registrations were credited to the last site");
+		assert.match(again.site, /subscribeAgain/, "Site is not where the listener was added again");
+		assert.match(first.site, /subscribeFirst/, "Site is not where the listener was first added");
+		assert.deepStrictEqual(emitter.rawListeners("change"), [listener, listener, listener], "rawListeners did not return the listener");
+
+		emitter.off("change", listener);
+		assert.strictEqual(emitter.listenerCount("change", listener), 2, "Registration was not removed");
+	});
 });
\ No newline at end of file
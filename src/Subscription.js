@@ -0,0 +1,217 @@
+/**
+ * A handle for a listener added with {@linkcode EventEmitter.subscribe}, which removes the listener
+ * when unsubscribed or disposed. Can be used with `using` declarations to remove the listener
+ * when the enclosing scope exits.
+ *
+ * @example
+ * ```js
+ * {
+ *     using subscription = emitter.subscribe("event", listener);
+ *     // ...
+ * } // The listener is removed here
+ * ```
+ */
+export class Subscription {
+	#unsubscribe;
+	#active = true;
+
+	/**
+	 * @param {() => void} unsubscribe - The function that removes the listener.
+	 * @param {object} [details]
+	 * @param {object} [details.emitter] - The emitter the listener was added to.
+	 * @param {string|symbol} [details.type] - The event type the listener was added to.
+	 * @param {Function} [details.listener] - The listener that was added.
+	 */
+	constructor(unsubscribe, { emitter, type, listener } = {}) {
+		if (typeof unsubscribe !== "function") {
+			throw new TypeError(`The "unsubscribe" argument must be of type Function. Received type ${typeof unsubscribe}`);
+		}
+
+		this.#unsubscribe = unsubscribe;
+		this.emitter = emitter;
+		this.type = type;
+		this.listener = listener;
+	}
+
+	/**
+	 * `false` once the subscription has been unsubscribed or disposed.
+	 */
+	get active() {
+		return this.#active;
+	}
+
+	/**
+	 * Removes the listener. Calling this more than once has no effect.
+	 *
+	 * @returns {boolean} `true` if the listener was removed by this call.
+	 */
+	unsubscribe() {
+		if (!this.#active) return false;
+
+		this.#active = false;
+		this.#unsubscribe();
+
+		return true;
+	}
+
+	[Symbol.dispose]() {
+		this.unsubscribe();
+	}
+
+	async [Symbol.asyncDispose]() {
+		this.unsubscribe();
+	}
+}
+
+/**
+ * A group of subscriptions, or any other disposable resources, that are disposed together
+ * in the reverse order they were added, similar to `DisposableStack`.
+ *
+ * @example
+ * ```js
+ * using group = new SubscriptionGroup();
+ * group.use(emitter.subscribe("start", onStart));
+ * group.use(emitter.subscribe("stop", onStop));
+ * group.defer(() => console.log("unsubscribed"));
+ * ```
+ */
+export class SubscriptionGroup {
+	#disposables = [];
+	#disposed = false;
+
+	/**
+	 * `true` once the group has been disposed.
+	 */
+	get disposed() {
+		return this.#disposed;
+	}
+
+	/**
+	 * The number of resources in the group.
+	 */
+	get size() {
+		return this.#disposables.length;
+	}
+
+	/**
+	 * @throws {ReferenceError} If the group has already been disposed.
+	 */
+	#checkDisposed() {
+		if (this.#disposed) throw new ReferenceError("SubscriptionGroup has already been disposed.");
+	}
+
+	/**
+	 * Adds a resource to the group. The resource can be a {@linkcode Subscription},
+	 * or any object with a `Symbol.dispose`, `Symbol.asyncDispose` or `unsubscribe()` method.
+	 *
+	 * @template T
+	 * @param {T} resource - The resource to add. `null` and `undefined` are ignored.
+	 * @returns {T} The resource.
+	 */
+	use(resource) {
+		this.#checkDisposed();
+
+		if (resource === null || resource === undefined) return resource;
+
+		const dispose = resource[Symbol.dispose] ?? resource[Symbol.asyncDispose] ?? resource.unsubscribe;
+
+		if (typeof dispose !== "function") {
+			throw new TypeError("The resource must have a Symbol.dispose, Symbol.asyncDispose or unsubscribe() method.");
+		}
+
+		this.#disposables.push(() => dispose.call(resource));
+
+		return resource;
+	}
+
+	/**
+	 * Adds a callback to run when the group is disposed.
+	 *
+	 * @param {() => any} callback - The callback to run.
+	 */
+	defer(callback) {
+		this.#checkDisposed();
+
+		if (typeof callback !== "function") {
+			throw new TypeError(`The "callback" argument must be of type Function. Received type ${typeof callback}`);
+		}
+
+		this.#disposables.push(callback);
+	}
+
+	/**
+	 * Moves all of the resources in this group into a new group, and marks this group as disposed
+	 * without disposing the resources.
+	 *
+	 * @returns {SubscriptionGroup} The new group.
+	 */
+	move() {
+		this.#checkDisposed();
+
+		const group = new SubscriptionGroup();
+		group.#disposables = this.#disposables;
+
+		this.#disposables = [];
+		this.#disposed = true;
+
+		return group;
+	}
+
+	/**
+	 * Disposes every resource in the group in the reverse order they were added.
+	 * Every resource is disposed even if some of them throw.
+	 *
+	 * @throws {AggregateError|any} The error thrown while disposing a resource, or an `AggregateError` if several threw.
+	 */
+	dispose() {
+		if (this.#disposed) return;
+		this.#disposed = true;
+
+		const errors = [];
+
+		for (const dispose of this.#disposables.splice(0).reverse()) {
+			try {
+				dispose();
+			} catch (error) {
+				errors.push(error);
+			}
+		}
+
+		if (errors.length === 1) throw errors[0];
+		if (errors.length > 1) throw new AggregateError(errors, "Errors were thrown while disposing subscriptions.");
+	}
+
+	/**
+	 * Disposes every resource in the group in the reverse order they were added,
+	 * waiting for each asynchronous disposal to finish before starting the next.
+	 *
+	 * @returns {Promise<void>} A promise that resolves when every resource has been disposed.
+	 */
+	async disposeAsync() {
+		if (this.#disposed) return;
+		this.#disposed = true;
+
+		const errors = [];
+
+		for (const dispose of this.#disposables.splice(0).reverse()) {
+			try {
+				await dispose();
+			} catch (error) {
+				errors.push(error);
+			}
+		}
+
+		if (errors.length === 1) throw errors[0];
+		if (errors.length > 1) throw new AggregateError(errors, "Errors were thrown while disposing subscriptions.");
+	}
+
+	[Symbol.dispose]() {
+		this.dispose();
+	}
+
+	[Symbol.asyncDispose]() {
+		return this.disposeAsync();
+	}
+}
+
+export default Subscription;
@@ -0,0 +1,92 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { Subscription, SubscriptionGroup } from "./Subscription.js";
+
+suite("Subscription", () => {
+	test("should only unsubscribe once", () => {
+		let calls = 0;
+		const subscription = new Subscription(() => calls++);
+
+		assert.strictEqual(subscription.active, true, "Subscription should be active");
+		assert.strictEqual(subscription.unsubscribe(), true, "First unsubscribe should report removal");
+		assert.strictEqual(subscription.unsubscribe(), false, "Second unsubscribe should not report removal");
+		subscription[Symbol.dispose]();
+		assert.strictEqual(subscription.active, false, "Subscription should not be active");
+		assert.strictEqual(calls, 1, "Unsubscribe callback was called more than once");
+	});
+
+	test("should unsubscribe when disposed asynchronously", async () => {
+		let calls = 0;
+		const subscription = new Subscription(() => calls++);
+
+		await subscription[Symbol.asyncDispose]();
+		assert.strictEqual(calls, 1, "Unsubscribe callback was not called");
+		assert.throws(() => new Subscription(), TypeError, "Subscription without a callback was accepted");
+	});
+});
+
+suite("SubscriptionGroup", () => {
+	test("should dispose resources in reverse order", () => {
+		const order = [];
+		const group = new SubscriptionGroup();
+
+		const subscription = group.use(new Subscription(() => order.push("subscription")));
+		group.use({ [Symbol.dispose]: () => order.push("disposable") });
+		group.use({ unsubscribe: () => order.push("unsubscribable") });
+		group.use(null);
+		group.defer(() => order.push("deferred"));
+
+		assert.ok(subscription instanceof Subscription, "use() should return the resource");
+		assert.strictEqual(group.size, 4, "Group size is incorrect");
+
+		group[Symbol.dispose]();
+		group.dispose();
+
+		assert.deepStrictEqual(order, ["deferred", "unsubscribable", "disposable", "subscription"], "Resources were not disposed in reverse order");
+		assert.strictEqual(group.disposed, true, "Group should be disposed");
+		assert.throws(() => group.use(new Subscription(() => {})), ReferenceError, "Resource was added to a disposed group");
+		assert.throws(() => new SubscriptionGroup().use({}), TypeError, "Resource without a dispose method was accepted");
+	});
+
+	test("should dispose every resource even when some throw", () => {
+		const group = new SubscriptionGroup();
+		let disposed = false;
+
+		group.defer(() => disposed = true);
+		group.defer(() => { throw new Error("First"); });
+		group.defer(() => { throw new Error("Second"); });
+
+		assert.throws(() => group.dispose(), (error) => error instanceof AggregateError && error.errors.length === 2);
+		assert.strictEqual(disposed, true, "Remaining resources were not disposed");
+	});
+
+	test("should await asynchronous disposal in order", async () => {
+		const order = [];
+		const group = new SubscriptionGroup();
+
+		group.defer(() => order.push("first"));
+		group.use({
+			[Symbol.asyncDispose]: async () => {
+				await new Promise(resolve => setTimeout(resolve, 1));
+				order.push("second");
+			}
+		});
+
+		await group[Symbol.asyncDispose]();
+		assert.deepStrictEqual(order, ["second", "first"], "Asynchronous disposal was not awaited");
+	});
+
+	test("should move resources to a new group", () => {
+		let disposed = false;
+		const group = new SubscriptionGroup();
+
+		group.defer(() => disposed = true);
+
+		const moved = group.move();
+		group.dispose();
+		assert.strictEqual(disposed, false, "Moved resources were disposed with the original group");
+
+		moved.dispose();
+		assert.strictEqual(disposed, true, "Moved resources were not disposed");
+	});
+});
@@ -0,0 +1,218 @@
+import { META_EVENTS } from "./shared.js";
+
+/**
+ * The open transaction of each emitter that is batching its events.
+ *
+ * @type {WeakMap<object, { queue: [string|symbol, any[]][], coalesce: CoalesceOption }>}
+ */
+const _transactions = new WeakMap();
+
+/**
+ * The number of open transactions, so that emitters that are not batching do not look up a transaction on every emit.
+ */
+let _openTransactions = 0;
+
+/**
+ * @typedef {true|(string|symbol)[]|Object<string, true|"last"|((merged: any[], args: any[]) => any[])>} CoalesceOption
+ * `true` to only emit the last payload of every event type, an array of the event types to only emit the last payload of,
+ * or an object mapping event types to `true` or `"last"`, or to a function that merges the arguments of each queued payload
+ * into the arguments of the previous ones.
+ */
+
+/**
+ * @param {CoalesceOption} [coalesce] - The coalesce option to check.
+ * @returns {CoalesceOption|undefined} The option.
+ */
+function checkCoalesce(coalesce) {
+	const valid = coalesce === undefined
+		|| coalesce === true
+		|| Array.isArray(coalesce)
+		|| (typeof coalesce === "object" && coalesce !== null
+			&& Reflect.ownKeys(coalesce).every(type => [true, "last"].includes(coalesce[type]) || typeof coalesce[type] === "function"));
+
+	if (!valid) throw new TypeError("The \"coalesce\" option must be true, an array of event types, or an object mapping event types to true, \"last\" or a function.");
+
+	return coalesce;
+}
+
+/**
+ * @param {CoalesceOption} [coalesce] - How to coalesce the events.
+ * @param {string|symbol} type - The event type.
+ * @returns {((merged: any[], args: any[]) => any[])|undefined} How to combine two payloads of the event type, or `undefined` to emit each one.
+ */
+function mergerFor(coalesce, type) {
+	const last = (merged, args) => args;
+
+	if (coalesce === true) return last;
+	if (Array.isArray(coalesce)) return coalesce.includes(type) ? last : undefined;
+	if (!coalesce || !Object.hasOwn(coalesce, type)) return undefined;
+
+	return typeof coalesce[type] === "function" ? coalesce[type] : last;
+}
+
+/**
+ * Combines the queued payloads of each coalesced event type into one, which is emitted in place of the last of them.
+ *
+ * @param {[string|symbol, any[]][]} queue - The queued events, in the order they were emitted.
+ * @param {CoalesceOption} [coalesce] - How to coalesce the events.
+ * @returns {[string|symbol, any[]][]} The events to emit.
+ */
+function coalesceQueue(queue, coalesce) {
+	if (!coalesce) return queue;
+
+	const merged = new Map();
+
+	for (const [type, args] of queue) {
+		const merge = mergerFor(coalesce, type);
+		if (!merge) continue;
+
+		if (!merged.has(type)) merged.set(type, args);
+		else {
+			const result = merge(merged.get(type), args);
+			if (!Array.isArray(result)) throw new TypeError(`The coalesce function for '${String(type)}' must return an array of arguments. Received type ${typeof result}`);
+
+			merged.set(type, result);
+		}
+	}
+
+	const lastIndex = new Map(queue.map(([type], index) => [type, index]));
+
+	return queue.flatMap(([type, args], index) => {
+		if (!merged.has(type)) return [[type, args]];
+		return lastIndex.get(type) === index ? [[type, merged.get(type)]] : [];
+	});
+}
+
+/**
+ * @param {any[]} args - The arguments an event is emitted with.
+ * @returns {boolean} `true` if the event is an `Event` being dispatched, whose `defaultPrevented` and propagation
+ * are read as soon as its listeners have been called.
+ */
+function isDispatched(args) {
+	return args.length === 1 && typeof Event === "function" && args[0] instanceof Event;
+}
+
+/**
+ * Queues an event if the emitter is running a {@linkcode batch}. Emitters call this at the start of their `emit()` method
+ * and return straight away if the event was queued. `'error'`, `'newListener'` and `'removeListener'` are never queued,
+ * and neither are events emitted with an `Event` as their only argument, like the ones dispatched by `emitCancelable()`,
+ * `dispatchEvent()`, `bubble()` and `emit.guard`, so that listeners can still veto them.
+ *
+ * @param {object} emitter - The emitter the event is being emitted on.
+ * @param {string|symbol} type - The event type being emitted.
+ * @param {any[]} args - The arguments the event is being emitted with.
+ * @returns {boolean} `true` if the event was queued.
+ */
+export function queueEmit(emitter, type, args) {
+	if (_openTransactions === 0) return false;
+
+	const transaction = _transactions.get(emitter);
+	if (!transaction || type === "error" || META_EVENTS.has(type) || isDispatched(args)) return false;
+
+	transaction.queue.push([type, args]);
+
+	return true;
+}
+
+/**
+ * @param {object} emitter - The emitter to check.
+ * @returns {boolean} `true` if the emitter is running a {@linkcode batch}.
+ */
+export function isBatching(emitter) {
+	return _transactions.has(emitter);
+}
+
+/**
+ * Runs `fn` as a transaction, queueing the events emitted by `emitter` until it returns, or until the promise it
+ * returns is fulfilled, then emitting them in order. If `fn` throws or the promise rejects, the queued events are
+ * discarded instead. Every queued event is emitted even if some of their listeners throw, and the error is thrown
+ * once they all have been, or an `AggregateError` if several were thrown. Cancelable events, like the ones emitted by `emitCancelable()` or `emit.guard`, are dispatched
+ * straight away, since the result of their listeners is needed before `fn` can go on. See {@linkcode queueEmit}.
+ *
+ * With the `coalesce` option, only one event of each coalesced type is emitted, in place of the last one that was queued,
+ * with the arguments of the last one or the arguments returned by the merge function for the type.
+ *
+ * A batch started while another is running on the same emitter joins it, so its events are emitted when the outer batch
+ * completes and use its `coalesce` option, but are still discarded if the inner batch fails. While an asynchronous
+ * batch is running, every event emitted by the emitter is queued, whether or not it was emitted by `fn`.
+ *
+ * @example
+ * ```js
+ * batch(form, () => {
+ *     form.name = "Ada";
+ *     form.email = "ada@example.com";
+ * }, { coalesce: { change: (merged, [field]) => [[...merged[0], field]] } });
+ * ```
+ *
+ * @template T
+ * @param {object} emitter - The emitter whose events are batched. Its `emit()` method must call {@linkcode queueEmit}.
+ * @param {() => T} fn - The function to run.
+ * @param {object} [options]
+ * @param {CoalesceOption} [options.coalesce] - Which event types to only emit once.
+ * @returns {T} The value returned by `fn`.
+ */
+export function batch(emitter, fn, { coalesce } = {}) {
+	if (typeof fn !== "function") throw new TypeError(`The "fn" argument must be of type Function. Received type ${typeof fn}`);
+
+	const outer = _transactions.get(emitter);
+	const transaction = outer ?? { queue: [], coalesce: checkCoalesce(coalesce) };
+	const savepoint = transaction.queue.length;
+
+	if (!outer) {
+		_transactions.set(emitter, transaction);
+		_openTransactions++;
+	}
+
+	const close = () => {
+		_transactions.delete(emitter);
+		_openTransactions--;
+	};
+
+	const rollback = () => {
+		transaction.queue.length = savepoint;
+		if (!outer) close();
+	};
+
+	const commit = () => {
+		if (outer) return;
+
+		close();
+
+		const errors = [];
+
+		for (const [type, args] of coalesceQueue(transaction.queue, transaction.coalesce)) {
+			try {
+				emitter.emit(type, ...args);
+			} catch (error) {
+				errors.push(error);
+			}
+		}
+
+		if (errors.length === 1) throw errors[0];
+		if (errors.length > 1) throw new AggregateError(errors, "Errors were thrown while emitting the queued events.");
+	};
+
+	let result;
+
+	try {
+		result = fn.call(emitter);
+	} catch (error) {
+		rollback();
+		throw error;
+	}
+
+	if (typeof result?.then !== "function") {
+		commit();
+		return result;
+	}
+
+	return Promise.resolve(result).then(value => {
+		commit();
+		return value;
+	}, error => {
+		rollback();
+		throw error;
+	});
+}
+
+export default batch;
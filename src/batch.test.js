@@ -0,0 +1,148 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { batch, isBatching } from "./batch.js";
+import MixinEmitter from "./EventEmitter.js";
+
+/**
+ * @param {object} emitter - The emitter to record the events of.
+ * @param {string[]} types - The event types to record.
+ * @returns {any[][]} The type and arguments of each recorded event.
+ */
+function record(emitter, types) {
+	const received = [];
+	for (const type of types) emitter.on(type, (...args) => received.push([type, ...args]));
+	return received;
+}
+
+suite("batch", () => {
+	test("should queue events until the function returns", () => {
+		const emitter = new MixinEmitter();
+		const received = record(emitter, ["a", "b"]);
+
+		const result = batch(emitter, () => {
+			assert.strictEqual(emitter.emit("a", 1), true, "emit() did not report the listeners of a queued event");
+			emitter.emit("b", 2);
+			emitter.emit("a", 3);
+
+			assert.deepStrictEqual(received, [], "Events were emitted during the batch");
+			assert.strictEqual(isBatching(emitter), true, "Emitter is not batching");
+
+			return "result";
+		});
+
+		assert.strictEqual(result, "result", "Result of the function was not returned");
+		assert.deepStrictEqual(received, [["a", 1], ["b", 2], ["a", 3]], "Queued events were not emitted in order");
+		assert.strictEqual(isBatching(emitter), false, "Emitter is still batching");
+	});
+
+	test("should coalesce events to the last payload or a merged payload", () => {
+		const emitter = new MixinEmitter();
+		const received = record(emitter, ["a", "b", "c"]);
+
+		batch(emitter, () => {
+			emitter.emit("a", 1);
+			emitter.emit("b", [1]);
+			emitter.emit("c", 1);
+			emitter.emit("a", 2);
+			emitter.emit("b", [2]);
+			emitter.emit("c", 2);
+		}, { coalesce: { a: "last", b: ([merged], [next]) => [[...merged, ...next]] } });
+
+		assert.deepStrictEqual(received, [["c", 1], ["a", 2], ["b", [1, 2]], ["c", 2]], "Events were not coalesced");
+
+		received.length = 0;
+		batch(emitter, () => {
+			emitter.emit("a", 1);
+			emitter.emit("c", 1);
+			emitter.emit("a", 2);
+		}, { coalesce: true });
+
+		assert.deepStrictEqual(received, [["c", 1], ["a", 2]], "Events were not coalesced");
+		assert.throws(() => batch(emitter, () => {}, { coalesce: { a: 1 } }), TypeError, "Invalid coalesce option was accepted");
+	});
+
+	test("should discard queued events when the function throws", () => {
+		const emitter = new MixinEmitter();
+		const received = record(emitter, ["a", "b", "error"]);
+
+		assert.throws(() => batch(emitter, () => {
+			emitter.emit("a", 1);
+			emitter.emit("error", "failed");
+			throw new Error("rollback");
+		}), /rollback/, "Error was not re-thrown");
+
+		batch(emitter, () => {
+			emitter.emit("a", 1);
+			assert.throws(() => batch(emitter, () => {
+				emitter.emit("b", 2);
+				throw new Error("inner");
+			}), /inner/, "Error was not re-thrown");
+			emitter.emit("a", 3);
+		});
+
+		assert.deepStrictEqual(received, [["error", "failed"], ["a", 1], ["a", 3]], "Events of the failed batch were emitted");
+	});
+
+	test("should emit every queued event when listeners throw, then throw their errors", () => {
+		const emitter = new MixinEmitter();
+		const received = record(emitter, ["c"]);
+
+		emitter.on("a", () => { throw new Error("a failed"); });
+		emitter.on("b", () => { throw new Error("b failed"); });
+
+		assert.throws(() => batch(emitter, () => {
+			emitter.emit("a");
+			emitter.emit("c", 1);
+		}), /a failed/, "Error of the listener was not thrown");
+		assert.deepStrictEqual(received, [["c", 1]], "Event queued after the failed one was not emitted");
+
+		assert.throws(() => batch(emitter, () => {
+			emitter.emit("a");
+			emitter.emit("b");
+			emitter.emit("c", 2);
+		}), error => error instanceof AggregateError && error.errors.map(({ message }) => message).join() === "a failed,b failed", "Errors were not thrown together");
+		assert.deepStrictEqual(received, [["c", 1], ["c", 2]], "Event queued after the failed ones was not emitted");
+	});
+
+	test("should dispatch cancelable and bubbling events straight away", () => {
+		const parent = new MixinEmitter();
+		const emitter = new MixinEmitter({ parentEmitter: parent });
+		const received = [];
+
+		emitter.on("close", event => event.preventDefault());
+		emitter.on("save", () => received.push("target"));
+		parent.on("save", () => received.push("parent"));
+
+		batch(emitter, () => {
+			assert.strictEqual(emitter.emitCancelable("close"), false, "Veto of a cancelable event was ignored");
+			assert.strictEqual(emitter.dispatchEvent(new Event("close", { cancelable: true })), false, "Veto of a dispatched event was ignored");
+
+			emitter.bubble("save");
+			assert.deepStrictEqual(received, ["target", "parent"], "Bubbling event was not dispatched in order");
+		});
+	});
+
+	test("should wait for asynchronous functions", async () => {
+		const emitter = new MixinEmitter();
+		const received = record(emitter, ["a"]);
+
+		const pending = batch(emitter, async () => {
+			emitter.emit("a", 1);
+			await Promise.resolve();
+			emitter.emit("a", 2);
+			return "done";
+		});
+
+		emitter.emit("a", 3);
+		assert.deepStrictEqual(received, [], "Events were emitted before the batch completed");
+		assert.strictEqual(await pending, "done", "Result of the function was not returned");
+		assert.deepStrictEqual(received, [["a", 1], ["a", 3], ["a", 2]], "Queued events were not emitted");
+
+		received.length = 0;
+		await assert.rejects(batch(emitter, async () => {
+			emitter.emit("a", 4);
+			throw new Error("rollback");
+		}), /rollback/, "Rejection was not passed on");
+		assert.deepStrictEqual(received, [], "Events of the rejected batch were emitted");
+	});
+});
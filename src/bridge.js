@@ -0,0 +1,265 @@
+import { Subscription } from "./Subscription.js";
+import { META_EVENTS, checkEmitter } from "./shared.js";
+
+/**
+ * Identifies the messages sent by bridges, so that a port can also carry other messages.
+ */
+const PROTOCOL = "event-emitter-decorators:bridge";
+
+/**
+ * The built-in error classes that serialized errors are recreated as, by name.
+ */
+const ERROR_TYPES = { Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError, AggregateError };
+
+/**
+ * @typedef {Object} SerializedError
+ * @property {string} name - The name of the error.
+ * @property {string} message - The error message.
+ * @property {string} [stack] - The stack of the error where it was created.
+ * @property {object} props - The own enumerable properties of the error, such as `code`.
+ * @property {SerializedValue} [cause] - The cause of the error.
+ * @property {SerializedValue[]} [errors] - The errors of an `AggregateError`.
+ */
+
+/**
+ * @typedef {{ error: SerializedError }|{ value: any }} SerializedValue
+ * A value that may be an error, which is serialized if it is.
+ */
+
+/**
+ * @param {any} value - The value to serialize.
+ * @returns {SerializedValue} The serialized error, or the value.
+ */
+function serializeValue(value) {
+	return value instanceof Error ? { error: serializeError(value) } : { value };
+}
+
+/**
+ * @param {SerializedValue} serialized - The value serialized with {@linkcode serializeValue}.
+ * @returns {any} The error or value.
+ */
+function deserializeValue(serialized) {
+	return "error" in serialized ? deserializeError(serialized.error) : serialized.value;
+}
+
+/**
+ * Converts an error to a plain object that can be structured-cloned or converted to JSON, including its cause,
+ * since the structured clone algorithm drops the cause and any other properties of errors.
+ *
+ * @param {Error} error - The error to serialize.
+ * @returns {SerializedError} The serialized error.
+ */
+export function serializeError(error) {
+	const { name, message, stack, cause, errors, ...props } = error;
+	const serialized = { name, message, stack, props };
+
+	if (Object.hasOwn(error, "cause")) serialized.cause = serializeValue(cause);
+	if (Array.isArray(errors)) serialized.errors = errors.map(serializeValue);
+
+	return serialized;
+}
+
+/**
+ * Recreates an error serialized with {@linkcode serializeError}, as an instance of the built-in error class
+ * with the same name, or of `Error`.
+ *
+ * @param {SerializedError} serialized - The serialized error.
+ * @returns {Error} The error.
+ */
+export function deserializeError({ name, message, stack, props, cause, errors }) {
+	const ErrorType = Object.hasOwn(ERROR_TYPES, name) ? ERROR_TYPES[name] : Error;
+	const options = cause ? { cause: deserializeValue(cause) } : undefined;
+	const error = ErrorType === AggregateError
+		? new AggregateError((errors ?? []).map(deserializeValue), message, options)
+		: new ErrorType(message, options);
+
+	if (error.name !== name) Object.defineProperty(error, "name", { value: name, writable: true, configurable: true });
+	if (stack !== undefined) error.stack = stack;
+
+	return Object.assign(error, props);
+}
+
+/**
+ * @param {MessagePort|object} port - The port to listen to.
+ * @param {(message: any) => void} receive - Called with the data of each message.
+ * @returns {() => void} A function that stops listening.
+ */
+function listenTo(port, receive) {
+	if (typeof port.on === "function") {
+		port.on("message", receive);
+		return () => (port.off ?? port.removeListener).call(port, "message", receive);
+	}
+
+	const handler = event => receive(event.data);
+
+	port.addEventListener("message", handler);
+	port.start?.(); // Ports only deliver messages to `addEventListener()` listeners once started
+
+	return () => port.removeEventListener("message", handler);
+}
+
+/**
+ * @typedef {Object} BridgeOptions
+ * @property {string[]} [types] - The event types that may cross the bridge. Defaults to every string event type.
+ * @property {AbortSignal} [signal] - Closes the bridge when the signal is aborted.
+ */
+
+/**
+ * Connects `emitter` to an emitter on the other side of a `MessagePort`, such as one end of a `MessageChannel`,
+ * a `Worker` or `parentPort`, which must be connected to the port with `bridge()` as well.
+ *
+ * Each side tells the other which event types it has listeners for, as they are added and removed, and only emits
+ * of those types are sent across, with their arguments structured-cloned. Events received from the other side are
+ * emitted on `emitter`, but are not sent back. Errors in the arguments, such as those of `'error'` events, are sent
+ * with their name, stack, cause and own properties, which structured cloning would otherwise lose.
+ *
+ * Only string event types are bridged. Listeners on wildcard patterns do not subscribe to remote events.
+ * While the other side listens for `'error'` events, `'error'` events emitted on `emitter` are sent to it
+ * and do not throw when `emitter` has no `'error'` listeners of its own.
+ * Arguments that cannot be structured-cloned, like functions, make the `emit()` call that sent them throw.
+ *
+ * @example
+ * ```js
+ * // main.js
+ * const worker = new Worker("./worker.js");
+ * bridge(pipeline, worker, { types: ["progress", "error"] });
+ * pipeline.on("progress", percent => console.log(percent));
+ *
+ * // worker.js
+ * bridge(stage, parentPort);
+ * stage.emit("progress", 50);
+ * ```
+ *
+ * @param {object} emitter - The emitter to connect, usually an EventEmitterMixin instance.
+ * @param {MessagePort|object} port - The port to send and receive events on.
+ * @param {BridgeOptions} [options] - Options for the bridge.
+ * @returns {Subscription} A subscription that closes the bridge when unsubscribed or disposed.
+ */
+export function bridge(emitter, port, { types, signal } = {}) {
+	checkEmitter(emitter, { emits: true });
+
+	if (typeof port?.postMessage !== "function" || (typeof port.on !== "function" && typeof port.addEventListener !== "function")) {
+		throw new TypeError(`Object '${port?.constructor?.name || "port"}' is not a MessagePort.`);
+	}
+
+	if (types !== undefined && (!Array.isArray(types) || types.some(type => typeof type !== "string"))) {
+		throw new TypeError("The \"types\" option must be an array of event type strings.");
+	}
+
+	if (signal?.aborted) return new Subscription(() => {}, { emitter, type: types });
+
+	const relays = new Map(); // The listeners that send events of each type the other side has subscribed to
+	const subscribed = new Set(); // The types this side has subscribed to
+	const receiving = new Set(); // The types of the events received from the other side that are being emitted
+	const on = (emitter.on ?? emitter.addListener).bind(emitter);
+	const off = (emitter.off ?? emitter.removeListener).bind(emitter);
+
+	const bridged = type => typeof type === "string"
+		&& !META_EVENTS.has(type)
+		&& !(emitter.wildcard === true && type.split(emitter.delimiter).some(segment => segment === "*" || segment === "**"))
+		&& (types === undefined || types.includes(type));
+
+	const localCount = type => emitter.listenerCount(type) - (relays.has(type) ? 1 : 0);
+
+	const post = (op, type, args) => {
+		const message = { bridge: PROTOCOL, op, type };
+
+		if (args) {
+			message.errors = args.flatMap((arg, index) => arg instanceof Error ? [index] : []);
+			message.args = args.map(arg => arg instanceof Error ? serializeError(arg) : arg);
+		}
+
+		port.postMessage(message);
+	};
+
+	const subscribe = type => {
+		if (!bridged(type) || subscribed.has(type)) return;
+
+		subscribed.add(type);
+		post("subscribe", type);
+	};
+
+	const unsubscribe = type => {
+		if (!subscribed.delete(type)) return;
+		post("unsubscribe", type);
+	};
+
+	const addRelay = type => {
+		if (!bridged(type) || relays.has(type)) return;
+
+		const relay = (...args) => {
+			if (!receiving.has(type)) post("emit", type, args);
+		};
+
+		relays.set(type, relay);
+		on(type, relay);
+	};
+
+	const removeRelay = type => {
+		const relay = relays.get(type);
+		if (!relay) return;
+
+		relays.delete(type);
+		off(type, relay);
+	};
+
+	const onNewListener = (type, listener) => {
+		if (listener !== relays.get(type)) subscribe(type);
+	};
+
+	const onRemoveListener = (type, listener) => {
+		if (listener !== relays.get(type) && localCount(type) === 0) unsubscribe(type);
+	};
+
+	const receive = message => {
+		if (message?.bridge !== PROTOCOL) return;
+
+		const { op, type } = message;
+
+		if (op === "subscribe") addRelay(type);
+		else if (op === "unsubscribe") removeRelay(type);
+		else if (op === "close") [...relays.keys()].forEach(removeRelay);
+		else if (op === "emit" && subscribed.has(type)) {
+			const args = message.args.map((arg, index) => message.errors.includes(index) ? deserializeError(arg) : arg);
+
+			receiving.add(type);
+
+			try {
+				emitter.emit(type, ...args);
+			} finally {
+				receiving.delete(type);
+			}
+		}
+	};
+
+	on("newListener", onNewListener);
+	on("removeListener", onRemoveListener);
+
+	const stopListening = listenTo(port, receive);
+
+	for (const type of emitter.eventNames?.() ?? []) {
+		if (localCount(type) > 0) subscribe(type);
+	}
+
+	const close = () => {
+		signal?.removeEventListener("abort", abort);
+
+		off("newListener", onNewListener);
+		off("removeListener", onRemoveListener);
+		stopListening();
+
+		[...relays.keys()].forEach(removeRelay);
+		subscribed.clear();
+
+		post("close");
+	};
+
+	const subscription = new Subscription(close, { emitter, type: types });
+	const abort = () => subscription.unsubscribe();
+
+	signal?.addEventListener("abort", abort, { once: true });
+
+	return subscription;
+}
+
+export default bridge;
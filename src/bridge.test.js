@@ -0,0 +1,263 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { MessageChannel, Worker } from "node:worker_threads";
+import { bridge, serializeError, deserializeError } from "./bridge.js";
+import MixinEmitter from "./EventEmitter.js";
+
+/**
+ * @param {MessagePort} port - The port that receives the message.
+ * @param {(message: any) => boolean} match - Returns `true` for the message to wait for.
+ * @returns {Promise<any>} A promise that is fulfilled with the next matching message the port receives,
+ * once the listeners added to the port before, like those of bridges, have been called.
+ */
+function nextMessage(port, match) {
+	return new Promise(resolve => {
+		const listener = message => {
+			if (!match(message)) return;
+
+			port.off("message", listener);
+			resolve(message);
+		};
+
+		port.on("message", listener);
+	});
+}
+
+/**
+ * @param {MessagePort} port - The port that receives the message.
+ * @param {string} op - The operation of the bridge message, such as `"subscribe"` or `"emit"`.
+ * @param {string} [type] - The event type of the bridge message.
+ * @returns {Promise<object>} A promise that is fulfilled once the bridge on the port has handled the next message for `op` and `type`.
+ */
+function handled(port, op, type) {
+	return nextMessage(port, message => message?.op === op && (type === undefined || message.type === type));
+}
+
+/**
+ * Posts a message that bridges ignore from one port of a channel to the other. Messages arrive in the order they were
+ * posted, so once it arrives, the other port has received every message posted before it.
+ *
+ * @param {MessagePort} from - The port to post the message from.
+ * @param {MessagePort} to - The port that receives the message.
+ * @returns {Promise<void>} A promise that is fulfilled once `to` has received the message.
+ */
+async function flushed(from, to) {
+	const id = crypto.randomUUID();
+	const arrived = nextMessage(to, message => message?.flushed === id);
+
+	from.postMessage({ flushed: id });
+	await arrived;
+}
+
+/**
+ * Creates two emitters bridged over a `MessageChannel`.
+ *
+ * @param {import("./bridge.js").BridgeOptions} [options] - Options for both sides of the bridge.
+ * @returns {{ local: MixinEmitter, remote: MixinEmitter, port1: MessagePort, port2: MessagePort, messages: any[], close: () => void }}
+ * The emitters, the ports of the local and remote sides, the messages posted by the local side,
+ * and a function that closes the bridge and the ports.
+ */
+function connect(options) {
+	const { port1, port2 } = new MessageChannel();
+	const local = new MixinEmitter();
+	const remote = new MixinEmitter();
+	const messages = [];
+
+	port2.on("message", message => messages.push(message));
+
+	const links = [bridge(local, port1, options), bridge(remote, port2, options)];
+
+	return {
+		local,
+		remote,
+		port1,
+		port2,
+		messages,
+		close: () => {
+			links.forEach(link => link.unsubscribe());
+			port1.close();
+		}
+	};
+}
+
+suite("bridge", () => {
+	test("should send events of the types the other side listens to", async () => {
+		const { local, remote, port1, port2, messages, close } = connect();
+		const received = [];
+
+		try {
+			remote.on("progress", (percent, details) => received.push([percent, details]));
+			await handled(port1, "subscribe", "progress");
+
+			local.emit("progress", 50, { stage: "parse" });
+			local.emit("other", 1);
+			await flushed(port1, port2);
+
+			assert.deepStrictEqual(received, [[50, { stage: "parse" }]], "Event was not received with cloned arguments");
+			assert.deepStrictEqual(messages.filter(message => message.op === "emit").map(message => message.type), ["progress"], "Unsubscribed event was sent");
+		} finally {
+			close();
+		}
+	});
+
+	test("should stop sending events once the other side removes its listeners", async () => {
+		const { local, remote, port1, port2, messages, close } = connect();
+		const listener = () => {};
+
+		try {
+			remote.on("progress", listener);
+			remote.on("progress", listener);
+			await handled(port1, "subscribe", "progress");
+			assert.strictEqual(local.listenerCount("progress"), 1, "Relay was not added once");
+
+			remote.off("progress", listener);
+			await flushed(port2, port1);
+			assert.strictEqual(local.listenerCount("progress"), 1, "Relay was removed while the other side still listened");
+
+			remote.off("progress", listener);
+			await handled(port1, "unsubscribe", "progress");
+			assert.strictEqual(local.listenerCount("progress"), 0, "Relay was not removed");
+
+			local.emit("progress", 100);
+			await flushed(port1, port2);
+			assert.strictEqual(messages.filter(message => message.op === "emit").length, 0, "Event was sent after unsubscribing");
+		} finally {
+			close();
+		}
+	});
+
+	test("should subscribe to types that already have listeners, and only to allowed types", async () => {
+		const { port1, port2 } = new MessageChannel();
+		const local = new MixinEmitter();
+		const remote = new MixinEmitter();
+		const received = [];
+
+		remote.on("progress", percent => received.push(percent));
+		remote.on("secret", () => received.push("secret"));
+
+		const links = [bridge(local, port1, { types: ["progress"] }), bridge(remote, port2, { types: ["progress"] })];
+
+		try {
+			await handled(port1, "subscribe", "progress");
+			local.emit("progress", 10);
+			local.emit("secret");
+			await flushed(port1, port2);
+
+			assert.deepStrictEqual(received, [10], "Allowed types were not the only ones sent");
+		} finally {
+			links.forEach(link => link.unsubscribe());
+			port1.close();
+		}
+	});
+
+	test("should not send events received from the other side back", async () => {
+		const { local, remote, port1, port2, close } = connect();
+		const received = [];
+
+		try {
+			local.on("sync", value => received.push(["local", value]));
+			remote.on("sync", value => received.push(["remote", value]));
+			await Promise.all([handled(port1, "subscribe", "sync"), handled(port2, "subscribe", "sync")]);
+
+			local.emit("sync", 1);
+			await handled(port2, "emit", "sync");
+			await flushed(port2, port1);
+
+			assert.deepStrictEqual(received, [["local", 1], ["remote", 1]], "Event was echoed back");
+		} finally {
+			close();
+		}
+	});
+
+	test("should deliver errors as 'error' events with their causes", async () => {
+		const { local, remote, port1, port2, close } = connect();
+		const errors = [];
+
+		try {
+			remote.on("error", error => errors.push(error));
+			await handled(port1, "subscribe", "error");
+
+			const cause = Object.assign(new RangeError("Out of range"), { code: "ERR_RANGE" });
+			local.emit("error", new Error("Stage failed", { cause }));
+			await handled(port2, "emit", "error");
+
+			const [error] = errors;
+			assert.ok(error instanceof Error, "Error was not recreated");
+			assert.strictEqual(error.message, "Stage failed", "Error message was not sent");
+			assert.ok(error.cause instanceof RangeError, "Cause was not recreated as its class");
+			assert.strictEqual(error.cause.code, "ERR_RANGE", "Cause properties were not sent");
+		} finally {
+			close();
+		}
+	});
+
+	test("should close both sides when unsubscribed", async () => {
+		const { port1, port2 } = new MessageChannel();
+		const local = new MixinEmitter();
+		const remote = new MixinEmitter();
+		const controller = new AbortController();
+
+		bridge(local, port1, { signal: controller.signal });
+		bridge(remote, port2);
+		remote.on("progress", () => {});
+		await handled(port1, "subscribe", "progress");
+		assert.strictEqual(local.listenerCount("progress"), 1, "Relay was not added");
+
+		controller.abort();
+		await handled(port2, "close");
+
+		try {
+			assert.strictEqual(local.listenerCount("progress"), 0, "Relay was not removed when closed");
+			assert.strictEqual(local.listenerCount("newListener"), 0, "Subscription tracking was not removed");
+			assert.throws(() => bridge(local, {}), TypeError, "Object without postMessage() was accepted as a port");
+		} finally {
+			port1.close();
+		}
+	});
+
+	test("should bridge emitters in worker threads", { timeout: 10000 }, async () => {
+		const worker = new Worker(`
+			const { parentPort } = require("node:worker_threads");
+			Promise.all([import(${JSON.stringify(import.meta.resolve("./EventEmitter.js"))}), import(${JSON.stringify(import.meta.resolve("./bridge.js"))})])
+				.then(([{ default: EventEmitter }, { bridge }]) => {
+					const stage = new EventEmitter();
+					bridge(stage, parentPort);
+					stage.on("start", input => stage.emit("done", input * 2));
+				});
+		`, { eval: true });
+
+		const pipeline = new MixinEmitter();
+		const started = new Promise(resolve => pipeline.on("newListener", type => type === "start" && resolve()));
+		const link = pipeline.bridge(worker);
+
+		try {
+			const done = MixinEmitter.once(pipeline, "done");
+			await started; // The worker has subscribed to "start"
+
+			pipeline.emit("start", 21);
+			assert.deepStrictEqual(await done, [42], "Event was not received from the worker");
+		} finally {
+			link.unsubscribe();
+			await worker.terminate();
+		}
+	});
+});
+
+suite("serializeError", () => {
+	test("should serialize errors to plain objects that can be recreated", () => {
+		const error = new AggregateError([new TypeError("Bad type"), "reason"], "Failed", { cause: "timeout" });
+		error.code = "ERR_FAILED";
+
+		const serialized = JSON.parse(JSON.stringify(serializeError(error)));
+		const recreated = deserializeError(serialized);
+
+		assert.ok(recreated instanceof AggregateError, "Error was not recreated as its class");
+		assert.deepStrictEqual([recreated.message, recreated.code, recreated.cause], ["Failed", "ERR_FAILED", "timeout"], "Error details were lost");
+		assert.ok(recreated.errors[0] instanceof TypeError, "Aggregated errors were not recreated");
+		assert.strictEqual(recreated.errors[1], "reason", "Aggregated values were not kept");
+		assert.strictEqual(recreated.stack, error.stack, "Stack was not kept");
+
+		const custom = deserializeError(serializeError(Object.assign(new Error("Custom"), { name: "ValidationError" })));
+		assert.strictEqual(custom.name, "ValidationError", "Custom error name was not kept");
+	});
+});
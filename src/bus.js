@@ -0,0 +1,281 @@
+import { Subscription } from "./Subscription.js";
+import { forward } from "./forward.js";
+import { serializeError, deserializeError } from "./bridge.js";
+
+/**
+ * Identifies the messages sent by event buses, so that other messages on the same channel are ignored.
+ */
+const PROTOCOL = "event-emitter-decorators:bus";
+
+/**
+ * The number of message ids each bus remembers to recognize duplicates.
+ */
+const SEEN_LIMIT = 1000;
+
+/**
+ * @typedef {Object} Sender
+ * @property {string} id - The unique id of the bus that sent the event.
+ * @property {string} [name] - The name given to the bus that sent the event, like the name of its tab or worker.
+ */
+
+/**
+ * @typedef {Object} Member
+ * @property {object} emitter - The emitter that joined the bus.
+ * @property {Set<string>} receiving - The types of the events being emitted on the emitter by the bus.
+ * @property {Subscription} [subscription] - The subscription that removes the emitter from the bus.
+ */
+
+/**
+ * A named event bus that connects emitters in different browser tabs, workers or worker threads with a `BroadcastChannel`.
+ * Events emitted on an emitter that has joined the bus are emitted on every other emitter that has joined a bus
+ * with the same name, in this context and in every other one.
+ *
+ * Each event is sent with the identity of the bus that sent it, which is available from {@linkcode EventBus.sender}
+ * while its listeners are called, and with an id that lets each bus ignore events it has already delivered.
+ * Events are not emitted back on the emitter that emitted them, unless the `echo` option is enabled.
+ *
+ * Only string event types are sent, with their arguments structured-cloned. Errors keep their cause and own properties.
+ * Events whose arguments cannot be cloned, like functions, are still emitted on the members in this context,
+ * and the `DataCloneError` is emitted as an `'error'` event on the emitter that emitted them.
+ *
+ * Every member receives each event even if the listeners of some of them throw. Errors thrown by listeners are
+ * emitted as `'error'` events on their emitter if it has `'error'` listeners. Otherwise they are thrown by the `emit()`
+ * call that sent the event, or, for events from other contexts, by the `BroadcastChannel` listener once every member
+ * has received it.
+ *
+ * @example
+ * ```js
+ * const bus = new EventBus("app", { name: "tab-1" });
+ * bus.join(store);
+ * store.on("logout", () => console.log("Logged out by", bus.sender?.name ?? "this tab"));
+ * ```
+ */
+export class EventBus {
+	#channel;
+	#members = new Set();
+	#seen = new Set();
+	#nextMessage = 0;
+	#sender = undefined;
+
+	/**
+	 * @param {string} name - The name of the bus. Buses with the same name are connected.
+	 * @param {object} [options]
+	 * @param {string} [options.name] - A name for this bus that is sent with its events, like the name of the tab or worker.
+	 * @param {boolean} [options.echo=false] - Whether events are also emitted back on the emitter that emitted them.
+	 */
+	constructor(name, { name: senderName, echo = false } = {}) {
+		if (typeof name !== "string") throw new TypeError(`The "name" argument must be of type string. Received type ${typeof name}`);
+
+		this.name = name;
+		this.echo = echo;
+		this.id = crypto.randomUUID();
+		this.senderName = senderName;
+
+		this.#channel = new BroadcastChannel(name);
+		this.#channel.addEventListener("message", ({ data }) => this.#receive(data));
+	}
+
+	/**
+	 * The identity of this bus, which is sent with its events.
+	 *
+	 * @type {Sender}
+	 */
+	get identity() {
+		return { id: this.id, name: this.senderName };
+	}
+
+	/**
+	 * The identity of the bus that sent the event whose listeners are being called, or `undefined` outside of them.
+	 *
+	 * @type {Sender|undefined}
+	 */
+	get sender() {
+		return this.#sender;
+	}
+
+	/**
+	 * @param {string} id - The id of a message.
+	 * @returns {boolean} `true` if the message has already been delivered.
+	 */
+	#isDuplicate(id) {
+		if (this.#seen.has(id)) return true;
+
+		this.#seen.add(id);
+		if (this.#seen.size > SEEN_LIMIT) this.#seen.delete(this.#seen.values().next().value);
+
+		return false;
+	}
+
+	/**
+	 * Emits an event on a member, without sending it to the bus again.
+	 *
+	 * @param {Member} member - The member to emit the event on.
+	 * @param {string} type - The event type.
+	 * @param {any[]} args - The arguments of the event.
+	 */
+	#emitOn(member, type, args) {
+		const received = member.receiving.has(type);
+		member.receiving.add(type);
+
+		try {
+			member.emitter.emit(type, ...args);
+		} finally {
+			if (!received) member.receiving.delete(type);
+		}
+	}
+
+	/**
+	 * Emits an event on the members of the bus. Every member receives the event even if the listeners of some of them throw.
+	 * Errors are emitted as `'error'` events on the member whose listener threw if it has `'error'` listeners, and returned otherwise.
+	 *
+	 * @param {object} message - The message the event was sent in.
+	 * @param {Member} [source] - The member that emitted the event, if it was emitted in this context.
+	 * @returns {any[]} The errors that were not handled.
+	 */
+	#deliver({ sender, type, args }, source) {
+		const previous = this.#sender;
+		const errors = [];
+
+		this.#sender = sender;
+
+		try {
+			for (const member of [...this.#members]) {
+				if (member === source && !this.echo) continue;
+
+				try {
+					this.#emitOn(member, type, args);
+				} catch (error) {
+					if (type !== "error" && member.emitter.listeners?.("error").length > 0) this.#emitOn(member, "error", [error]);
+					else errors.push(error);
+				}
+			}
+		} finally {
+			this.#sender = previous;
+		}
+
+		return errors;
+	}
+
+	/**
+	 * @param {any[]} errors - The errors thrown while delivering an event.
+	 * @throws {AggregateError|any} The error, or an `AggregateError` if several were thrown.
+	 */
+	#throw(errors) {
+		if (errors.length === 1) throw errors[0];
+		if (errors.length > 1) throw new AggregateError(errors, "Errors were thrown while delivering the event.");
+	}
+
+	/**
+	 * @param {any} data - The data of a message from another bus.
+	 */
+	#receive(data) {
+		if (data?.bus !== PROTOCOL || this.#isDuplicate(data.id)) return;
+
+		const args = data.args.map((arg, index) => data.errors.includes(index) ? deserializeError(arg) : arg);
+
+		this.#throw(this.#deliver({ ...data, args }));
+	}
+
+	/**
+	 * Sends an event emitted by a member to the other members and to the other buses.
+	 *
+	 * @param {Member} source - The member that emitted the event.
+	 * @param {string} type - The event type.
+	 * @param {any[]} args - The arguments of the event.
+	 */
+	#publish(source, type, args) {
+		const id = `${this.id}:${this.#nextMessage++}`;
+		const sender = this.identity;
+
+		let cloneError;
+
+		this.#isDuplicate(id);
+
+		try {
+			this.#channel.postMessage({
+				bus: PROTOCOL,
+				id,
+				sender,
+				type,
+				errors: args.flatMap((arg, index) => arg instanceof Error ? [index] : []),
+				args: args.map(arg => arg instanceof Error ? serializeError(arg) : arg)
+			});
+		} catch (error) {
+			cloneError = error;
+		}
+
+		const errors = this.#deliver({ sender, type, args }, source);
+
+		if (cloneError) {
+			try {
+				this.#emitOn(source, "error", [cloneError]);
+			} catch (error) {
+				errors.push(error);
+			}
+		}
+
+		this.#throw(errors);
+	}
+
+	/**
+	 * Joins an emitter to the bus, such as an EventEmitterMixin instance or an instance of an `@emitter` class,
+	 * so that the events emitted on it are sent to the bus, and the events sent to the bus are emitted on it.
+	 *
+	 * @example
+	 * ```js
+	 * using membership = bus.join(store, { types: ["login", "logout"] });
+	 * ```
+	 *
+	 * @param {object} emitter - The emitter to join to the bus.
+	 * @param {object} [options]
+	 * @param {string[]} [options.types] - The event types the emitter sends to the bus. Defaults to every string event type.
+	 * @param {AbortSignal} [options.signal] - Removes the emitter from the bus when aborted.
+	 * @returns {Subscription} A subscription that removes the emitter from the bus when unsubscribed or disposed.
+	 */
+	join(emitter, { types = "**", signal } = {}) {
+		if (typeof emitter?.emit !== "function") {
+			throw new TypeError(`Object '${emitter?.constructor?.name || "object"}' does not have an 'emit()' method.`);
+		}
+
+		if (signal?.aborted) return new Subscription(() => {}, { emitter, type: types });
+
+		/** @type {Member} */
+		const member = { emitter, receiving: new Set() };
+
+		const link = forward(emitter, { emit: (type, ...args) => this.#publish(member, type, args) }, types, {
+			filter: type => typeof type === "string" && !member.receiving.has(type)
+		});
+
+		this.#members.add(member);
+
+		const leave = () => {
+			signal?.removeEventListener("abort", abort);
+			this.#members.delete(member);
+			link.unsubscribe();
+		};
+
+		const subscription = new Subscription(leave, { emitter, type: types });
+		const abort = () => subscription.unsubscribe();
+
+		member.subscription = subscription;
+
+		signal?.addEventListener("abort", abort, { once: true });
+
+		return subscription;
+	}
+
+	/**
+	 * Removes every emitter from the bus and closes its channel.
+	 */
+	close() {
+		for (const member of [...this.#members]) member.subscription.unsubscribe();
+
+		this.#channel.close();
+	}
+
+	[Symbol.dispose]() {
+		this.close();
+	}
+}
+
+export default EventBus;
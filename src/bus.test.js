@@ -0,0 +1,240 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { Worker } from "node:worker_threads";
+import { EventBus } from "./bus.js";
+import { emitter } from "./decorators.js";
+import MixinEmitter from "./EventEmitter.js";
+
+/**
+ * @param {object} emitter - The emitter the event is emitted on.
+ * @param {string} type - The event type to wait for.
+ * @param {(...args: any[]) => boolean} [match] - Returns `true` for the arguments of the event to wait for.
+ * @returns {Promise<void>} A promise that is fulfilled once the event has been emitted on the emitter.
+ */
+function emitted(emitter, type, match = () => true) {
+	return new Promise(resolve => {
+		const listener = (...args) => {
+			if (!match(...args)) return;
+
+			emitter.off(type, listener);
+			resolve();
+		};
+
+		emitter.on(type, listener);
+	});
+}
+
+suite("EventBus", () => {
+	test("should emit events on the emitters of every bus with the same name, with the sender's identity", async () => {
+		const first = new EventBus("bus:identity", { name: "first" });
+		const second = new EventBus("bus:identity", { name: "second" });
+		const source = new MixinEmitter();
+		const local = new MixinEmitter();
+		const remote = new MixinEmitter();
+		const received = [];
+
+		first.join(source);
+		first.join(local);
+		second.join(remote);
+
+		source.on("login", user => received.push(["source", user]));
+		local.on("login", user => received.push(["local", user, first.sender.name]));
+		remote.on("login", user => received.push(["remote", user, second.sender.name]));
+
+		try {
+			const delivered = emitted(remote, "login");
+			source.emit("login", { name: "Ada" });
+			await delivered;
+
+			assert.deepStrictEqual(received, [
+				["source", { name: "Ada" }],
+				["local", { name: "Ada" }, "first"],
+				["remote", { name: "Ada" }, "first"]
+			], "Event was not delivered once to every other member");
+			assert.strictEqual(second.sender, undefined, "Sender was kept after the listeners were called");
+		} finally {
+			first.close();
+			second.close();
+		}
+	});
+
+	test("should emit events back on the emitter that emitted them with the echo option", () => {
+		const bus = new EventBus("bus:echo", { echo: true });
+		const source = new MixinEmitter();
+		const calls = [];
+
+		bus.join(source);
+		source.on("change", value => calls.push([value, bus.sender?.id]));
+
+		try {
+			source.emit("change", 1);
+
+			assert.deepStrictEqual(calls, [[1, undefined], [1, bus.id]], "Event was not echoed once");
+		} finally {
+			bus.close();
+		}
+	});
+
+	test("should emit events that cannot be cloned on local members and report the error", () => {
+		const bus = new EventBus("bus:clone");
+		const source = new MixinEmitter();
+		const local = new MixinEmitter();
+		const errors = [];
+		const received = [];
+
+		bus.join(source);
+		bus.join(local);
+		source.on("error", error => errors.push(error));
+		local.on("job", task => received.push(task()));
+
+		try {
+			assert.doesNotThrow(() => source.emit("job", () => 1), "Event that cannot be cloned threw");
+
+			assert.deepStrictEqual(received, [1], "Event was not emitted on the local member");
+			assert.strictEqual(errors[0]?.name, "DataCloneError", "Clone error was not emitted as 'error'");
+		} finally {
+			bus.close();
+		}
+	});
+
+	test("should emit events on every member when a listener throws", () => {
+		const bus = new EventBus("bus:throws");
+		const source = new MixinEmitter();
+		const failing = new MixinEmitter();
+		const local = new MixinEmitter();
+		const received = [];
+
+		bus.join(source);
+		bus.join(failing);
+		bus.join(local);
+		failing.on("save", () => { throw new Error("Save failed"); });
+		local.on("save", id => received.push(id));
+
+		try {
+			assert.throws(() => source.emit("save", 1), /Save failed/, "Error of the listener was not thrown");
+			assert.deepStrictEqual(received, [1], "Member after the failing one did not receive the event");
+		} finally {
+			bus.close();
+		}
+	});
+
+	test("should ignore events it has already delivered", async () => {
+		const bus = new EventBus("bus:duplicates");
+		const channel = new BroadcastChannel("bus:duplicates");
+		const member = new MixinEmitter();
+		const received = [];
+
+		bus.join(member);
+		member.on("ping", value => received.push(value));
+
+		try {
+			const message = { bus: "event-emitter-decorators:bus", id: "peer:1", sender: { id: "peer" }, type: "ping", errors: [], args: [1] };
+			const delivered = emitted(member, "ping", value => value === 2);
+			channel.postMessage(message);
+			channel.postMessage(message);
+			channel.postMessage({ ...message, id: "peer:2", args: [2] });
+			await delivered;
+
+			assert.deepStrictEqual(received, [1, 2], "Duplicate event was delivered");
+		} finally {
+			channel.close();
+			bus.close();
+		}
+	});
+
+	test("should send errors with their causes and only the selected types", async () => {
+		const first = new EventBus("bus:errors");
+		const second = new EventBus("bus:errors");
+		const source = new MixinEmitter();
+		const remote = new MixinEmitter();
+		const received = [];
+
+		first.join(source, { types: ["error"] });
+		second.join(remote);
+		remote.on("error", error => received.push(error));
+		remote.on("other", () => received.push("other"));
+		source.on("error", () => {});
+
+		try {
+			const delivered = emitted(remote, "error");
+			source.emit("other");
+			source.emit("error", new Error("Sync failed", { cause: new TypeError("Bad payload") }));
+			await delivered;
+
+			assert.strictEqual(received.length, 1, "Event type that was not selected was sent");
+			assert.ok(received[0].cause instanceof TypeError, "Error was not sent with its cause");
+		} finally {
+			first.close();
+			second.close();
+		}
+	});
+
+	test("should let instances of @emitter classes join and leave", async () => {
+		@emitter
+		class Store {}
+
+		const first = new EventBus("bus:decorated");
+		const second = new EventBus("bus:decorated");
+		const store = new Store();
+		const other = new MixinEmitter();
+		const remote = new MixinEmitter();
+		const received = [];
+
+		const membership = first.join(store);
+		first.join(other);
+		second.join(remote);
+		remote.on("saved", id => received.push(id));
+
+		try {
+			const joined = emitted(remote, "saved", id => id === 1);
+			store.emit("saved", 1);
+			await joined;
+
+			const left = emitted(remote, "saved", id => id === 3);
+			membership.unsubscribe();
+			store.emit("saved", 2);
+			other.emit("saved", 3); // Sent after the event of the store would have been
+			await left;
+
+			assert.deepStrictEqual(received, [1, 3], "Events were not sent while joined only");
+			assert.throws(() => first.join({}), TypeError, "Object without emit() was joined");
+		} finally {
+			first.close();
+			second.close();
+		}
+	});
+
+	test("should connect emitters in worker threads", { timeout: 10000 }, async () => {
+		const worker = new Worker(`
+			const { parentPort } = require("node:worker_threads");
+			Promise.all([import(${JSON.stringify(import.meta.resolve("./EventEmitter.js"))}), import(${JSON.stringify(import.meta.resolve("./bus.js"))})])
+				.then(([{ default: EventEmitter }, { EventBus }]) => {
+					const bus = new EventBus("bus:workers", { name: "worker" });
+					const stage = new EventEmitter();
+					bus.join(stage);
+					stage.on("ping", value => stage.emit("pong", value + 1));
+					stage.on("stop", () => bus.close());
+					parentPort.postMessage("ready");
+				});
+		`, { eval: true });
+
+		const bus = new EventBus("bus:workers", { name: "main" });
+		const pipeline = new MixinEmitter();
+		bus.join(pipeline);
+
+		try {
+			await new Promise(resolve => worker.once("message", resolve));
+
+			const pong = MixinEmitter.once(pipeline, "pong");
+			pipeline.emit("ping", 1);
+
+			assert.deepStrictEqual(await pong, [2], "Event was not received from the worker");
+			assert.strictEqual(bus.sender, undefined, "Sender was kept after the listeners were called");
+
+			pipeline.emit("stop");
+		} finally {
+			bus.close();
+			await worker.terminate();
+		}
+	});
+});
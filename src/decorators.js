@@ -1,4 +1,100 @@
 import BaseEventEmitter from "events";
+import { event, validateEvent, validatesEvents, markValidated } from "./schema.js";
+import { forward } from "./forward.js";
+import { hasTiming, timed } from "./timing.js";
+import { weakListener } from "./weak.js";
+import { batch as batchEvents, queueEmit } from "./batch.js";
+import { emitLater, flushDeferred, cancelDeferred } from "./schedule.js";
+import { traceEmit, traceMethod } from "./tracing.js";
+import MixinEmitter from "./EventEmitter.js";
+
+/**
+ * The AbortControllers created by {@linkcode EventEmitter.controllerFor} for each instance.
+ */
+const _controllers = new WeakMap();
+
+/**
+ * The functions to call when listeners are removed from emitters that emit `'removeListener'`, by the listener
+ * that the event is emitted with, and the `'removeListener'` listener that calls them.
+ *
+ * @type {WeakMap<object, { handlers: Map<Function, () => void>, tracker: Function }>}
+ */
+const _removalHandlers = new WeakMap();
+
+/**
+ * Calls `handler` once a listener is removed from an emitter that emits `'removeListener'`, such as a Node.js EventEmitter,
+ * however it is removed. One `'removeListener'` listener is added to each emitter while it has listeners being tracked,
+ * and added again if something like `removeAllListeners()` removed it.
+ *
+ * @param {object} emitter - The emitter the listener was added to.
+ * @param {Function[]} listeners - The functions the `'removeListener'` event may be emitted with for the listener.
+ * @param {() => void} handler - The function to call once the listener has been removed.
+ */
+function onRemoved(emitter, listeners, handler) {
+	const on = emitter.on ?? emitter.addListener;
+	if (typeof on !== "function") return;
+
+	let removal = _removalHandlers.get(emitter);
+	let installed = Boolean(removal);
+
+	if (!removal) {
+		const handlers = new Map();
+		const tracker = (type, listener) => {
+			handlers.get(listener)?.();
+			if (handlers.size > 0 || _removalHandlers.get(emitter) !== removal) return;
+
+			_removalHandlers.delete(emitter);
+			EventEmitter._detachListenerFrom(emitter, "removeListener", tracker);
+		};
+
+		removal = { handlers, tracker };
+		_removalHandlers.set(emitter, removal);
+	}
+
+	if (installed && typeof emitter.listeners === "function") installed = emitter.listeners("removeListener").includes(removal.tracker);
+	if (!installed) on.call(emitter, "removeListener", removal.tracker);
+
+	const { handlers } = removal;
+	const removed = () => {
+		listeners.forEach(listener => handlers.delete(listener));
+		handler();
+	};
+
+	listeners.forEach(listener => handlers.set(listener, removed));
+}
+
+/**
+ * Creates the function that detaches a weak listener from an emitter once its receiver has been garbage collected.
+ *
+ * @param {object} emitter - The emitter the listener was attached to.
+ * @param {string|symbol} event - The event the listener was attached to.
+ * @returns {(wrapper: Function) => void} A function that detaches the wrapper of the weak listener.
+ */
+function detachCollected(emitter, event) {
+	const ref = new WeakRef(emitter);
+
+	return wrapper => {
+		const target = ref.deref();
+		// Detach by the listener the wrapper was created for, in case the wrapper was wrapped again by other options.
+		if (target) EventEmitter._detachListenerFrom(target, event, wrapper.listener ?? wrapper);
+	};
+}
+
+/**
+ * Calls `fn` on an instance that is only held weakly, returning `false` once the instance has been collected.
+ *
+ * @param {Function} fn - The function to call.
+ * @param {object} instance - The instance to call it on.
+ * @returns {Function} The function that calls `fn`.
+ */
+function weakBind(fn, instance) {
+	const ref = new WeakRef(instance);
+
+	return function (...args) {
+		const receiver = ref.deref();
+		return receiver !== undefined && fn.apply(receiver, args);
+	};
+}
 
 class EventEmitter {
 	static symbol = Symbol("EventEmitter");
@@ -37,28 +133,229 @@ class EventEmitter {
 		this.assertCanRegister(object, name);
 	}
 
-	static _attachListenerTo(emitter, event, listener, once = false) {
+	/**
+	 * Returns the AbortController for an instance, creating it if needed.
+	 * Listeners registered with `@on(event, { signal: true })` are removed when it is aborted.
+	 *
+	 * @param {object} instance - The instance the controller belongs to.
+	 * @returns {AbortController} The controller for the instance.
+	 */
+	static controllerFor(instance) {
+		if (!_controllers.has(instance)) _controllers.set(instance, new AbortController());
+		return _controllers.get(instance);
+	}
+
+	/**
+	 * Aborts the AbortController for an instance, removing the listeners registered with it,
+	 * and discards it so that listeners registered afterwards use a new controller.
+	 *
+	 * @param {object} instance - The instance whose listeners should be removed.
+	 * @param {any} [reason] - The abort reason.
+	 */
+	static abortListeners(instance, reason) {
+		_controllers.get(instance)?.abort(reason);
+		_controllers.delete(instance);
+	}
+
+	static _attachListenerTo(emitter, event, listener, once = false, { signal, filter, weak, receiver, ...timing } = {}) {
 		if (!emitter) throw new Error("Emitter is not defined.");
-		if (once) {
-			if (emitter.once) return emitter.once(event, listener);
-			if (emitter.addEventListener) return emitter.addEventListener(event, listener, { once: true });
+		if (signal?.aborted) return;
+
+		// EventEmitterMixin instances filter, time and weaken the listener themselves, and clean up when it is removed,
+		// including the abort listener added to the signal.
+		if (emitter instanceof MixinEmitter) {
+			return (once ? emitter.once : emitter.on).call(emitter, event, listener, { signal, filter, weak, receiver, ...timing });
 		}
+
+		const original = listener;
+		const cleanups = [];
+
+		// Remove once listeners when they are first called, after the filter and timing options, rather than on the first event,
+		// so that removing them does not cancel the call they are waiting to make.
+		const detach = once && (filter || hasTiming(timing));
+		let registered;
+
+		if (detach) once = false;
+
+		if (weak) {
+			const { wrapper, unregister } = weakListener(listener, receiver, detachCollected(emitter, event));
+			cleanups.push(unregister);
+
+			if (receiver !== undefined) wrapper.listener = listener;
+			listener = wrapper;
+		}
+
+		if (detach) {
+			const inner = listener;
+			const detached = function (...args) {
+				EventEmitter._detachListenerFrom(emitter, event, registered);
+				return inner.apply(this, args);
+			};
+
+			detached.listener = inner.listener ?? inner;
+			listener = detached;
+		}
+
+		if (hasTiming(timing)) {
+			const { wrapper, cancel } = timed(listener, timing);
+			cleanups.push(cancel);
+			wrapper.listener = listener.listener ?? listener;
+			listener = wrapper;
+		}
+
+		if (filter) {
+			const original = listener;
+			const filtered = function (...args) {
+				if (filter.apply(this, args)) return original.apply(this, args);
+			};
+
+			filtered.listener = original.listener ?? original;
+			listener = filtered;
+		}
+
+		registered = listener;
+
+		const register = once ? emitter.once : emitter.on ?? emitter.addListener;
+		if (!register && !emitter.addEventListener) throw new Error("Emitter does not have a listener registration method.");
+
+		let cleaned = false;
+
+		// Cancel pending calls and stop tracking the receiver once the listener is removed, however it is removed,
+		// and remove the abort listener so they do not pile up on long-lived signals.
+		const cleanup = () => {
+			if (cleaned) return;
+
+			cleaned = true;
+			signal?.removeEventListener("abort", abort);
+			cleanups.forEach(fn => fn());
+		};
+
+		const abort = () => {
+			EventEmitter._detachListenerFrom(emitter, event, listener);
+			cleanup();
+		};
+
+		signal?.addEventListener("abort", abort, { once: true });
+
+		if (!register) return emitter.addEventListener(event, listener, { once });
+
+		const result = register.call(emitter, event, listener);
+		if (signal || cleanups.length) onRemoved(emitter, [listener, original], cleanup);
+
+		return result;
+	}
+
+	static _detachListenerFrom(emitter, event, listener) {
+		if (!emitter) throw new Error("Emitter is not defined.");
+		if (emitter.off) return emitter.off(event, listener);
+		if (emitter.removeListener) return emitter.removeListener(event, listener);
+		if (emitter.removeEventListener) return emitter.removeEventListener(event, listener);
+
+		throw new Error("Emitter does not have a listener removal method.");
+	}
+
+	/**
+	 * Validates an event emitted by a decorator against the events declared by the emitter's class,
+	 * unless the emitter's own `emit()` method validates it. See {@linkcode validateEvent}.
+	 *
+	 * @param {object} emitter - The object emitting the event.
+	 * @param {string|symbol} event - The event being emitted.
+	 * @param {any[]} args - The arguments the event is emitted with.
+	 * @returns {boolean} `true` if the event is valid or is validated by `emit()`.
+	 */
+	static _validateEvent(emitter, event, args) {
+		if (emitter?.emit?.[validatesEvents]) return true;
+		return validateEvent(emitter, event, args);
+	}
+
+	/**
+	 * Emits a cancelable event for `emit.guard`. Event instances are copied so that each call
+	 * starts with `defaultPrevented` unset, and keep their own `cancelable` setting.
+	 *
+	 * @param {object} emitter - The object to emit the event on.
+	 * @param {string|symbol|Event|typeof Event} event - The event to emit.
+	 * @param {string|symbol} name - The name of the decorated method, used with Event constructors.
+	 * @param {any[]} args - The arguments the decorated method was called with.
+	 * @returns {boolean} `false` if a listener vetoed the event by calling `preventDefault()`.
+	 */
+	static _emitCancelable(emitter, event, name, args) {
+		let dispatched;
+
+		if (event instanceof Event) {
+			const { bubbles, cancelable, composed, detail } = event;
+			dispatched = new event.constructor(event.type, { bubbles, cancelable, composed, detail });
+		}
+		else if (emitter.emitCancelable && typeof event !== "function") return emitter.emitCancelable(event, ...args);
 		else {
-			if (emitter.on) return emitter.on(event, listener);
-			if (emitter.addListener) return emitter.addListener(event, listener);
-			if (emitter.addEventListener) return emitter.addEventListener(event, listener);
+			// The event only carries the arguments, so validate them instead of the event.
+			const type = typeof event === "function" ? name : event;
+			validateEvent(emitter, type, args);
+
+			dispatched = typeof event === "function"
+				? new event(name, { cancelable: true, detail: args })
+				: new CustomEvent(String(event), { cancelable: true, detail: args });
+			markValidated(dispatched);
 		}
-		throw new Error("Emitter does not have a listener registration method.");
+
+		if (emitter.dispatchEvent) emitter.dispatchEvent(dispatched);
+		else if (emitter.emit) emitter.emit(typeof event === "string" || typeof event === "symbol" ? event : dispatched.type, dispatched);
+		else throw new Error("Object does not have an 'emit()' or `dispatchEvent()` method.");
+
+		return !dispatched.defaultPrevented;
+	}
+
+	/**
+	 * Runs a method decorated with {@linkcode batch} as a batch on the instance.
+	 *
+	 * @param {object} emitter - The instance the method was called on.
+	 * @param {() => any} fn - Calls the method.
+	 * @param {{ coalesce?: import("./batch.js").CoalesceOption }} options - The options passed to the decorator.
+	 * @returns {any} The value returned by the method.
+	 */
+	static _batch(emitter, fn, options) {
+		if (typeof emitter?.batch !== "function") {
+			throw new Error(`Object '${emitter?.constructor?.name || "object"}' does not have a 'batch()' method.`, { cause: emitter });
+		}
+
+		return emitter.batch(fn, options);
 	}
 
-	static _registerPendingListener(emitter, target, event, listener, once = false) {
+	/**
+	 * Emits an event for `@emit` with the `defer` option. See {@linkcode emitLater}.
+	 *
+	 * @param {object} emitter - The object to emit the event on.
+	 * @param {string|symbol} event - The event to emit.
+	 * @param {any[]} args - The arguments to emit the event with.
+	 * @param {true|import("./schedule.js").Scheduler} defer - The scheduler, or `true` to use the emitter's own.
+	 * @returns {Promise<boolean>} A promise that is fulfilled with the result of `emit()` once the event has been emitted.
+	 */
+	static _emitLater(emitter, event, args, defer) {
+		if (defer === true) return emitLater(emitter, event, args);
+		return emitLater(emitter, event, args, defer);
+	}
+
+	/**
+	 * Reports an error thrown while emitting an event after the decorated method has returned, such as with the `defer` option,
+	 * where nothing can catch it. The error is emitted as an `'error'` event if the emitter has `'error'` listeners,
+	 * and logged otherwise, the same as with the `"isolate"` error policy.
+	 *
+	 * @param {object} emitter - The object the event was emitted on.
+	 * @param {string|symbol} event - The event that was emitted.
+	 * @param {any} error - The error that was thrown.
+	 */
+	static _reportError(emitter, event, error) {
+		if (event !== "error" && emitter.listeners?.("error").length > 0) emitter.emit("error", error);
+		else console.error(error);
+	}
+
+	static _registerPendingListener(emitter, target, event, listener, once = false, options = {}) {
 		if (!emitter) return;
 		if (!emitter[Symbol.metadata]) emitter[Symbol.metadata] = {};
 		if (!emitter[Symbol.metadata][EventEmitter.symbol]) emitter[Symbol.metadata][EventEmitter.symbol] = { pendingListeners: new Set() };
 
 		const pending = emitter[Symbol.metadata][EventEmitter.symbol].pendingListeners;
 
-		pending.add({ target, event, listener, once });
+		pending.add({ target, event, listener, once, options });
 	}
 
 	static _applyPendingListeners(emitter) {
@@ -67,15 +364,20 @@ class EventEmitter {
 
 		const props = new Set();
 
-		for (const { target, event, listener, once } of pending) {
+		// Remove each listener as it is applied, so that objects shared by several instances do not apply it again
+		// or keep its instance alive.
+		for (const entry of [...pending]) {
+			const { target, event, listener, once, options } = entry;
+			pending.delete(entry);
+
 			const targetProp = target === "this" ? emitter : emitter[target];
 			if (typeof event === "string" && event.includes(".")) {
 				const parts = event.split(".");
 				const prop = parts.shift();
-				EventEmitter._registerPendingListener(targetProp, prop, parts.join("."), listener, once);
+				EventEmitter._registerPendingListener(targetProp, prop, parts.join("."), listener, once, options);
 				props.add(targetProp);
 			}
-			else EventEmitter._attachListenerTo(targetProp, event, listener, once);
+			else EventEmitter._attachListenerTo(targetProp, event, listener, once, options);
 		}
 
 		props.forEach(prop => EventEmitter._applyPendingListeners(prop));
@@ -83,6 +385,73 @@ class EventEmitter {
 }
 
 Object.assign(EventEmitter.prototype, BaseEventEmitter.prototype);
+
+EventEmitter.prototype.emit = function emit(type, ...args) {
+	if (queueEmit(this, type, args)) return this.listenerCount(type) > 0;
+
+	validateEvent(this, type, args);
+	return traceEmit(this, type, args, () => BaseEventEmitter.prototype.emit.call(this, type, ...args));
+};
+EventEmitter.prototype.emit[validatesEvents] = true;
+
+/**
+ * Forwards events emitted by this emitter to `target`. See {@linkcode forward}.
+ *
+ * @param {object} target - The emitter to forward events to.
+ * @param {string|symbol|(string|symbol)[]} [types="**"] - The event types to forward, or `"**"` for every event.
+ * @param {import("./forward.js").ForwardOptions} [options] - Options for forwarding.
+ * @returns {import("./Subscription.js").Subscription} A subscription that stops forwarding when unsubscribed or disposed.
+ */
+EventEmitter.prototype.forward = function forwardTo(target, types, options) {
+	return forward(this, target, types, options);
+};
+
+/**
+ * Runs `fn`, queueing the events emitted by this emitter until it completes. See {@linkcode batchEvents|batch()}.
+ *
+ * @template T
+ * @param {() => T} fn - The function to run.
+ * @param {{ coalesce?: import("./batch.js").CoalesceOption }} [options] - Which event types to only emit once.
+ * @returns {T} The value returned by `fn`.
+ */
+EventEmitter.prototype.batch = function batch(fn, options) {
+	return batchEvents(this, fn, options);
+};
+/**
+ * Emits an event later instead of straight away. See {@linkcode emitLater}.
+ * An error thrown while emitting it is reported the same way as with the `defer` option of `@emit`, see {@linkcode EventEmitter._reportError}.
+ *
+ * @param {string|symbol} type - The event type to emit.
+ * @param  {...any} args - The arguments to pass to the listeners.
+ * @returns {Promise<boolean>} A promise that is fulfilled with the result of `emit()` once the event has been emitted,
+ * or with `false` if it is cancelled or an error was thrown.
+ */
+EventEmitter.prototype.emitLater = function emitEventLater(type, ...args) {
+	return emitLater(this, type, args).catch(error => {
+		EventEmitter._reportError(this, type, error);
+		return false;
+	});
+};
+
+/**
+ * Emits the events scheduled with `emitLater()` straight away. See {@linkcode flushDeferred}.
+ *
+ * @param {string|symbol} [type] - Only flush the events of this type.
+ * @returns {number} The number of events that were emitted.
+ */
+EventEmitter.prototype.flushDeferred = function flush(type) {
+	return flushDeferred(this, type);
+};
+
+/**
+ * Cancels the events scheduled with `emitLater()`. See {@linkcode cancelDeferred}.
+ *
+ * @param {string|symbol} [type] - Only cancel the events of this type.
+ * @returns {number} The number of events that were cancelled.
+ */
+EventEmitter.prototype.cancelDeferred = function cancel(type) {
+	return cancelDeferred(this, type);
+};
 Object.defineProperty(EventEmitter.prototype, EventEmitter.symbol, { value: true, enumerable: false, writable: false });
 
 /**
@@ -143,32 +512,86 @@ EventEmitter.emitter = emitter;
  *
  * You can also use the `once` parameter to register the listener as a one-time listener.
  *
+ * The `signal` option removes the listener when it is aborted. It can be an AbortSignal,
+ * a function that is called with the instance and returns an AbortSignal, or `true` to use
+ * the instance's own controller from {@linkcode EventEmitter.controllerFor}.
+ *
+ * The `filter` option is called on the instance with the arguments of each event, and the listener is only
+ * called if it returns a truthy value. Filtered out events do not count towards the `once` limit.
+ * The `debounce`, `throttle` and `delay` options time calls to the listener, see {@linkcode timed}.
+ *
+ * With the `weak` option, the emitter only holds the instance weakly, so listening to a long-lived emitter
+ * does not keep the instance alive. The listener is removed once the instance has been garbage collected.
+ * Pending calls are cancelled when the signal is aborted, and on EventEmitterMixin instances,
+ * whenever the listener is removed.
+ *
+ * The listener is named after the class and method, like `Widget.update`, so that it can be identified
+ * in `listeners()` and {@linkcode MixinEmitter.leakReport}.
+ *
+ * @example
+ * ```js
+ * class Widget {
+ *     @on("source.change", { signal: true, debounce: 100 })
+ *     update() {}
+ *
+ *     destroy() {
+ *         EventEmitter.abortListeners(this);
+ *     }
+ * }
+ * ```
+ *
  * @param {string} event - The event to listen for.
  * @param {boolean} once - If `true`, the listener will only be called once.
+ * @param {{ once?: boolean, signal?: AbortSignal|((instance: object) => AbortSignal)|true, filter?: (...args: any[]) => boolean, weak?: boolean } & import("./timing.js").TimingOptions} [options] - Options for the listener.
  * @returns {(method: (...args[]: any) => any, context: Object) => (...args[]: any) => any} A decorator function that registers the method as an event listener.
  */
 export function on(...args) {
 	let event;
 	let once = false;
+	let options = {};
 
-	if (typeof args[0] === "string" || typeof args[0] === "symbol") event = args[0];
-	if (typeof args[1] === "boolean") once = args[1] ?? args[2];
+	if (typeof args[0] === "string" || typeof args[0] === "symbol") {
+		event = args[0];
+		options = [args[1], args[2]].find(arg => arg && typeof arg === "object") ?? {};
+	}
+	if (typeof args[1] === "boolean") once = args[1];
+	if (options.once) once = true;
 
 	function decorator(method, { kind, name, addInitializer }, one = once) {
 		if (kind !== "method") throw new Error("Can only apply event listeners to methods.");
 
 		if (!event) event = name;
 
+		const resolveOptions = instance => {
+			const { signal, filter, weak, debounce, throttle, delay, leading, trailing } = options;
+			const listenerOptions = { debounce, throttle, delay, leading, trailing };
+
+			if (weak) Object.assign(listenerOptions, { weak, receiver: instance, filter: filter && weakBind(filter, instance) });
+			else listenerOptions.filter = filter?.bind(instance);
+
+			if (signal === true) return { ...listenerOptions, signal: EventEmitter.controllerFor(instance).signal };
+			if (typeof signal === "function") return { ...listenerOptions, signal: signal.call(instance, instance) };
+			return { ...listenerOptions, signal };
+		};
+
+		// Weak listeners are called on the instance by the emitter, so they must not be bound to it.
+		// Name the listener after the class and method, rather than `bound method`, so leak reports and warnings can identify it.
+		const listenerFor = instance => Object.defineProperty(
+			options.weak ? function (...args) { return method.apply(this, args); } : method.bind(instance),
+			"name",
+			{ value: `${instance.constructor.name}.${typeof name === "symbol" ? `[${name.description}]` : name}` }
+		);
+
 		if (typeof event === "string" && event.includes(".")) {
 			const parts = event.split(".");
 			const prop = parts.shift();
 
 			addInitializer(function() {
-				EventEmitter._registerPendingListener(this, prop, parts.join("."), method.bind(this), once);
+				EventEmitter._registerPendingListener(this, prop, parts.join("."), listenerFor(this), once, resolveOptions(this));
 			});
 		}
 		else addInitializer(function() {
-			EventEmitter._attachListenerTo(this, event, method.bind(this), one);
+			EventEmitter._attachListenerTo(this, event, listenerFor(this), one, resolveOptions(this));
 		});
 	}
 
@@ -190,11 +613,111 @@ EventEmitter.on = on;
 export function once(...args) {
 	if (args.length === 0) return on("", true);
 	if (typeof args[0] === "string" || typeof args[0] === "symbol")
-		return on(args[0], true);
+		return on(args[0], true, args[1]);
 	return on(...args, true);
 }
 
 
+/**
+ * A decorator for fields and accessors that hold a child emitter. The child's `parentEmitter` is set to the instance,
+ * so that events dispatched on the child with `bubbles: true` propagate to the instance, and to its own parent.
+ * When a decorated accessor is reassigned, the previous child is detached.
+ *
+ * The child must support bubbling, like instances of the `EventEmitterMixin` from `EventEmitter.js`.
+ *
+ * @example
+ * ```js
+ * @emitter
+ * class Form {
+ *     @bubble field = new Field();
+ *
+ *     @on("change")
+ *     onChange(event) {
+ *         event.target; // The field
+ *     }
+ * }
+ * ```
+ *
+ * @returns {(value: any, context: Object) => any} A decorator function that sets the parent of the child emitter.
+ */
+export function bubble(...args) {
+	function decorator(value, { kind, name }) {
+		if (kind !== "field" && kind !== "accessor") throw new Error("Can only apply bubble to fields and accessors.");
+
+		function adopt(child) {
+			if (child === null || child === undefined) return child;
+			if (!("parentEmitter" in child)) throw new Error(`Object '${String(name)}' does not support event bubbling.`, { cause: child });
+
+			child.parentEmitter = this;
+
+			return child;
+		}
+
+		if (kind === "field") return function (initial) {
+			return adopt.call(this, initial);
+		}
+
+		return {
+			get: value.get,
+			set(child) {
+				const previous = value.get.call(this);
+				if (previous !== child && previous?.parentEmitter === this) previous.parentEmitter = undefined;
+
+				value.set.call(this, adopt.call(this, child));
+			},
+			init(initial) {
+				return adopt.call(this, initial);
+			}
+		};
+	}
+
+	if (args.length === 0) return decorator;
+	else return decorator(...args);
+}
+
+
+/**
+ * A decorator that runs a method as a batch, so the events it emits, including those emitted by `@emit` and `@emits`,
+ * are queued until it returns or the promise it returns is fulfilled, and discarded if it throws or the promise rejects.
+ * The `coalesce` option only emits one event of each coalesced type. See {@linkcode batchEvents|batch()}.
+ *
+ * The instance must have a `batch()` method, like classes that use `@emitter` or extend an `EventEmitter`.
+ *
+ * @example
+ * ```js
+ * @emitter
+ * class Form {
+ *     @emits("change") accessor name;
+ *     @emits("change") accessor email;
+ *
+ *     @batch({ coalesce: ["change"] })
+ *     reset() {
+ *         this.name = "";
+ *         this.email = "";
+ *     }
+ * }
+ * ```
+ *
+ * @param {{ coalesce?: import("./batch.js").CoalesceOption }} [options] - Options for the batch.
+ * @returns {(method: (...args[]: any) => any, context: Object) => (...args[]: any) => any} A decorator function that runs the method as a batch.
+ */
+export function batch(...args) {
+	const bare = typeof args[1]?.kind === "string"; // Used as `@batch` without parentheses
+	const options = bare ? {} : args[0] ?? {};
+
+	function decorator(method, { kind }) {
+		if (kind !== "method") throw new Error("Can only apply batch to methods.");
+
+		return function (...args) {
+			return EventEmitter._batch(this, () => method.apply(this, args), options);
+		};
+	}
+
+	if (bare) return decorator(...args);
+	else return decorator;
+}
+
+
 /**
  * A decorator that emits an event before or after a method is called.
  * The event can be a string, symbol, Event, CustomEvent, or the Event or CustomEvent constructors.
@@ -206,12 +729,16 @@ export function once(...args) {
  * - `emit.result`: Emit the event after the method is called with the method's result.
  * - `emit.all`: Emit the event after the method is called with the method's result and arguments.
  * - `emit.conditional`: Emit the event after the method is called if the method's result is truthy.
+ * - `emit.guard`: Emit a cancelable event before the method is called with the method's arguments.
+ *   If a listener calls `preventDefault()`, the method is not called and the `fallback` option is returned instead.
  * - `emit.none`: Alias for `emit.before`. Available for all event types that support `emit.before`.
  *
  * Modes for Event and CustomEvent instances:
  * - `emit.before`: Emit the event before the method is called.
  * - `emit.after`: Emit the event after the method is called.
  * - `emit.conditional`: Emit the event after the method is called if the method's result is truthy.
+ * - `emit.guard`: Emit a copy of the event before the method is called, and skip the method if the event is
+ *   `cancelable` and a listener calls `preventDefault()`.
  *
  * When using the Event or CustomEvent constructors, the name of the decorated method will be used
  * to construct a new event. For CustomEvent, the method's arguments and/or return value will be 
@@ -229,7 +756,12 @@ export function once(...args) {
  * - `emit.result`: Emit the event after the method is called with the method's result.
  * - `emit.all`: Emit the event after the method is called with the method's result and arguments.
  * - `emit.conditional`: Emit the event after the method is called if the method's result is truthy.
- * 
+ *
+ * String and symbol events are validated against the events declared by the class
+ * with {@linkcode event} or a static `events` map before they are emitted.
+ *
+ * Calls to the method are published to the `"event-emitter-decorators:method"` tracing channel while it has subscribers,
+ * and the events they emit are linked to them. See {@linkcode traceMethod}.
  *
  * @example
  * ```js
@@ -243,11 +775,16 @@ export function once(...args) {
  *
  * @param {string|Symbol|Event|CustomEvent|typeof Event|typeof CustomEvent} event - The event to emit. If a symbol is provided, it is used as the mode.
  * @param {string|Symbol} mode - The mode in which to emit the event.
+ * @param {{ fallback?: any, defer?: true|import("./schedule.js").Scheduler }} [options] - The `fallback` is returned instead of calling
+ * the method when `emit.guard` is vetoed. With `defer`, string and symbol events are emitted later with {@linkcode emitLater},
+ * using the given scheduler, or the emitter's own with `true`. Errors thrown while a deferred event is emitted are emitted
+ * as `'error'` events if the emitter has `'error'` listeners, and logged otherwise.
  * @returns {(method: (...args[]: any) => any, context: Object) => (...args[]: any) => any} A decorator function that emits the event before or after the method is called.
  */
 export function emit(...args) {
 	let event;
 	let mode = emit.all;
+	let options = {};
 
 	if (typeof args[0] === "string"
 		|| typeof args[0] === "symbol"
@@ -259,10 +796,17 @@ export function emit(...args) {
 		|| args[0]?.prototype instanceof CustomEvent
 	) event = args[0];
 	if (typeof args[1] === "string" || typeof args[1] === "symbol") mode = args[1];
+	if (event !== undefined) options = [args[1], args[2]].find(arg => arg && typeof arg === "object" && !(arg instanceof Event)) ?? {};
 
 	//console.log({ event, mode });
 
-	function decorator(method, { kind, name }) {
+	// Publishes each call of the decorated method to the tracing channel, so it can be linked to the events it emits.
+	function decorator(method, context) {
+		const wrapped = wrap(method, context);
+		return traceMethod(wrapped, { name: context.name, kind: context.kind, event });
+	}
+
+	function wrap(method, { kind, name }) {
 		//console.log({ method, kind, name, event, mode });
 		if (kind !== "method") throw new Error("Can only apply event emitters to methods.");
 
@@ -275,6 +819,17 @@ export function emit(...args) {
 
 		if (typeof mode === "string") mode = emit[mode]; // If the mode is a string, use it to get the corresponding symbol.
 
+		const deferred = options.defer !== undefined && options.defer !== false;
+
+		if (deferred && (mode === emit.guard || typeof event === "function" || event instanceof Event)) {
+			throw new Error("The \"defer\" option can only be used with string and symbol events, and not with emit.guard.");
+		}
+
+		if (mode === emit.guard) return function (...args) {
+			if (!EventEmitter._emitCancelable(this, event, name, args)) return options.fallback;
+			return method.apply(this, args);
+		}
+
 		// Events already created with `new Event()` or `new CustomEvent()` can't have any additional data passed to them.
 		// They can only be emitted as-is.
 		if (event instanceof Event || event instanceof CustomEvent) {
@@ -391,42 +946,49 @@ export function emit(...args) {
 			}
 		}
 
-		// If the event is a string or symbol, use `emit()` to emit the event according to the mode.
+		// If the event is a string or symbol, use `emit()` to emit the event according to the mode,
+		// or `emitLater()` with the `defer` option.
+		const send = (target, args) => {
+			if (!target.emit) throw new Error("Object does not have an 'emit()' method.");
+			if (deferred) EventEmitter._emitLater(target, event, args, options.defer).catch(error => EventEmitter._reportError(target, event, error));
+			else target.emit(event, ...args);
+		};
+
 		switch (mode) {
 			case emit.args: return function (...args) {
-				if (this.emit) this.emit(event, ...args);
-				else throw new Error("Object does not have an 'emit()' method.");
+				EventEmitter._validateEvent(this, event, args);
+				send(this, args);
 				return method.apply(this, args);
 			}
 			case emit.none:
 			case emit.before: return function (...args) {
-				if (this.emit) this.emit(event);
-				else throw new Error("Object does not have an 'emit()' method.");
+				EventEmitter._validateEvent(this, event, []);
+				send(this, []);
 				return method.apply(this, args);
 			}
 			case emit.after: return function (...args) {
 				const result = method.apply(this, args);
-				if (this.emit) this.emit(event, ...args);
-				else throw new Error("Object does not have an 'emit()' method.");
+				EventEmitter._validateEvent(this, event, args);
+				send(this, args);
 				return result;
 			}
 			case emit.result: return function (...args) {
 				const result = method.apply(this, args);
-				if (this.emit) this.emit(event, result);
-				else throw new Error("Object does not have an 'emit()' method.");
+				EventEmitter._validateEvent(this, event, [result]);
+				send(this, [result]);
 				return result;
 			}
 			case emit.all: return function (...args) {
 				const result = method.apply(this, args);
-				if (this.emit) this.emit(event, result, ...args);
-				else throw new Error("Object does not have an 'emit()' method.");
+				EventEmitter._validateEvent(this, event, [result, ...args]);
+				send(this, [result, ...args]);
 				return result;
 			}
 			case emit.conditional: return function (...args) {
 				const result = method.apply(this, args);
 				if (result) {
-					if (this.emit) this.emit(event, ...args);
-					else throw new Error("Object does not have an 'emit()' method.");
+					EventEmitter._validateEvent(this, event, args);
+					send(this, args);
 				}
 				return result;
 			}
@@ -451,6 +1013,7 @@ export function emit(...args) {
 /**
  * A decorator that emits an event before or after a property is accessed.
  * The event can be a string, symbol, Event, CustomEvent, or the Event or CustomEvent constructors.
+ * Accesses are published to the `"event-emitter-decorators:method"` tracing channel like calls to {@linkcode emit} methods.
  *
  * @arg {string|Symbol|Event|CustomEvent|typeof Event|typeof CustomEvent} event - The event to emit. If a symbol is provided, it is used as the mode.
  * @arg {string|Symbol} mode - The mode in which to emit the event.	
@@ -495,6 +1058,7 @@ export function emits(...args) {
 					else throw new Error("Object does not have an 'emit()' or `dispatchEvent()` method.");
 				}
 				else {
+					EventEmitter._validateEvent(this, customName || `get:${event}`, [got]);
 					if (this.emit) this.emit(customName || `get:${event}`, got);
 					else throw new Error("Object does not have an 'emit()' method.");
 				}
@@ -511,6 +1075,7 @@ export function emits(...args) {
 					else throw new Error("Object does not have an 'emit()' or `dispatchEvent()` method.");
 				}
 				else {
+					EventEmitter._validateEvent(this, customName || `set:${event}`, [value]);
 					if (this.emit) this.emit(customName || `set:${event}`, value);
 					else throw new Error("Object does not have an 'emit()' method.");
 				}
@@ -528,6 +1093,7 @@ export function emits(...args) {
 					else throw new Error("Object does not have an 'emit()' or `dispatchEvent()` method.");
 				}
 				else {
+					EventEmitter._validateEvent(this, customName || `init:${event}`, [initial]);
 					if (this.emit) this.emit(customName || `init:${event}`, initial);
 					else throw new Error("Object does not have an 'emit()' method.");
 				}
@@ -536,6 +1102,10 @@ export function emits(...args) {
 			}
 		}
 
+		for (const key of Object.keys(access)) {
+			access[key] = traceMethod(access[key], { name, kind: key, event: customName || event });
+		}
+
 		if (kind === "accessor") return access;
 		if (kind === "getter") return access.get;
 		if (kind === "setter") return access.set;
@@ -558,7 +1128,8 @@ const emitModes = {
 	result          : Symbol("emit.result"),
 	all	            : Symbol("emit.all"),
 	none            : Symbol("emit.none"),
-	conditional     : Symbol("emit.conditional")
+	conditional     : Symbol("emit.conditional"),
+	guard           : Symbol("emit.guard")
 }
 
 const emitsModes = {
@@ -577,15 +1148,21 @@ EventEmitter.emit = emit;
 EventEmitter.emits = emits;
 EventEmitter.emitModes = emitModes;
 EventEmitter.emitsModes = emitsModes;
+EventEmitter.event = event;
+EventEmitter.bubble = bubble;
+EventEmitter.batch = batch;
 
 emitter.on = on;
 emitter.once = once;
 emitter.emit = emit;
 emitter.emits = emits;
+emitter.event = event;
+emitter.bubble = bubble;
+emitter.batch = batch;
 
 emitter.EventEmitter = EventEmitter;
 emitter.symbol = EventEmitter.symbol;
 
 Object.assign(emitter, emitModes);
 
-export { emitter, EventEmitter };
+export { emitter, event, EventEmitter };
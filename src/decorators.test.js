@@ -1,7 +1,10 @@
 import { suite, test } from "node:test";
 import assert from "node:assert";
-import { EventEmitter, emitter, on, once, emit, emits } from "./decorators.js";
+import diagnostics_channel from "node:diagnostics_channel";
+import { EventEmitter as NodeEventEmitter, getEventListeners } from "node:events";
+import { EventEmitter, emitter, on, once, emit, emits, bubble, batch } from "./decorators.js";
 import { logged } from "./helpers.js";
+import MixinEmitter from "./EventEmitter.js";
 
 // Test suite for EventEmitter class and decorators
 
@@ -245,6 +248,33 @@ suite("EventEmitter static methods", () => {
 				EventEmitter._attachListenerTo(emitter, "testEvent", listener);
 			}, "Object is undefined");
 		});
+
+		await t.test("should remove the listener when the signal is aborted", async (t) => {
+			const emitter = new MockEmitter();
+			const controller = new AbortController();
+			const listener = () => { };
+			EventEmitter._attachListenerTo(emitter, "testEvent", listener, false, { signal: controller.signal });
+			assert(emitter.events["testEvent"].includes(listener), "Listener was not attached");
+			controller.abort();
+			assert(!emitter.events["testEvent"].includes(listener), "Listener was not removed when the signal was aborted");
+		});
+
+		await t.test("should pass the signal to addEventListener", async (t) => {
+			const emitter = new EventTarget();
+			const controller = new AbortController();
+			let called = 0;
+			EventEmitter._attachListenerTo(emitter, "testEvent", () => called++, false, { signal: controller.signal });
+			emitter.dispatchEvent(new Event("testEvent"));
+			controller.abort();
+			emitter.dispatchEvent(new Event("testEvent"));
+			assert.strictEqual(called, 1, "Listener was not removed when the signal was aborted");
+		});
+
+		await t.test("should not attach the listener when the signal is already aborted", async (t) => {
+			const emitter = new MockEmitter();
+			EventEmitter._attachListenerTo(emitter, "testEvent", () => { }, false, { signal: AbortSignal.abort() });
+			assert(!emitter.events["testEvent"], "Listener was attached with an aborted signal");
+		});
 	});
 
 	// Test EventEmitter._registerPendingListener and _applyPendingListeners
@@ -420,6 +450,326 @@ suite("@on decorator", () => {
 			}
 		}, "@on applied to a non-method target");
 	});
+
+	test("@on should remove listeners when the instance's controller is aborted", () => {
+		let emitted = 0;
+		class TestClass extends EventEmitter {
+			@on("testEvent", { signal: true })
+			handleEvent() {
+				emitted++;
+			}
+
+			@once("onceEvent", { signal: true })
+			handleOnce() {
+				emitted++;
+			}
+		}
+		const instance = new TestClass();
+		const other = new TestClass();
+		instance.emit("testEvent");
+		EventEmitter.abortListeners(instance);
+		instance.emit("testEvent");
+		instance.emit("onceEvent");
+		other.emit("testEvent");
+		assert.strictEqual(emitted, 2, "Listeners were not removed when the instance's controller was aborted");
+		assert.strictEqual(instance.listenerCount("testEvent"), 0, "Listener was not removed");
+		assert.strictEqual(other.listenerCount("testEvent"), 1, "Listener of another instance was removed");
+	});
+
+	test("@on should debounce and delay listeners", (t) => {
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+		const calls = [];
+		class Plain extends EventEmitter {
+			@on("change", { debounce: 100 })
+			handleChange(value) {
+				calls.push(["plain", value]);
+			}
+		}
+		class Mixin extends MixinEmitter {
+			@on("change", { delay: 10, signal: true })
+			handleChange(value) {
+				calls.push(["mixin", value]);
+			}
+		}
+
+		const plain = new Plain();
+		const mixin = new Mixin();
+		plain.emit("change", 1);
+		plain.emit("change", 2);
+		mixin.emit("change", 3);
+		t.mock.timers.tick(10);
+		mixin.emit("change", 4);
+		EventEmitter.abortListeners(mixin);
+		t.mock.timers.tick(100);
+
+		assert.deepStrictEqual(calls, [["mixin", 3], ["plain", 2]], "Listeners were not timed");
+		assert.strictEqual(plain.listeners("change")[0].name, "Plain.handleChange", "listeners() did not return the original listener");
+		assert.strictEqual(mixin.listenerCount("change"), 0, "Listener was not removed when the signal was aborted");
+	});
+
+	test("@on should cancel timed calls when listeners are removed some other way", (t) => {
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+		const source = new NodeEventEmitter();
+		const calls = [];
+
+		@emitter
+		class Subscriber {
+			source = source;
+
+			@on("source.tick", { debounce: 20 })
+			onTick(value) {
+				calls.push(["on", value]);
+			}
+
+			@once("source.done", { debounce: 20 })
+			onDone(value) {
+				calls.push(["once", value]);
+			}
+		}
+
+		new Subscriber();
+		source.emit("tick", 1);
+		source.removeAllListeners("tick");
+		source.emit("done", 1);
+		source.emit("done", 2);
+		t.mock.timers.tick(20);
+		source.emit("done", 3);
+		t.mock.timers.tick(20);
+
+		assert.deepStrictEqual(calls, [["once", 2]], "Timed calls were not cancelled, or once listeners were removed before their call");
+		assert.strictEqual(source.listenerCount("done"), 0, "Once listener was not removed after it was called");
+		assert.strictEqual(source.listenerCount("removeListener"), 0, "removeListener listener was kept once no listeners were tracked");
+	});
+
+	test("@on should filter events with a predicate called on the instance", () => {
+		const calls = [];
+		class Item extends EventEmitter {
+			id = 1;
+
+			@on("update", { filter(payload) { return payload.id === this.id; } })
+			handleUpdate(payload) {
+				calls.push(["plain", payload.value]);
+			}
+
+			@once("save", { filter: payload => payload.id === 1 })
+			handleSave(payload) {
+				calls.push(["once", payload.value]);
+			}
+		}
+		class MixinItem extends MixinEmitter {
+			id = 2;
+
+			@on("update", { filter(payload) { return payload.id === this.id; } })
+			handleUpdate(payload) {
+				calls.push(["mixin", payload.value]);
+			}
+		}
+
+		const item = new Item();
+		const mixin = new MixinItem();
+		for (const id of [1, 2]) {
+			item.emit("update", { id, value: id });
+			item.emit("save", { id: 3 - id, value: id });
+			mixin.emit("update", { id, value: id });
+		}
+
+		assert.deepStrictEqual(calls, [["plain", 1], ["once", 2], ["mixin", 2]], "Events were not filtered");
+		assert.strictEqual(item.listenerCount("save"), 0, "Once listener was not removed after the first matching event");
+		assert.strictEqual(mixin.listenerCount("update"), 1, "Filtered listener was not counted");
+	});
+
+	test("@on should not keep weak listeners alive", { skip: !global.gc && "requires --expose-gc" }, async () => {
+		const calls = [];
+		const source = new EventEmitter();
+		const mixin = new MixinEmitter();
+
+		@emitter
+		class Subscriber {
+			source = source;
+			mixin = mixin;
+
+			constructor(id) {
+				this.id = id;
+			}
+
+			@on("source.change", { weak: true, filter(id) { return id === this.id; } })
+			handleChange(id) {
+				calls.push(["source", this.id]);
+			}
+
+			@on("mixin.change", { weak: true })
+			handleMixinChange() {
+				calls.push(["mixin", this.id]);
+			}
+		}
+
+		const kept = new Subscriber(1);
+		(() => new Subscriber(2))();
+
+		for (let i = 0; i < 5; i++) {
+			await new Promise(resolve => setImmediate(resolve));
+			global.gc();
+		}
+		await new Promise(resolve => setImmediate(resolve));
+
+		source.emit("change", 1);
+		mixin.emit("change");
+
+		assert.deepStrictEqual(calls, [["source", 1], ["mixin", 1]], "Collected listeners were called");
+		assert.strictEqual(source.listenerCount("change"), 1, "Collected listener was not removed from the EventEmitter");
+		assert.strictEqual(mixin.listenerCount("change"), 1, "Collected listener was not removed from the EventEmitterMixin");
+	});
+
+	test("@on should remove its abort listeners when listeners are removed some other way", () => {
+		const controller = new AbortController();
+		const source = new NodeEventEmitter();
+		const mixin = new MixinEmitter();
+
+		@emitter
+		class Subscriber {
+			source = source;
+			mixin = mixin;
+
+			@once("source.ready", { signal: controller.signal })
+			onReady() {}
+
+			@on("source.change", { signal: controller.signal, weak: true })
+			onSourceChange() {}
+
+			@on("mixin.change", { signal: controller.signal, filter: () => true })
+			onMixinChange() {}
+		}
+
+		const subscriber = new Subscriber();
+		const abortListeners = () => getEventListeners(controller.signal, "abort").length;
+		assert.ok(abortListeners() > 0, "Abort listeners were not added");
+
+		source.emit("ready");
+		source.removeAllListeners("change");
+		mixin.removeAllListeners("change");
+
+		assert.strictEqual(abortListeners(), 0, "Abort listeners were kept after the listeners were removed");
+		assert.ok(subscriber, "Subscriber was collected");
+	});
+
+	test("@on should only keep its removeListener listener while it tracks listeners", () => {
+		const controller = new AbortController();
+		const source = new NodeEventEmitter();
+
+		@emitter
+		class Subscriber {
+			source = source;
+
+			@on("source.change", { signal: controller.signal })
+			onChange() {}
+		}
+
+		const abortListeners = () => getEventListeners(controller.signal, "abort").length;
+
+		new Subscriber();
+		assert.strictEqual(source.listenerCount("removeListener"), 1, "removeListener listener was not added");
+
+		source.removeAllListeners();
+		assert.strictEqual(source.listenerCount("removeListener"), 0, "removeListener listener was kept after every listener was removed");
+		assert.strictEqual(abortListeners(), 0, "Abort listeners were kept after every listener was removed");
+
+		new Subscriber();
+		source.removeAllListeners("removeListener");
+		new Subscriber();
+		assert.strictEqual(source.listenerCount("removeListener"), 1, "removeListener listener was not added again");
+
+		source.removeAllListeners("change");
+		assert.strictEqual(abortListeners(), 0, "Abort listeners were kept after the listeners were removed");
+		assert.strictEqual(source.listenerCount("removeListener"), 0, "removeListener listener was kept once no listeners were tracked");
+	});
+
+	test("@on listeners should be reported by their class and method name", () => {
+		class Widget extends MixinEmitter {
+			@on("change")
+			update() {}
+		}
+
+		const widget = new Widget({ captureStacks: true });
+
+		assert.strictEqual(widget.listeners("change")[0].name, "Widget.update", "Listener was not named after the class and method");
+		assert.deepStrictEqual(widget.leakReport("change")[0].sites[0].listeners, ["Widget.update"], "Leak report did not name the listener");
+	});
+
+	test("@on should not keep instances with weak listeners on nested properties alive", { skip: !global.gc && "requires --expose-gc" }, async () => {
+		const app = { bus: new MixinEmitter() };
+		const collected = [];
+		const registry = new FinalizationRegistry(id => collected.push(id));
+		const calls = [];
+
+		@emitter
+		class Widget {
+			app = app;
+
+			constructor(id) {
+				this.id = id;
+				registry.register(this, id);
+			}
+
+			@on("app.bus.change", { weak: true })
+			handleChange() {
+				calls.push(this.id);
+			}
+		}
+
+		const kept = new Widget(1);
+		(() => new Widget(2))();
+
+		for (let i = 0; i < 5 && !collected.length; i++) {
+			await new Promise(resolve => setImmediate(resolve));
+			global.gc();
+		}
+		await new Promise(resolve => setImmediate(resolve));
+
+		app.bus.emit("change");
+
+		assert.deepStrictEqual(collected, [2], "Instance was kept alive by its nested weak listener");
+		assert.deepStrictEqual(calls, [kept.id], "Listeners were not applied once per instance");
+	});
+
+	test("@on should accept a function returning the signal for nested properties", () => {
+		let emitted = 0;
+		const controller = new AbortController();
+		@emitter
+		class TestClass {
+			property = new EventEmitter();
+
+			@on("property.event", { signal: instance => controller.signal })
+			handleEvent() {
+				emitted++;
+			}
+		}
+		const instance = new TestClass();
+		instance.property.emit("event");
+		controller.abort();
+		instance.property.emit("event");
+		assert.strictEqual(emitted, 1, "Listener for property event was not removed when the signal was aborted");
+	});
+
+	test("@on should receive sticky events emitted before the listener was applied", () => {
+		const received = [];
+		class Service extends MixinEmitter {
+			constructor() {
+				super({ sticky: ["ready"] });
+				this.emit("ready", "config");
+			}
+		}
+		@emitter
+		class TestClass {
+			service = new Service();
+
+			@on("service.ready")
+			handleReady(config) {
+				received.push(config);
+			}
+		}
+		new TestClass();
+		assert.deepStrictEqual(received, ["config"], "Sticky event was not replayed to the decorated listener");
+	});
 });
 
 // Test once decorator
@@ -993,6 +1343,275 @@ suite("@emit decorator", () => {
 			}, "@emit applied to a non-method target");
 		});
 	});
+
+	test("@batch should queue the events emitted by a method", async () => {
+		@emitter
+		class Form {
+			@emits("change", emits.set)
+			accessor name = "";
+
+			@emits("change", emits.set)
+			accessor email = "";
+
+			@batch({ coalesce: { change: (merged, args) => [...merged, ...args] } })
+			update(name, email) {
+				this.name = name;
+				this.email = email;
+				return this.emit("saved") && "updated";
+			}
+
+			@batch
+			async reset() {
+				this.name = "";
+				await Promise.resolve();
+				throw new Error("reset failed");
+			}
+		}
+		const form = new Form();
+		const received = [];
+		form.on("change", (...args) => received.push(["change", ...args]));
+		form.on("saved", () => received.push(["saved"]));
+
+		assert.strictEqual(form.update("Ada", "ada@example.com"), "updated", "Result of the method was not returned");
+		assert.deepStrictEqual(received, [["change", "Ada", "ada@example.com"], ["saved"]], "Events were not batched");
+
+		await assert.rejects(form.reset(), /reset failed/, "Rejection was not passed on");
+		assert.strictEqual(received.length, 2, "Events of the failed batch were emitted");
+
+		class Plain {
+			@batch
+			method() {}
+		}
+		assert.throws(() => new Plain().method(), /does not have a 'batch\(\)' method/, "Batch was run without a batch() method");
+		assert.throws(() => {
+			class Invalid {
+				@batch accessor value;
+			}
+		}, /Can only apply batch to methods/, "@batch was applied to an accessor");
+	});
+
+	test("@emit should defer events with the defer option", async () => {
+		const received = [];
+		@emitter
+		class Service {
+			constructor() {
+				this.start("config");
+			}
+
+			@emit("started", emit.args, { defer: true })
+			start(config) {}
+
+			@emit("stopped", emit.result, { defer: "macrotask" })
+			stop() {
+				return "stopped";
+			}
+
+			@on("started")
+			onStarted(config) {
+				received.push(config);
+			}
+		}
+		const service = new Service();
+		service.on("stopped", result => received.push(result));
+
+		service.stop();
+		await new Promise(resolve => queueMicrotask(resolve));
+		assert.deepStrictEqual(received, ["config"], "Event emitted from the constructor was not deferred");
+		assert.strictEqual(service.flushDeferred(), 1, "Deferred event was not pending");
+		assert.deepStrictEqual(received, ["config", "stopped"], "Deferred event was not flushed");
+
+		assert.throws(() => {
+			class Invalid {
+				@emit(Event, emit.after, { defer: true })
+				method() {}
+			}
+		}, /"defer" option can only be used/, "defer was accepted for an Event constructor");
+	});
+
+	test("@emit should report errors thrown while emitting deferred events", async (t) => {
+		const log = t.mock.method(console, "error", () => {});
+		const errors = [];
+
+		class Job extends NodeEventEmitter {
+			@emit("done", emit.after, { defer: true })
+			run() {}
+		}
+		const job = new Job();
+		job.on("done", () => { throw new Error("Listener failed"); });
+
+		job.run();
+		await new Promise(resolve => setImmediate(resolve));
+		assert.strictEqual(log.mock.callCount(), 1, "Error without an 'error' listener was not logged");
+
+		job.on("error", error => errors.push(error.message));
+		job.run();
+		await new Promise(resolve => setImmediate(resolve));
+		assert.deepStrictEqual(errors, ["Listener failed"], "Error was not emitted as 'error'");
+
+		class Task extends EventEmitter {}
+		const task = new Task();
+		task.on("done", () => { throw new Error("Listener failed"); });
+
+		assert.strictEqual(await task.emitLater("done"), false, "emitLater() did not fulfill with false");
+		assert.strictEqual(log.mock.callCount(), 2, "Error thrown for emitLater() was not logged");
+	});
+
+	test("@emit and @emits should publish spans linked to the events they emit", () => {
+		class Form extends EventEmitter {
+			@emit("submitted", emit.result)
+			submit(value) { return value; }
+
+			@emits accessor name = "";
+		}
+
+		const form = new Form();
+		const spans = [];
+		const events = [];
+		const methodHandlers = { start: context => spans.push(context) };
+		const emitHandlers = { start: context => events.push(context) };
+		const methodChannel = diagnostics_channel.tracingChannel("event-emitter-decorators:method");
+		const emitChannel = diagnostics_channel.tracingChannel("event-emitter-decorators:emit");
+		methodChannel.subscribe(methodHandlers);
+		emitChannel.subscribe(emitHandlers);
+
+		try {
+			form.submit("data");
+			form.name = "Ada";
+		} finally {
+			methodChannel.unsubscribe(methodHandlers);
+			emitChannel.unsubscribe(emitHandlers);
+		}
+
+		assert.deepStrictEqual(spans.map(span => [span.method, span.kind]), [["submit", "method"], ["name", "set"]], "Spans were not published");
+		assert.strictEqual(spans[0].className, "Form", "Span does not have the class name");
+		assert.deepStrictEqual(events.map(event => [event.type, event.parent]), [["submitted", spans[0]], ["set:name", spans[1]]], "Events are not linked to their spans");
+		assert.deepStrictEqual(spans[0].events, [events[0]], "Span does not list its event");
+	});
+
+	test("@emit and @emits should run the middleware of EventEmitterMixin instances", () => {
+		const intercepted = [];
+		class TestClass extends MixinEmitter {
+			@emit("saved", emit.result)
+			save(value) {
+				return value;
+			}
+
+			@emits("value", emits.set)
+			accessor value = 0;
+		}
+		const instance = new TestClass();
+		instance.use((type, args, next) => {
+			intercepted.push([type, ...args]);
+			return next(type, args.map(arg => arg * 10));
+		});
+		const received = [];
+		instance.on("saved", value => received.push(value));
+		instance.on("value", value => received.push(value));
+
+		instance.save(1);
+		instance.value = 2;
+
+		assert.deepStrictEqual(intercepted, [["saved", 1], ["value", 2]], "Middleware did not intercept the decorators");
+		assert.deepStrictEqual(received, [10, 20], "Middleware did not modify the emitted events");
+	});
+
+	test("@emit should skip the method when an emit.guard event is vetoed", () => {
+		let called = 0;
+		class TestClass extends MixinEmitter {
+			@emit("save", emit.guard, { fallback: false })
+			save(value) {
+				called++;
+				return value;
+			}
+
+			@emit("close", "guard")
+			close() {
+				called++;
+				return true;
+			}
+		}
+		const instance = new TestClass();
+		instance.on("save", (event) => {
+			assert(event.cancelable, "The guard event is not cancelable");
+			if (event.detail === "invalid") event.preventDefault();
+		});
+
+		assert.strictEqual(instance.save("valid"), "valid", "The method was not called");
+		assert.strictEqual(instance.save("invalid"), false, "The fallback value was not returned");
+		assert.strictEqual(called, 1, "The method was called after the event was vetoed");
+
+		instance.addEventListener("close", (event) => event.preventDefault());
+		assert.strictEqual(instance.close(), undefined, "The method was called after the event was vetoed");
+		assert.strictEqual(called, 1, "The method was called after the event was vetoed");
+	});
+
+	test("@emit should honor cancelable for emit.guard events on Node.js style emitters", () => {
+		let called = 0;
+		class TestClass extends EventEmitter {
+			@emit("save", emit.guard)
+			save() {
+				called++;
+			}
+
+			@emit(new CustomEvent("update", { cancelable: false }), emit.guard)
+			update() {
+				called++;
+			}
+		}
+		const instance = new TestClass();
+		instance.on("save", (event) => event.preventDefault());
+		instance.on("update", (event) => event.preventDefault());
+
+		instance.save();
+		assert.strictEqual(called, 0, "The method was called after the event was vetoed");
+
+		instance.update();
+		instance.update();
+		assert.strictEqual(called, 2, "A non-cancelable event vetoed the method");
+	});
+});
+
+// Test bubble decorator
+suite("@bubble decorator", () => {
+	test("@bubble should set the parent of child emitters", () => {
+		const received = [];
+		class Field extends MixinEmitter {}
+		@emitter
+		class Form {
+			@bubble field = new Field();
+			@bubble accessor other = new Field();
+
+			@on("change")
+			onChange(event) {
+				received.push(event.target);
+			}
+		}
+		const form = new Form();
+		const { field, other } = form;
+
+		assert.strictEqual(field.parentEmitter, form, "The parent of the field was not set");
+		field.bubble("change");
+		other.bubble("change");
+		assert.deepStrictEqual(received, [field, other], "Events did not bubble to the instance");
+
+		form.other = new Field();
+		assert.strictEqual(other.parentEmitter, undefined, "The previous child was not detached");
+		assert.strictEqual(form.other.parentEmitter, form, "The parent of the new child was not set");
+	});
+
+	test("@bubble should only accept emitters that support bubbling", () => {
+		@emitter
+		class Form {
+			@bubble field = {};
+		}
+		assert.throws(() => new Form(), /does not support event bubbling/, "Object without parentEmitter was accepted");
+		assert.throws(() => {
+			class Form {
+				@bubble
+				method() {}
+			}
+		}, "@bubble applied to a method");
+	});
 });
 
 // Test emits decorator
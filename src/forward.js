@@ -0,0 +1,209 @@
+import { Subscription } from "./Subscription.js";
+import { META_EVENTS, checkEmitter } from "./shared.js";
+
+/**
+ * The event currently being forwarded: the emitter it is being emitted on, its type there, and the emitters it has passed through.
+ * An event is not forwarded to these emitters again, which stops emitters that forward to each other from looping.
+ * Events emitted by anything else while it is being forwarded, such as its listeners, start a chain of their own.
+ *
+ * @type {{ emitter: object, type: string|symbol, chain: Set<object> }|null}
+ */
+let _forwarding = null;
+
+/**
+ * The functions called for every event emitted by emitters that do not support middleware,
+ * along with the original `emit()` method of each emitter.
+ *
+ * @type {WeakMap<object, { emit: Function, taps: Set<Function> }>}
+ */
+const _taps = new WeakMap();
+
+/**
+ * Calls `tap` with the type and arguments of every event emitted by an emitter that does not support middleware,
+ * by replacing its `emit()` method until the last tap is removed.
+ *
+ * @param {object} emitter - The emitter to tap.
+ * @param {(type: string|symbol, args: any[]) => void} tap - The function to call for each event.
+ * @returns {() => void} A function that removes the tap.
+ */
+function tapEmit(emitter, tap) {
+	if (!_taps.has(emitter)) {
+		const entry = { emit: Object.hasOwn(emitter, "emit") ? emitter.emit : undefined, taps: new Set() };
+		const emit = entry.emit ?? emitter.emit;
+
+		emitter.emit = function (type, ...args) {
+			const result = emit.call(this, type, ...args);
+			for (const tap of [...entry.taps]) tap(type, args);
+			return result;
+		};
+
+		_taps.set(emitter, entry);
+	}
+
+	const entry = _taps.get(emitter);
+	entry.taps.add(tap);
+
+	return () => {
+		entry.taps.delete(tap);
+		if (entry.taps.size) return;
+
+		_taps.delete(emitter);
+
+		if (entry.emit) emitter.emit = entry.emit;
+		else delete emitter.emit;
+	};
+}
+
+/**
+ * Calls `observe` with the type and arguments of every event emitted by an emitter that supports middleware, like those
+ * created with the `EventEmitterMixin`, once its listeners have been called. Unlike a listener for `"**"`, the middleware
+ * also sees symbol event types and the events emitted with `emitSerial()` and `emitParallel()`, and does not change
+ * what `emit()` returns or what `listenerCount()` counts.
+ *
+ * @param {object} emitter - The emitter to add the middleware to.
+ * @param {(type: string|symbol, args: any[]) => void} observe - The function to call for each event.
+ * @returns {() => void} A function that removes the middleware.
+ */
+function observeEmit(emitter, observe) {
+	const middleware = emitter.use((type, args, next) => {
+		const result = next();
+		observe(type, args);
+		return result;
+	});
+
+	return () => middleware.unsubscribe();
+}
+
+/**
+ * @param {object} emitter - The emitter to add the listener to.
+ * @param {string|symbol} type - The event type to listen for.
+ * @param {Function} listener - The listener to add.
+ * @returns {() => void} A function that removes the listener.
+ */
+function listen(emitter, type, listener) {
+	const register = emitter.on ?? emitter.addListener;
+
+	if (register) {
+		register.call(emitter, type, listener);
+		return () => (emitter.off ?? emitter.removeListener).call(emitter, type, listener);
+	}
+
+	emitter.addEventListener(type, listener);
+	return () => emitter.removeEventListener(type, listener);
+}
+
+/**
+ * @param {string|symbol} type - The event type to rename.
+ * @param {{ rename?: string|symbol|Function|object, prefix?: string }} options - The forwarding options.
+ * @returns {string|symbol} The event type to emit on the target.
+ */
+function renameEvent(type, { rename, prefix }) {
+	if (typeof rename === "function") type = rename(type);
+	else if (rename && typeof rename === "object") type = Object.hasOwn(rename, type) ? rename[type] : type;
+	else if (rename !== undefined) type = rename;
+
+	if (prefix && typeof type === "string") type = prefix + type;
+
+	return type;
+}
+
+/**
+ * @typedef {Object} ForwardOptions
+ * @property {string|symbol|((type: string|symbol) => string|symbol)|Object<string, string|symbol>} [rename] - The event type to emit
+ * on the target, a function that returns it, or an object mapping source event types to target event types.
+ * @property {string} [prefix] - A prefix added to string event types after they are renamed.
+ * @property {(type: string|symbol, args: any[]) => any[]} [transform] - Returns the arguments to emit on the target.
+ * @property {(type: string|symbol, args: any[]) => boolean} [filter] - Returns `false` for events that should not be forwarded.
+ * @property {AbortSignal} [signal] - Stops forwarding when the signal is aborted.
+ */
+
+/**
+ * Forwards events emitted by `source` to `target`. Each event is emitted on the target with the same arguments,
+ * after any `filter`, `rename`, `prefix` and `transform` options have been applied.
+ *
+ * If `types` is omitted, or is `"*"` or `"**"`, every event is forwarded apart from `'newListener'` and `'removeListener'`.
+ * Emitters that support middleware, like those created with the `EventEmitterMixin`, forward their events with middleware
+ * once their listeners have been called, as passed on by the middleware added before forwarding started;
+ * other emitters have their `emit()` method wrapped until forwarding stops.
+ *
+ * While an event is being forwarded it is never forwarded back to an emitter it has already passed through,
+ * so emitters can safely forward to each other. Events emitted by its listeners are forwarded as usual.
+ *
+ * @example
+ * ```js
+ * using link = forward(child, parent, ["change", "error"], { prefix: "child:" });
+ * ```
+ *
+ * @param {object} source - The emitter to forward events from.
+ * @param {object} target - The emitter to forward events to.
+ * @param {string|symbol|(string|symbol)[]} [types] - The event types to forward.
+ * @param {ForwardOptions} [options] - Options for forwarding.
+ * @returns {Subscription} A subscription that stops forwarding every event type when unsubscribed or disposed.
+ */
+export function forward(source, target, types = "**", options = {}) {
+	checkEmitter(source, { name: source?.constructor?.name || "source" });
+
+	if (!target || !(target.emit || target.dispatchEvent)) {
+		throw new TypeError(`Object '${target?.constructor?.name || "target"}' does not emit events.`);
+	}
+
+	const { transform, filter, signal } = options;
+
+	if (signal?.aborted) return new Subscription(() => {}, { emitter: source, type: types });
+
+	const relay = (type, args) => {
+		const forwarding = _forwarding?.emitter === source && _forwarding.type === type ? _forwarding : null;
+		const chain = forwarding?.chain ?? new Set([source]);
+
+		if (chain.has(target)) return;
+		if (filter && !filter(type, args)) return;
+
+		const renamed = renameEvent(type, options);
+		const forwarded = transform ? transform(type, args) : args;
+		const previous = _forwarding;
+		let event = null;
+
+		if (!target.emit) {
+			event = forwarded[0] instanceof Event && forwarded.length === 1
+				? forwarded[0]
+				: new CustomEvent(String(renamed), { detail: forwarded.length === 1 ? forwarded[0] : forwarded });
+		}
+
+		_forwarding = { emitter: target, type: event ? event.type : renamed, chain: new Set(chain).add(target) };
+
+		try {
+			if (event) target.dispatchEvent(event);
+			else target.emit(renamed, ...forwarded);
+		} finally {
+			_forwarding = previous;
+		}
+	};
+
+	const removers = [];
+
+	if (types === "*" || types === "**") {
+		const all = (type, args) => {
+			if (!META_EVENTS.has(type)) relay(type, args);
+		};
+
+		if (typeof source.use === "function") removers.push(observeEmit(source, all));
+		else removers.push(tapEmit(source, all));
+	}
+	else {
+		for (const type of [types].flat()) removers.push(listen(source, type, (...args) => relay(type, args)));
+	}
+
+	const unsubscribe = () => {
+		signal?.removeEventListener("abort", abort);
+		for (const remove of removers) remove();
+	};
+
+	const subscription = new Subscription(unsubscribe, { emitter: source, type: types });
+	const abort = () => subscription.unsubscribe();
+
+	signal?.addEventListener("abort", abort, { once: true });
+
+	return subscription;
+}
+
+export default forward;
@@ -0,0 +1,179 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { forward } from "./forward.js";
+import MixinEmitter from "./EventEmitter.js";
+import { EventEmitter, emitter } from "./decorators.js";
+
+/**
+ * @param {object} target - The emitter to record the events of.
+ * @param {string[]} types - The event types to record.
+ * @returns {any[][]} The type and arguments of each recorded event.
+ */
+function record(target, types) {
+	const received = [];
+	for (const type of types) target.on(type, (...args) => received.push([type, ...args]));
+	return received;
+}
+
+suite("forward", () => {
+	test("should forward the given event types with rename, prefix, transform and filter", () => {
+		const source = new MixinEmitter();
+		const target = new MixinEmitter();
+		const received = record(target, ["child:updated", "child:removed", "added"]);
+
+		const link = source.forward(target, ["change", "remove"], {
+			rename: { change: "updated", remove: "removed" },
+			prefix: "child:",
+			transform: (type, args) => args.map(arg => arg * 2),
+			filter: (type, args) => args[0] !== 0
+		});
+		const other = forward(source, target, "add", { rename: type => type + "ed" });
+
+		source.emit("change", 1, 2);
+		source.emit("change", 0);
+		source.emit("remove", 3);
+		source.emit("add", 4);
+
+		assert.deepStrictEqual(received, [
+			["child:updated", 2, 4],
+			["child:removed", 6],
+			["added", 4]
+		], "Events were not forwarded correctly");
+
+		link.unsubscribe();
+		other[Symbol.dispose]();
+		source.emit("change", 1);
+		source.emit("add", 1);
+
+		assert.strictEqual(received.length, 3, "Events were forwarded after the link was removed");
+		assert.strictEqual(source.listenerCount("change"), 0, "Forwarding listeners were not removed");
+	});
+
+	test("should forward all events except meta events", () => {
+		const source = new MixinEmitter();
+		const target = new MixinEmitter();
+		const received = record(target, ["a", "b:c", "newListener"]);
+
+		const link = source.forward(target);
+
+		source.on("other", () => {});
+		source.emit("a", 1);
+		source.emit("b:c", 2);
+
+		assert.deepStrictEqual(received, [["a", 1], ["b:c", 2]], "All events were not forwarded");
+		link.unsubscribe();
+	});
+
+	test("should forward symbol events without adding listeners to the source", () => {
+		const source = new MixinEmitter();
+		const target = new MixinEmitter();
+		const type = Symbol("ready");
+		const received = record(target, [type, "a"]);
+
+		source.forward(target);
+
+		assert.strictEqual(source.emit(type, 1), false, "emit() reported listeners for an event without any");
+		assert.strictEqual(source.listenerCount("a"), 0, "Forwarding was counted as a listener");
+
+		source.batch(() => {
+			source.emit("a", 2);
+			assert.deepStrictEqual(received, [[type, 1]], "Event was forwarded during the batch");
+		});
+
+		assert.deepStrictEqual(received, [[type, 1], ["a", 2]], "Events were not forwarded once");
+	});
+
+	test("should forward all events from emitters without wildcard support", () => {
+		const source = new EventEmitter();
+		const target = new MixinEmitter();
+		const received = record(target, ["a", "b"]);
+
+		const link = forward(source, target, "**");
+		assert.ok(Object.hasOwn(source, "emit"), "emit() was not wrapped");
+
+		source.emit("a", 1);
+		source.emit("b");
+		link.unsubscribe();
+		source.emit("a", 2);
+
+		assert.deepStrictEqual(received, [["a", 1], ["b"]], "All events were not forwarded");
+		assert.ok(!Object.hasOwn(source, "emit"), "emit() was not restored");
+	});
+
+	test("should not loop when emitters forward to each other", () => {
+		const a = new MixinEmitter();
+		const b = new MixinEmitter();
+		let fromA = 0;
+		let fromB = 0;
+
+		a.on("ping", () => fromA++);
+		b.on("ping", () => fromB++);
+
+		a.forward(b, "ping");
+		b.forward(a);
+
+		a.emit("ping");
+		b.emit("ping");
+
+		assert.strictEqual(fromA, 2, "Event was forwarded back to the source");
+		assert.strictEqual(fromB, 2, "Event was forwarded back to the source");
+	});
+
+	test("should forward events emitted by listeners of a forwarded event", () => {
+		const a = new MixinEmitter();
+		const b = new MixinEmitter();
+		const c = new MixinEmitter();
+		const received = record(c, ["x", "y"]);
+
+		forward(a, c, ["x"]);
+		forward(b, c, ["y"]);
+		c.on("x", () => b.emit("y"));
+
+		a.emit("x");
+
+		assert.deepStrictEqual(received, [["x"], ["y"]], "Event emitted by a listener was not forwarded");
+	});
+
+	test("should not loop when renamed events are forwarded back", () => {
+		const a = new MixinEmitter();
+		const b = new MixinEmitter();
+		const received = record(a, ["pong"]);
+
+		forward(a, b, ["ping"], { rename: "pong" });
+		forward(b, a, ["pong"]);
+
+		a.emit("ping");
+
+		assert.deepStrictEqual(received, [], "Renamed event was forwarded back to the source");
+	});
+
+	test("should stop forwarding when the signal is aborted", () => {
+		const source = new MixinEmitter();
+		const target = new MixinEmitter();
+		const controller = new AbortController();
+		const received = record(target, ["event"]);
+
+		const link = source.forward(target, "event", { signal: controller.signal });
+		source.emit("event", 1);
+		controller.abort();
+		source.emit("event", 2);
+
+		assert.deepStrictEqual(received, [["event", 1]], "Event was forwarded after the signal was aborted");
+		assert.strictEqual(link.active, false, "Link is still active");
+		assert.throws(() => forward({}, target), TypeError, "Object without listeners was accepted as the source");
+	});
+
+	test("should forward events from @emitter classes", () => {
+		@emitter
+		class Source {}
+
+		const source = new Source();
+		const target = new MixinEmitter();
+		const received = record(target, ["source:event"]);
+
+		source.forward(target, "event", { prefix: "source:" });
+		source.emit("event", 1);
+
+		assert.deepStrictEqual(received, [["source:event", 1]], "Event was not forwarded");
+	});
+});
@@ -0,0 +1,493 @@
+import EventEmitter from "./EventEmitter.js";
+import { Subscription } from "./Subscription.js";
+import { serializeError, deserializeError } from "./bridge.js";
+import { queueEmit } from "./batch.js";
+import { META_EVENTS, checkEmitter } from "./shared.js";
+
+/**
+ * Identifies the messages sent by IPC transports, so that the channel can also carry other messages.
+ */
+const PROTOCOL = "event-emitter-decorators:ipc";
+
+/**
+ * The key of the objects that stand for values that cannot be sent as JSON.
+ */
+const TAG = "@@event-emitter-decorators";
+
+/**
+ * Converts a value to one that can be sent over an IPC channel as JSON. Registered symbols, errors, dates and `undefined`
+ * are replaced by tagged objects, inside arrays and plain objects as well, which {@linkcode decode} converts back.
+ *
+ * @throws {TypeError} If the value contains a symbol that is not registered with `Symbol.for()`.
+ * @param {any} value - The value to encode.
+ * @returns {any} The encoded value.
+ */
+export function encode(value) {
+	if (value === undefined) return { [TAG]: "undefined" };
+
+	if (typeof value === "symbol") {
+		const key = Symbol.keyFor(value);
+		if (key === undefined) throw new TypeError(`Only symbols registered with Symbol.for() can be sent. Received ${String(value)}`);
+
+		return { [TAG]: "symbol", key };
+	}
+
+	if (value instanceof Date) return { [TAG]: "date", time: value.getTime() };
+	if (value instanceof Error) return { [TAG]: "error", error: encode(serializeError(value)) };
+	if (Array.isArray(value)) return value.map(encode);
+
+	if (value !== null && typeof value === "object" && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+		return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, encode(value)]));
+	}
+
+	return value;
+}
+
+/**
+ * Converts a value encoded with {@linkcode encode} back.
+ *
+ * @param {any} value - The value to decode.
+ * @returns {any} The decoded value.
+ */
+export function decode(value) {
+	if (Array.isArray(value)) return value.map(decode);
+	if (value === null || typeof value !== "object") return value;
+
+	switch (value[TAG]) {
+		case "undefined": return undefined;
+		case "symbol": return Symbol.for(value.key);
+		case "date": return new Date(value.time);
+		case "error": return deserializeError(decode(value.error));
+	}
+
+	return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, decode(value)]));
+}
+
+/**
+ * @param {object} channel - The channel to check, like a `ChildProcess` or `process`.
+ * @returns {object} The channel.
+ */
+function checkChannel(channel) {
+	if (typeof channel?.send !== "function" || typeof channel.on !== "function") {
+		throw new TypeError(`Object '${channel?.constructor?.name || "channel"}' does not have an IPC channel.`);
+	}
+
+	return channel;
+}
+
+/**
+ * Sends a message over the channel, unless it has been disconnected.
+ *
+ * @param {object} channel - The channel to send the message on.
+ * @param {object} message - The message, whose `type` and `args` are encoded.
+ * @returns {boolean} `false` if the channel has been disconnected.
+ */
+function send(channel, { type, args, ...message }) {
+	if (channel.connected === false) return false;
+
+	if (type !== undefined) message.type = encode(type);
+	if (args !== undefined) message.args = encode(args);
+
+	channel.send({ ipc: PROTOCOL, ...message });
+
+	return true;
+}
+
+/**
+ * @param {object} channel - The channel to listen to.
+ * @param {(message: object) => void} receive - Called with each message of the transport, with its `type` and `args` decoded.
+ * @returns {() => void} A function that stops listening.
+ */
+function listenTo(channel, receive) {
+	const handler = message => {
+		if (message?.ipc !== PROTOCOL) return;
+
+		receive({ ...message, type: decode(message.type), args: decode(message.args) });
+	};
+
+	channel.on("message", handler);
+
+	return () => (channel.off ?? channel.removeListener).call(channel, "message", handler);
+}
+
+/**
+ * @param {object} emitter - The emitter the event type belongs to.
+ * @param {string|symbol} type - The event type to check.
+ * @returns {boolean} `true` if the event type is a wildcard pattern of the emitter.
+ */
+function isPattern(emitter, type) {
+	return emitter.wildcard === true
+		&& typeof type === "string"
+		&& type.split(emitter.delimiter).some(segment => segment === "*" || segment === "**");
+}
+
+/**
+ * @param {string|symbol} type - The event type that was emitted.
+ * @param {number} timeout - The number of milliseconds that were waited.
+ * @returns {Error} An error with the name `TimeoutError`.
+ */
+function timeoutError(type, timeout) {
+	const error = new Error(`The '${String(type)}' event was not acknowledged within ${timeout}ms.`);
+
+	error.name = "TimeoutError";
+	error.code = "ETIMEDOUT";
+
+	return error;
+}
+
+/**
+ * @param {string} method - The name of the method that was called.
+ * @returns {Error} The error thrown by the methods of {@linkcode RemoteEmitter} that need the result of the remote listeners synchronously.
+ */
+function notSynchronous(method) {
+	return new Error(`'${method}()' cannot be used on a RemoteEmitter, since the result of the remote listeners is not known synchronously. Use emitWithAck() instead.`);
+}
+
+/**
+ * @returns {Error} The error that pending acknowledgments reject with when the transport is closed.
+ */
+function closedError() {
+	const error = new Error("The IPC channel was closed before the event was acknowledged.");
+
+	error.code = "ERR_IPC_CHANNEL_CLOSED";
+
+	return error;
+}
+
+/**
+ * Makes `emitter` available to a {@linkcode RemoteEmitter} on the other side of an IPC channel, such as `process` in a child
+ * process started with `fork()`, or the `ChildProcess` in the parent.
+ *
+ * Events are only sent for the event types that the remote emitter has listeners for. Events emitted on the remote
+ * emitter are emitted on `emitter`, and errors thrown while doing so are sent back and emitted as `'error'` on it,
+ * or reject the promise returned by {@linkcode RemoteEmitter.emitWithAck}, {@linkcode RemoteEmitter.emitParallel}
+ * or {@linkcode RemoteEmitter.emitSerial}, which are emitted with the method of the same name when `emitter` has it.
+ *
+ * @example
+ * ```js
+ * // worker.js, started with fork("./worker.js")
+ * expose(stage, process);
+ * ```
+ *
+ * @param {object} emitter - The emitter to make available.
+ * @param {object} channel - The IPC channel, `process` in a child process or a `ChildProcess` in the parent.
+ * @param {object} [options]
+ * @param {(string|symbol)[]} [options.types] - The event types that may be listened to and emitted remotely. Defaults to all of them.
+ * @param {AbortSignal} [options.signal] - Stops making the emitter available when aborted.
+ * @returns {Subscription} A subscription that stops making the emitter available when unsubscribed or disposed.
+ */
+export function expose(emitter, channel, { types, signal } = {}) {
+	checkEmitter(emitter, { emits: true });
+
+	checkChannel(channel);
+
+	if (signal?.aborted) return new Subscription(() => {}, { emitter, type: types });
+
+	const relays = new Map(); // The listeners that send events of each type the remote emitter listens to
+	const on = (emitter.on ?? emitter.addListener).bind(emitter);
+	const off = (emitter.off ?? emitter.removeListener).bind(emitter);
+	const allowed = type => !META_EVENTS.has(type) && (types === undefined || types.includes(type));
+
+	const addRelay = type => {
+		if (!allowed(type) || relays.has(type)) return;
+
+		const relay = (...args) => send(channel, { op: "event", type, args });
+
+		relays.set(type, relay);
+		on(type, relay);
+	};
+
+	const removeRelay = type => {
+		const relay = relays.get(type);
+		if (!relay) return;
+
+		relays.delete(type);
+		off(type, relay);
+	};
+
+	const emit = async ({ id, serial, type, args }) => {
+		const method = serial ? "emitSerial" : "emitParallel";
+
+		try {
+			if (!allowed(type)) throw new Error(`The '${String(type)}' event cannot be emitted remotely.`);
+
+			const result = typeof emitter[method] === "function" && id !== undefined
+				? await emitter[method](type, ...args)
+				: emitter.emit(type, ...args);
+
+			if (id !== undefined) send(channel, { op: "ack", id, args: [result] });
+		} catch (error) {
+			send(channel, id === undefined ? { op: "error", args: [error] } : { op: "ack", id, error: encode(error) });
+		}
+	};
+
+	const stopListening = listenTo(channel, message => {
+		if (message.op === "subscribe") addRelay(message.type);
+		else if (message.op === "unsubscribe") removeRelay(message.type);
+		else if (message.op === "close") [...relays.keys()].forEach(removeRelay);
+		else if (message.op === "emit") emit(message);
+	});
+
+	send(channel, { op: "ready" }); // Asks a remote emitter created earlier to send its subscriptions again
+
+	const close = () => {
+		signal?.removeEventListener("abort", abort);
+		stopListening();
+		[...relays.keys()].forEach(removeRelay);
+		send(channel, { op: "close" });
+	};
+
+	const subscription = new Subscription(close, { emitter, type: types });
+	const abort = () => subscription.unsubscribe();
+
+	signal?.addEventListener("abort", abort, { once: true });
+
+	return subscription;
+}
+
+/**
+ * A local stand-in for an emitter in another process that was made available with {@linkcode expose}.
+ * Listeners added to it receive the events of the remote emitter, and events emitted on it are emitted on the remote emitter,
+ * so the remote emitter can be used like a local one, including by `@on("child.event")` when the `RemoteEmitter` is
+ * assigned to `child`.
+ *
+ * Arguments are sent as JSON, with registered symbols, errors, dates and `undefined` encoded by {@linkcode encode}.
+ * Listeners on wildcard patterns only receive the events of the types that other listeners subscribe to.
+ *
+ * `emitParallel()`, `emitAsync()` and `emitSerial()` wait for the remote emitter to acknowledge the event,
+ * like {@linkcode RemoteEmitter.emitWithAck}, and `emitLater()` and `batch()` send their events once they are emitted.
+ * `emitCancelable()`, `dispatchEvent()` and `bubble()` throw, since their result cannot be known synchronously.
+ *
+ * @example
+ * ```js
+ * const child = new RemoteEmitter(fork("./worker.js"), { timeout: 1000 });
+ * child.on("progress", percent => console.log(percent));
+ * const [result] = await child.emitWithAck("start", input);
+ * ```
+ */
+export class RemoteEmitter extends EventEmitter {
+	/**
+	 * The default number of milliseconds that {@linkcode RemoteEmitter.emitWithAck} waits for an acknowledgment.
+	 */
+	static timeout = 5000;
+
+	#channel;
+	#timeout = undefined;
+	#subscribed = new Set();
+	#pending = new Map();
+	#nextId = 0;
+	#stopListening;
+	#onDisconnect = () => this.#rejectPending(closedError());
+
+	/**
+	 * @param {object} channel - The IPC channel, a `ChildProcess` in the parent or `process` in a child process.
+	 * @param {object} [options] - The options of {@linkcode EventEmitter}, and:
+	 * @param {number} [options.timeout] - The number of milliseconds to wait for acknowledgments.
+	 */
+	constructor(channel, options = {}) {
+		super(options);
+
+		this.#channel = checkChannel(channel);
+		if (options.timeout !== undefined) this.timeout = options.timeout;
+
+		this.#stopListening = listenTo(channel, message => this.#receive(message));
+		channel.on("disconnect", this.#onDisconnect);
+	}
+
+	/**
+	 * The number of milliseconds that {@linkcode RemoteEmitter.emitWithAck} waits for an acknowledgment.
+	 */
+	get timeout() {
+		return this.#timeout ?? this.constructor.timeout;
+	}
+
+	set timeout(ms) {
+		if (typeof ms !== "number" || !(ms > 0)) {
+			throw new RangeError(`The "timeout" must be a positive number of milliseconds. Received ${String(ms)}`);
+		}
+
+		this.#timeout = ms;
+	}
+
+	/**
+	 * @param {object} message - A message received from the exposed emitter.
+	 */
+	#receive({ op, id, type, args, error }) {
+		if (op === "ready") {
+			for (const type of this.#subscribed) send(this.#channel, { op: "subscribe", type });
+		}
+		else if (op === "event") {
+			if (this.listenerCount(type) > 0) super.emit(type, ...args);
+		}
+		else if (op === "error") super.emit("error", ...args);
+		else if (op === "close") this.#rejectPending(closedError());
+		else if (op === "ack" && this.#pending.has(id)) {
+			const { resolve, reject, timer } = this.#pending.get(id);
+
+			clearTimeout(timer);
+			this.#pending.delete(id);
+
+			if (error !== undefined) reject(decode(error));
+			else resolve(args[0]);
+		}
+	}
+
+	/**
+	 * Subscribes to or unsubscribes from the remote events of `type` as its first listener is added or its last is removed.
+	 *
+	 * @param {string|symbol} type - The event type a listener was added to or removed from.
+	 */
+	#track(type) {
+		if (META_EVENTS.has(type) || isPattern(this, type)) return;
+
+		const listening = this.listenerCount(type) > 0;
+
+		if (listening && !this.#subscribed.has(type)) {
+			this.#subscribed.add(type);
+			send(this.#channel, { op: "subscribe", type });
+		}
+		else if (!listening && this.#subscribed.delete(type)) send(this.#channel, { op: "unsubscribe", type });
+	}
+
+	/**
+	 * @param {Error} error - The error to reject every pending acknowledgment with.
+	 */
+	#rejectPending(error) {
+		for (const { reject, timer } of this.#pending.values()) {
+			clearTimeout(timer);
+			reject(error);
+		}
+
+		this.#pending.clear();
+	}
+
+	/**
+	 * Emits the event named `type` on the remote emitter. The `'newListener'` and `'removeListener'` events
+	 * are emitted locally instead.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {boolean} `true`, since whether the remote emitter has listeners is not known, or `false` if the channel
+	 * has been disconnected. Use {@linkcode RemoteEmitter.emitWithAck} to find out.
+	 */
+	emit(type, ...args) {
+		if (!META_EVENTS.has(type)) {
+			if (queueEmit(this, type, args)) return true;
+			return send(this.#channel, { op: "emit", type, args });
+		}
+
+		const result = super.emit(type, ...args);
+
+		// Listeners are added after 'newListener' is emitted, and may be removed after 'removeListener' is emitted for them
+		queueMicrotask(() => this.#track(args[0]));
+
+		return result;
+	}
+
+	/**
+	 * Emits the event named `type` on the remote emitter, and waits for it to acknowledge it.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {Promise<any>} A promise that is fulfilled with the results of the remote listeners, from `emitParallel()`,
+	 * or with the result of `emit()` for emitters without it. It rejects with the error thrown remotely, with a `TimeoutError`
+	 * if the event is not acknowledged within the `timeout`, or if the channel is closed first.
+	 */
+	emitWithAck(type, ...args) {
+		return this.#request(type, args, false);
+	}
+
+	/**
+	 * Emits the event named `type` on the remote emitter, and waits for it to acknowledge it.
+	 * The same as {@linkcode RemoteEmitter.emitWithAck}.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {Promise<any>} A promise that is fulfilled with the results of the remote listeners.
+	 */
+	emitParallel(type, ...args) {
+		return this.#request(type, args, false);
+	}
+
+	/**
+	 * Emits the event named `type` on the remote emitter with its `emitSerial()` method, or with `emit()`
+	 * if it does not have one, and waits for it to acknowledge it. See {@linkcode RemoteEmitter.emitWithAck}.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param  {...any} args - The arguments to pass to the listeners.
+	 * @returns {Promise<any>} A promise that is fulfilled with the results of the remote listeners, in order.
+	 */
+	emitSerial(type, ...args) {
+		return this.#request(type, args, true);
+	}
+
+	/**
+	 * @throws {Error} Always, since whether a remote listener called `preventDefault()` cannot be known synchronously.
+	 */
+	emitCancelable() {
+		throw notSynchronous("emitCancelable");
+	}
+
+	/**
+	 * @throws {Error} Always, since whether a remote listener called `preventDefault()` cannot be known synchronously.
+	 */
+	dispatchEvent() {
+		throw notSynchronous("dispatchEvent");
+	}
+
+	/**
+	 * @throws {Error} Always, since whether a remote listener called `preventDefault()` cannot be known synchronously.
+	 */
+	bubble() {
+		throw notSynchronous("bubble");
+	}
+
+	/**
+	 * Sends an event to the remote emitter and waits for it to be acknowledged.
+	 *
+	 * @param {string|symbol} type - The event type to emit.
+	 * @param {any[]} args - The arguments to pass to the listeners.
+	 * @param {boolean} serial - Whether the remote emitter calls its listeners one at a time.
+	 * @returns {Promise<any>} A promise that is settled by the acknowledgment.
+	 */
+	#request(type, args, serial) {
+		const id = this.#nextId++;
+		const timeout = this.timeout;
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.#pending.delete(id);
+				reject(timeoutError(type, timeout));
+			}, timeout);
+
+			this.#pending.set(id, { resolve, reject, timer });
+
+			try {
+				if (!send(this.#channel, { op: "emit", id, serial, type, args })) throw closedError();
+			} catch (error) {
+				clearTimeout(timer);
+				this.#pending.delete(id);
+				reject(error);
+			}
+		});
+	}
+
+	/**
+	 * Stops receiving events from the remote emitter, and rejects any pending acknowledgments.
+	 * Listeners are not removed, but are no longer called.
+	 */
+	close() {
+		this.#stopListening();
+		(this.#channel.off ?? this.#channel.removeListener).call(this.#channel, "disconnect", this.#onDisconnect);
+
+		send(this.#channel, { op: "close" });
+		this.#subscribed.clear();
+		this.#rejectPending(closedError());
+	}
+
+	[Symbol.dispose]() {
+		this.close();
+	}
+}
+
+export default RemoteEmitter;
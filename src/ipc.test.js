@@ -0,0 +1,268 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { fork } from "node:child_process";
+import { EventEmitter as NodeEventEmitter, once } from "node:events";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { RemoteEmitter, expose, encode, decode } from "./ipc.js";
+import { emitter, on } from "./decorators.js";
+import MixinEmitter from "./EventEmitter.js";
+
+/**
+ * Creates two connected channels that send messages to each other as JSON, like the IPC channel of `fork()`.
+ *
+ * @returns {[NodeEventEmitter, NodeEventEmitter]} The parent and child ends of the channel.
+ */
+function channelPair() {
+	const parent = new NodeEventEmitter();
+	const child = new NodeEventEmitter();
+
+	parent.send = message => setImmediate(() => child.emit("message", JSON.parse(JSON.stringify(message))));
+	child.send = message => setImmediate(() => parent.emit("message", JSON.parse(JSON.stringify(message))));
+
+	return [parent, child];
+}
+
+/**
+ * @returns {Promise<void>} A promise that is fulfilled once messages sent before it have been delivered.
+ */
+function delivered() {
+	return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+suite("encode", () => {
+	test("should encode registered symbols, errors, dates and undefined so they survive JSON", () => {
+		const value = {
+			type: Symbol.for("app:ready"),
+			at: new Date(0),
+			error: Object.assign(new TypeError("Bad input", { cause: new Error("Root") }), { code: "ERR_INPUT" }),
+			list: [undefined, 1],
+			nested: { missing: undefined }
+		};
+
+		const decoded = decode(JSON.parse(JSON.stringify(encode(value))));
+
+		assert.strictEqual(decoded.type, Symbol.for("app:ready"), "Symbol was not decoded by its registered name");
+		assert.ok(decoded.at instanceof Date && decoded.at.getTime() === 0, "Date was not decoded");
+		assert.ok(decoded.error instanceof TypeError, "Error was not decoded as its class");
+		assert.deepStrictEqual([decoded.error.code, decoded.error.cause.message], ["ERR_INPUT", "Root"], "Error details were lost");
+		assert.deepStrictEqual(decoded.list, [undefined, 1], "Undefined array items were lost");
+		assert.ok(Object.hasOwn(decoded.nested, "missing"), "Undefined properties were lost");
+		assert.throws(() => encode(Symbol("local")), TypeError, "Unregistered symbol was encoded");
+	});
+});
+
+suite("RemoteEmitter", () => {
+	test("should receive the events of the exposed emitter that it listens to", async () => {
+		const [parent, child] = channelPair();
+		const stage = new MixinEmitter();
+		const link = expose(stage, child);
+		const remote = new RemoteEmitter(parent);
+		const received = [];
+
+		try {
+			remote.on("progress", (percent, at) => received.push([percent, at]));
+			await delivered();
+			assert.strictEqual(stage.listenerCount("progress"), 1, "Relay was not added to the exposed emitter");
+
+			stage.emit("progress", 50, new Date(1000));
+			stage.emit("other");
+			await delivered();
+
+			assert.deepStrictEqual(received, [[50, new Date(1000)]], "Event was not received with decoded arguments");
+
+			remote.removeAllListeners("progress");
+			await delivered();
+			assert.strictEqual(stage.listenerCount("progress"), 0, "Relay was not removed once nothing listened");
+		} finally {
+			remote.close();
+			link.unsubscribe();
+		}
+	});
+
+	test("should emit on the exposed emitter and resolve acknowledgments with the results", async () => {
+		const [parent, child] = channelPair();
+		const stage = new MixinEmitter();
+		const type = Symbol.for("stage:run");
+		const link = expose(stage, child);
+		const remote = new RemoteEmitter(parent);
+
+		stage.on(type, async input => input * 2);
+		stage.on("fail", () => { throw new RangeError("Too large"); });
+
+		try {
+			assert.deepStrictEqual(await remote.emitWithAck(type, 21), [42], "Acknowledgment did not include the results");
+			await assert.rejects(remote.emitWithAck("fail"), RangeError, "Remote error was not rethrown");
+
+			const errors = [];
+			remote.on("error", error => errors.push(error));
+			remote.emit("fail");
+			await delivered();
+			assert.ok(errors[0] instanceof RangeError, "Error thrown without an acknowledgment was not emitted as 'error'");
+		} finally {
+			remote.close();
+			link.unsubscribe();
+		}
+	});
+
+	test("should emit on the exposed emitter with every emit method", async () => {
+		const [parent, child] = channelPair();
+		const stage = new MixinEmitter();
+		const link = expose(stage, child);
+		const remote = new RemoteEmitter(parent);
+		const calls = [];
+
+		stage.on("step", async value => {
+			calls.push(value);
+			await delivered();
+			return value;
+		});
+		stage.on("step", value => calls.push(-value) && "done");
+
+		try {
+			assert.deepStrictEqual(await remote.emitSerial("step", 1), [1, "done"], "emitSerial() was not acknowledged with the results");
+			assert.deepStrictEqual(calls, [1, -1], "emitSerial() did not call the remote listeners one at a time");
+			assert.deepStrictEqual(await remote.emitParallel("step", 2), [2, "done"], "emitParallel() was not acknowledged");
+			assert.deepStrictEqual(await remote.emitAsync("step", 3), [3, "done"], "emitAsync() was not acknowledged");
+
+			calls.length = 0;
+			remote.batch(() => {
+				remote.emit("step", 4);
+				assert.deepStrictEqual(calls, [], "Event was sent during the batch");
+			});
+			await remote.emitLater("step", 5);
+			await delivered();
+			assert.deepStrictEqual(calls, [4, -4, 5, -5], "Batched and deferred events were not sent");
+
+			assert.throws(() => remote.emitCancelable("step"), /cannot be used on a RemoteEmitter/, "emitCancelable() was called locally");
+			assert.throws(() => remote.dispatchEvent(new Event("step")), /cannot be used on a RemoteEmitter/, "dispatchEvent() was called locally");
+		} finally {
+			remote.close();
+			link.unsubscribe();
+		}
+	});
+
+	test("should reject acknowledgments straight away when the channel is disconnected", async () => {
+		const [parent] = channelPair();
+		const remote = new RemoteEmitter(parent);
+
+		parent.connected = false;
+
+		await assert.rejects(remote.emitWithAck("start"), { code: "ERR_IPC_CHANNEL_CLOSED" }, "Acknowledgment was not rejected straight away");
+		assert.strictEqual(remote.emit("start"), false, "emit() reported a disconnected channel as sent");
+		remote.close();
+	});
+
+	test("should reject acknowledgments that time out or are pending when closed", async (t) => {
+		const [parent] = channelPair();
+		const remote = new RemoteEmitter(parent, { timeout: 50 });
+
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+
+		const timedOut = remote.emitWithAck("start");
+		t.mock.timers.tick(50);
+		await assert.rejects(timedOut, { name: "TimeoutError", code: "ETIMEDOUT" }, "Acknowledgment did not time out");
+
+		const pending = remote.emitWithAck("start");
+		remote.close();
+		await assert.rejects(pending, { code: "ERR_IPC_CHANNEL_CLOSED" }, "Acknowledgment was not rejected when closed");
+
+		assert.throws(() => new RemoteEmitter({}), TypeError, "Object without an IPC channel was accepted");
+		assert.throws(() => { remote.timeout = 0; }, RangeError, "Invalid timeout was accepted");
+	});
+
+	test("should resend its subscriptions when the emitter is exposed later", async () => {
+		const [parent, child] = channelPair();
+		const remote = new RemoteEmitter(parent);
+		const received = [];
+
+		remote.on("ready", value => received.push(value));
+		await delivered();
+
+		const stage = new MixinEmitter();
+		const link = expose(stage, child);
+
+		try {
+			await delivered();
+			stage.emit("ready", true);
+			await delivered();
+
+			assert.deepStrictEqual(received, [true], "Subscription was not sent again");
+		} finally {
+			remote.close();
+			link.unsubscribe();
+		}
+	});
+
+	test("should be a target for @on with nested properties", async () => {
+		const [parent, child] = channelPair();
+		const stage = new MixinEmitter();
+		const link = expose(stage, child);
+		const received = [];
+
+		@emitter
+		class Supervisor {
+			child = new RemoteEmitter(parent);
+
+			@on("child.progress")
+			onProgress(percent) {
+				received.push(percent);
+			}
+		}
+
+		const supervisor = new Supervisor();
+
+		try {
+			await delivered();
+			stage.emit("progress", 75);
+			await delivered();
+
+			assert.deepStrictEqual(received, [75], "Listener added by @on did not receive the remote event");
+		} finally {
+			supervisor.child.close();
+			link.unsubscribe();
+		}
+	});
+
+	test("should connect to an emitter in a forked child process and handle it disconnecting", { timeout: 10000 }, async () => {
+		const directory = await mkdtemp(join(tmpdir(), "ipc-test-"));
+		const script = join(directory, "child.mjs");
+
+		await writeFile(script, `
+			import EventEmitter from ${JSON.stringify(import.meta.resolve("./EventEmitter.js"))};
+			import { expose } from ${JSON.stringify(import.meta.resolve("./ipc.js"))};
+
+			const stage = new EventEmitter();
+			stage.on("start", input => {
+				stage.emit("progress", input.length);
+				return input.toUpperCase();
+			});
+			stage.on("stop", () => process.disconnect());
+			expose(stage, process);
+		`);
+
+		const subprocess = fork(script, { stdio: ["ignore", "inherit", "inherit", "ipc"] });
+		const exited = once(subprocess, "exit");
+		const remote = new RemoteEmitter(subprocess, { timeout: 5000 });
+		const progress = [];
+
+		try {
+			remote.on("progress", length => progress.push(length));
+			await once(subprocess, "message"); // The child process is ready once it has exposed the emitter
+
+			assert.deepStrictEqual(await remote.emitWithAck("start", "ready"), ["READY"], "Child process did not acknowledge the event");
+			assert.deepStrictEqual(progress, [5], "Event emitted in the child process was not received");
+
+			await assert.rejects(remote.emitWithAck("stop"), { code: "ERR_IPC_CHANNEL_CLOSED" }, "Pending acknowledgment was not rejected on disconnect");
+			assert.strictEqual(subprocess.connected, false, "Child process is still connected");
+			assert.strictEqual(remote.emit("start", "again"), false, "emit() reported a disconnected channel as sent");
+			await assert.rejects(remote.emitWithAck("start", "again"), { code: "ERR_IPC_CHANNEL_CLOSED" }, "Acknowledgment was not rejected after disconnect");
+		} finally {
+			remote.close();
+			if (subprocess.connected) subprocess.disconnect();
+			await exited;
+			await rm(directory, { recursive: true, force: true });
+		}
+	});
+});
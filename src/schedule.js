@@ -0,0 +1,220 @@
+/**
+ * The deferred emits that have not happened yet, for each emitter, in the order they were scheduled.
+ *
+ * @type {WeakMap<object, Set<DeferredEmit>>}
+ */
+const _pending = new WeakMap();
+
+/**
+ * @typedef {Object} DeferredEmit
+ * @property {object} emitter - The object to emit the event on.
+ * @property {string|symbol} type - The event type to emit.
+ * @property {any[]} args - The arguments to emit the event with.
+ * @property {() => void} run - Emits the event, unless it has already been emitted or cancelled.
+ * @property {() => void} cancel - Cancels the scheduled call to `run`.
+ * @property {(emitted: boolean) => void} resolve - Fulfils the promise returned by {@linkcode emitLater}.
+ * @property {(error: any) => void} reject - Rejects the promise returned by {@linkcode emitLater}.
+ */
+
+/**
+ * @typedef {"microtask"|"macrotask"|"timeout"|"animationFrame"|number|((run: () => void) => (() => void)|void)} Scheduler
+ * When deferred events are emitted:
+ * - `"microtask"`: With `queueMicrotask()`, once the current call stack has unwound.
+ * - `"macrotask"`: With `setImmediate()`, or `setTimeout()` where it is not available, once pending I/O has been handled.
+ * - `"timeout"`: With `setTimeout()` with no delay.
+ * - `"animationFrame"`: With `requestAnimationFrame()`, or a 16ms `setTimeout()` where it is not available.
+ * - A number: With `setTimeout()` with that many milliseconds of delay.
+ * - A function: Called with a function that emits the event, and can return a function that cancels the call.
+ */
+
+/**
+ * @param {(run: () => void) => any} schedule - Schedules the call.
+ * @param {(id: any) => void} clear - Cancels the call.
+ * @returns {(run: () => void) => () => void} A scheduler that returns a function to cancel the call.
+ */
+function cancelable(schedule, clear) {
+	return run => {
+		const id = schedule(run);
+		return () => clear(id);
+	};
+}
+
+/**
+ * The built-in schedulers, by name.
+ */
+const SCHEDULERS = {
+	microtask: run => {
+		let cancelled = false;
+		queueMicrotask(() => cancelled || run());
+		return () => { cancelled = true; };
+	},
+	macrotask: typeof setImmediate === "function"
+		? cancelable(setImmediate, clearImmediate)
+		: cancelable(run => setTimeout(run, 0), clearTimeout),
+	timeout: cancelable(run => setTimeout(run, 0), clearTimeout),
+	animationFrame: typeof requestAnimationFrame === "function"
+		? cancelable(run => requestAnimationFrame(() => run()), cancelAnimationFrame)
+		: cancelable(run => setTimeout(run, 16), clearTimeout)
+};
+
+/**
+ * @param {Scheduler} scheduler - The scheduler to check.
+ * @returns {Scheduler} The scheduler.
+ */
+export function checkScheduler(scheduler) {
+	const valid = typeof scheduler === "function"
+		|| Object.hasOwn(SCHEDULERS, scheduler)
+		|| (typeof scheduler === "number" && scheduler >= 0 && Number.isFinite(scheduler));
+
+	if (!valid) {
+		throw new TypeError(`The "scheduler" must be one of ${Object.keys(SCHEDULERS).map(name => `"${name}"`).join(", ")}, a non-negative number of milliseconds or a function. Received ${String(scheduler)}`);
+	}
+
+	return scheduler;
+}
+
+/**
+ * @param {Scheduler} scheduler - The scheduler.
+ * @returns {(run: () => void) => (() => void)|void} The function that schedules a call.
+ */
+function resolveScheduler(scheduler) {
+	checkScheduler(scheduler);
+
+	if (typeof scheduler === "function") return scheduler;
+	if (typeof scheduler === "number") return cancelable(run => setTimeout(run, scheduler), clearTimeout);
+
+	return SCHEDULERS[scheduler];
+}
+
+/**
+ * Emits a deferred event, settling the promise returned by {@linkcode emitLater} with the result.
+ *
+ * @param {DeferredEmit} entry - The deferred emit.
+ */
+function deliver({ emitter, type, args, resolve, reject }) {
+	try {
+		resolve(emitter.emit(type, ...args));
+	} catch (error) {
+		reject(error);
+	}
+}
+
+/**
+ * @param {object} emitter - The emitter to take the deferred emits of.
+ * @param {string|symbol} [type] - Only take the deferred emits of this event type.
+ * @returns {DeferredEmit[]} The deferred emits, which are no longer pending.
+ */
+function takePending(emitter, type) {
+	const pending = _pending.get(emitter);
+	if (!pending) return [];
+
+	const taken = [...pending].filter(entry => type === undefined || entry.type === type);
+	for (const entry of taken) pending.delete(entry);
+
+	if (pending.size === 0) _pending.delete(emitter);
+
+	return taken;
+}
+
+/**
+ * Emits an event on `emitter` later, according to the `scheduler`, instead of straight away.
+ * This lets an object emit an event from its constructor that is received by listeners added after it returns,
+ * such as the listeners `@on` adds to classes decorated with `@emitter`.
+ *
+ * The event is emitted with the emitter's own `emit()` method, so it runs through any middleware, validation and batching
+ * at the time it is emitted. Pending events can be emitted straight away with {@linkcode flushDeferred},
+ * or dropped with {@linkcode cancelDeferred}.
+ *
+ * @example
+ * ```js
+ * class Service extends EventEmitter {
+ *     constructor() {
+ *         super();
+ *         emitLater(this, "ready", [this.config]);
+ *     }
+ * }
+ * ```
+ *
+ * @param {object} emitter - The object to emit the event on.
+ * @param {string|symbol} type - The event type to emit.
+ * @param {any[]} [args] - The arguments to emit the event with.
+ * @param {Scheduler} [scheduler] - When to emit the event. Defaults to the `scheduler` property of the emitter or its class,
+ * or `"microtask"`.
+ * @returns {Promise<boolean>} A promise that is fulfilled with the result of `emit()` once the event has been emitted,
+ * or with `false` if it is cancelled, and rejects if `emit()` throws.
+ */
+export function emitLater(emitter, type, args = [], scheduler = emitter?.scheduler ?? emitter?.constructor?.scheduler ?? "microtask") {
+	if (typeof emitter?.emit !== "function") {
+		throw new TypeError(`Object '${emitter?.constructor?.name || "object"}' does not have an 'emit()' method.`);
+	}
+
+	const schedule = resolveScheduler(scheduler);
+
+	if (!_pending.has(emitter)) _pending.set(emitter, new Set());
+
+	/** @type {DeferredEmit} */
+	const entry = { emitter, type, args, cancel: () => {} };
+	const promise = new Promise((resolve, reject) => Object.assign(entry, { resolve, reject }));
+
+	entry.run = () => {
+		const pending = _pending.get(emitter);
+		if (!pending?.delete(entry)) return; // Already flushed or cancelled
+		if (pending.size === 0) _pending.delete(emitter);
+
+		deliver(entry);
+	};
+
+	_pending.get(emitter).add(entry);
+
+	const cancel = schedule(entry.run);
+	if (typeof cancel === "function") entry.cancel = cancel;
+
+	return promise;
+}
+
+/**
+ * Emits the pending deferred events of `emitter` straight away, in the order they were scheduled.
+ *
+ * @param {object} emitter - The emitter to flush the deferred events of.
+ * @param {string|symbol} [type] - Only flush the deferred events of this event type.
+ * @returns {number} The number of events that were emitted.
+ */
+export function flushDeferred(emitter, type) {
+	const entries = takePending(emitter, type);
+
+	for (const entry of entries) {
+		entry.cancel();
+		deliver(entry);
+	}
+
+	return entries.length;
+}
+
+/**
+ * Cancels the pending deferred events of `emitter`. The promises returned by {@linkcode emitLater} for them are fulfilled with `false`.
+ *
+ * @param {object} emitter - The emitter to cancel the deferred events of.
+ * @param {string|symbol} [type] - Only cancel the deferred events of this event type.
+ * @returns {number} The number of events that were cancelled.
+ */
+export function cancelDeferred(emitter, type) {
+	const entries = takePending(emitter, type);
+
+	for (const entry of entries) {
+		entry.cancel();
+		entry.resolve(false);
+	}
+
+	return entries.length;
+}
+
+/**
+ * @param {object} emitter - The emitter to check.
+ * @param {string|symbol} [type] - Only count the deferred events of this event type.
+ * @returns {number} The number of deferred events that have not been emitted or cancelled.
+ */
+export function pendingDeferred(emitter, type) {
+	return [..._pending.get(emitter) ?? []].filter(entry => type === undefined || entry.type === type).length;
+}
+
+export default emitLater;
@@ -0,0 +1,71 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { emitLater, flushDeferred, cancelDeferred, pendingDeferred, checkScheduler } from "./schedule.js";
+import MixinEmitter from "./EventEmitter.js";
+
+suite("emitLater", () => {
+	test("should emit after the current call stack with the default scheduler", async () => {
+		const emitter = new MixinEmitter();
+		const received = [];
+		emitter.on("event", value => received.push(value));
+
+		const emitted = emitLater(emitter, "event", [1]);
+		assert.deepStrictEqual(received, [], "Event was emitted straight away");
+		assert.strictEqual(pendingDeferred(emitter), 1, "Event is not pending");
+
+		assert.strictEqual(await emitted, true, "Promise was not fulfilled with the result of emit()");
+		assert.deepStrictEqual(received, [1], "Event was not emitted");
+		assert.strictEqual(pendingDeferred(emitter), 0, "Event is still pending");
+	});
+
+	test("should support named, numeric and custom schedulers", async (t) => {
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+		const emitter = new MixinEmitter();
+		const received = [];
+		const scheduled = [];
+		emitter.on("event", value => received.push(value));
+
+		emitLater(emitter, "event", [1], "timeout");
+		emitLater(emitter, "event", [2], 50);
+		emitLater(emitter, "event", [3], run => void scheduled.push(run));
+
+		t.mock.timers.tick(0);
+		assert.deepStrictEqual(received, [1], "Timeout scheduler did not emit");
+		t.mock.timers.tick(50);
+		assert.deepStrictEqual(received, [1, 2], "Numeric scheduler did not emit after the delay");
+
+		scheduled[0]();
+		scheduled[0]();
+		assert.deepStrictEqual(received, [1, 2, 3], "Custom scheduler did not emit once");
+
+		assert.throws(() => emitLater(emitter, "event", [], "later"), TypeError, "Unknown scheduler was accepted");
+		assert.throws(() => checkScheduler(-1), TypeError, "Negative delay was accepted");
+		assert.throws(() => emitLater({}, "event"), TypeError, "Object without emit() was accepted");
+	});
+
+	test("should flush and cancel pending events", async () => {
+		const emitter = new MixinEmitter();
+		const received = [];
+		emitter.on("a", value => received.push(["a", value]));
+		emitter.on("b", value => received.push(["b", value]));
+
+		const first = emitLater(emitter, "a", [1], "macrotask");
+		const second = emitLater(emitter, "b", [2], "macrotask");
+		const third = emitLater(emitter, "a", [3], "macrotask");
+
+		assert.strictEqual(flushDeferred(emitter, "a"), 2, "Events of the type were not flushed");
+		assert.deepStrictEqual(received, [["a", 1], ["a", 3]], "Flushed events were not emitted in order");
+		assert.strictEqual(cancelDeferred(emitter), 1, "Remaining event was not cancelled");
+
+		assert.deepStrictEqual(await Promise.all([first, second, third]), [true, false, true], "Promises were not settled");
+		await new Promise(resolve => setImmediate(resolve));
+		assert.strictEqual(received.length, 2, "Flushed or cancelled events were emitted again");
+	});
+
+	test("should reject when emit() throws", async () => {
+		const emitter = new MixinEmitter();
+		emitter.on("event", () => { throw new Error("listener failed"); });
+
+		await assert.rejects(emitLater(emitter, "event"), /listener failed/, "Error was not passed on");
+	});
+});
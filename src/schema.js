@@ -0,0 +1,213 @@
+import { META_EVENTS } from "./shared.js";
+
+/**
+ * The key that event declarations made with {@linkcode event} are stored under in `Symbol.metadata`.
+ */
+export const eventsSymbol = Symbol("events");
+
+/**
+ * Marks an `emit()` method that validates its own payloads, so that decorators which call it do not validate them twice.
+ */
+export const validatesEvents = Symbol("validatesEvents");
+
+/**
+ * The schemas collected for each class by {@linkcode getEventSchema}.
+ */
+const _schemas = new WeakMap();
+
+/**
+ * Events created to carry the arguments of a cancelable or bubbling event, whose arguments were validated
+ * before the event was created. See {@linkcode markValidated}.
+ */
+const _validatedEvents = new WeakSet();
+
+/**
+ * @typedef {((value: any) => boolean)|"any"|"array"|"null"|"string"|"number"|"bigint"|"boolean"|"symbol"|"object"|"function"|"undefined"} ArgumentValidator
+ * A function that returns `false` or throws if the argument is invalid, or the name of the type the argument must have.
+ */
+
+/**
+ * @typedef {ArgumentValidator[]|((...args: any[]) => boolean)|null|true} EventValidator
+ * An array with a validator for each argument, a function that validates all of the arguments at once,
+ * or `null` or `true` to declare the event without validating its arguments.
+ */
+
+/**
+ * @param {any} value - The value to check.
+ * @param {string} type - The name of the type the value must have.
+ * @returns {boolean} `true` if the value has the type.
+ */
+function checkType(value, type) {
+	switch (type) {
+		case "any": return true;
+		case "array": return Array.isArray(value);
+		case "null": return value === null;
+		case "object": return typeof value === "object" && value !== null;
+		default: return typeof value === type;
+	}
+}
+
+/**
+ * @param {ArgumentValidator|EventValidator} validator - The validator to check.
+ * @param {string|symbol} type - The event type the validator is for.
+ * @returns {boolean} `true` if the validator is valid.
+ */
+function checkValidator(validator, type) {
+	const valid = validator === null
+		|| validator === true
+		|| typeof validator === "function"
+		|| (Array.isArray(validator) && validator.every(arg => typeof arg === "function" || typeof arg === "string"));
+
+	if (!valid) throw new TypeError(`Invalid validator for event '${String(type)}'.`);
+
+	return true;
+}
+
+/**
+ * A decorator that declares an event the class emits, along with validators for its arguments.
+ * Declarations are stored in `Symbol.metadata` and are combined with the class's static `events` map,
+ * which takes precedence. Declarations are inherited by subclasses.
+ *
+ * @example
+ * ```js
+ * @event("login", "string", user => typeof user.id === "number")
+ * @event("logout")
+ * class Session extends EventEmitter {}
+ * ```
+ *
+ * @param {string|symbol} type - The event type to declare.
+ * @param  {...ArgumentValidator} validators - A validator for each argument.
+ * @returns {(target: any, context: object) => void} A decorator that can be applied to a class or any of its members.
+ */
+export function event(type, ...validators) {
+	if (typeof type !== "string" && typeof type !== "symbol") {
+		throw new TypeError(`The "type" argument must be of type string or symbol. Received type ${typeof type}`);
+	}
+
+	checkValidator(validators, type);
+
+	return function decorator(target, { metadata }) {
+		// Copy the declarations inherited from the parent class instead of adding to them.
+		if (!Object.hasOwn(metadata, eventsSymbol)) metadata[eventsSymbol] = new Map(metadata[eventsSymbol]);
+
+		metadata[eventsSymbol].set(type, validators);
+	};
+}
+
+/**
+ * Returns the events declared by a class, either with {@linkcode event} or with a static `events`
+ * map of event types to validators. The result is cached for each class, so changes to `events`
+ * after the first event is validated are not seen.
+ *
+ * @param {object} target - An instance of the class, or the class itself.
+ * @returns {Map<string|symbol, EventValidator>|null} The declared events, or `null` if the class does not declare any.
+ */
+export function getEventSchema(target) {
+	const Class = typeof target === "function" ? target : target?.constructor;
+	if (!Class) return null;
+
+	if (_schemas.has(Class)) return _schemas.get(Class);
+
+	const schema = new Map(Class[Symbol.metadata]?.[eventsSymbol]);
+	const events = Class.events;
+
+	if (events instanceof Map) {
+		for (const [type, validator] of events) schema.set(type, validator);
+	}
+	else if (events && typeof events === "object") {
+		for (const type of Reflect.ownKeys(events)) schema.set(type, events[type]);
+	}
+
+	for (const [type, validator] of schema) checkValidator(validator, type);
+
+	const result = schema.size ? schema : null;
+	_schemas.set(Class, result);
+
+	return result;
+}
+
+/**
+ * @param {EventValidator} validator - The validator for the event.
+ * @param {any[]} args - The arguments the event is emitted with.
+ * @param {object} target - The object emitting the event.
+ * @returns {{ message: string, cause?: any }|null} Why the arguments are invalid, or `null` if they are valid.
+ */
+function check(validator, args, target) {
+	if (validator === null || validator === true) return null;
+
+	try {
+		if (typeof validator === "function") {
+			return validator.apply(target, args) === false ? { message: "arguments failed validation" } : null;
+		}
+
+		for (let i = 0; i < validator.length; i++) {
+			const valid = typeof validator[i] === "string" ? checkType(args[i], validator[i]) : validator[i].call(target, args[i]);
+			if (valid === false) return { message: `argument ${i} failed validation` };
+		}
+	} catch (error) {
+		return { message: error?.message || "arguments failed validation", cause: error };
+	}
+
+	return null;
+}
+
+/**
+ * Marks an event created to carry the arguments of a cancelable or bubbling event, such as by `emitCancelable()`,
+ * once those arguments have been validated, so that emitting the event does not validate it in their place.
+ *
+ * @param {Event} event - The event carrying the arguments.
+ * @returns {Event} The event.
+ */
+export function markValidated(event) {
+	_validatedEvents.add(event);
+	return event;
+}
+
+/**
+ * Validates the arguments an event is emitted with against the events declared by the emitter's class.
+ * Classes that do not declare any events are never validated.
+ *
+ * In `"throw"` mode an invalid event throws an `EventValidationError`, in `"warn"` mode an
+ * `EventValidationWarning` is logged and the event is emitted anyway, and in `"off"` mode nothing is checked.
+ * In strict mode, emitting an event that has not been declared is invalid, apart from `'error'`,
+ * `'newListener'`, `'removeListener'` and `errorMonitor`. Events marked with {@linkcode markValidated} are not validated again.
+ *
+ * @param {object} target - The object emitting the event.
+ * @param {string|symbol} type - The event type being emitted.
+ * @param {any[]} args - The arguments the event is emitted with.
+ * @param {object} [options]
+ * @param {"throw"|"warn"|"off"} [options.mode] - Defaults to the `validation` property of the target or its class, or `"throw"`.
+ * @param {boolean} [options.strict] - Defaults to the `strictEvents` property of the target or its class, or `false`.
+ * @returns {boolean} `true` if the event is valid.
+ */
+export function validateEvent(target, type, args, {
+	mode = target?.validation ?? target?.constructor?.validation ?? "throw",
+	strict = target?.strictEvents ?? target?.constructor?.strictEvents ?? false
+} = {}) {
+	if (mode === "off" || (args.length === 1 && _validatedEvents.has(args[0]))) return true;
+
+	const schema = getEventSchema(target);
+	if (!schema) return true;
+
+	let invalid = null;
+
+	if (schema.has(type)) invalid = check(schema.get(type), args, target);
+	else if (strict && type !== "error" && !META_EVENTS.has(type) && type !== target?.constructor?.errorMonitor) invalid = { message: "event is not declared" };
+
+	if (!invalid) return true;
+
+	const error = new Error(`Invalid '${String(type)}' event: ${invalid.message}.`, { cause: invalid.cause });
+
+	error.type = type;
+	error.args = args;
+	error.emitter = target;
+
+	if (mode === "warn") {
+		error.name = "EventValidationWarning";
+		console.warn(error);
+		return false;
+	}
+
+	error.name = "EventValidationError";
+	throw error;
+}
@@ -0,0 +1,150 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { event, getEventSchema, validateEvent } from "./schema.js";
+import MixinEmitter from "./EventEmitter.js";
+import { EventEmitter, emit, emits } from "./decorators.js";
+
+suite("Event schemas", () => {
+	test("should combine static events with @event declarations", () => {
+		@event("login", "string")
+		class Parent {}
+
+		@event("logout")
+		class Child extends Parent {
+			static events = { login: ["number"] };
+		}
+
+		assert.deepStrictEqual([...getEventSchema(Parent).keys()], ["login"], "Parent schema is incorrect");
+		assert.deepStrictEqual([...getEventSchema(new Child()).entries()], [["login", ["number"]], ["logout", []]], "Child schema is incorrect");
+		assert.strictEqual(getEventSchema(class {}), null, "Class without declarations should not have a schema");
+		assert.throws(() => event("invalid", 42), TypeError, "Invalid validator was accepted");
+	});
+
+	test("should validate arguments by type name, function and whole-payload validator", () => {
+		class Target {
+			static events = {
+				login: ["string", user => typeof user?.id === "number"],
+				move: (x, y) => x < y,
+				any: null
+			};
+		}
+		const target = new Target();
+
+		assert.strictEqual(validateEvent(target, "login", ["name", { id: 1 }]), true, "Valid payload was rejected");
+		assert.strictEqual(validateEvent(target, "move", [1, 2]), true, "Valid payload was rejected");
+		assert.strictEqual(validateEvent(target, "any", [1, 2, 3]), true, "Unvalidated event was rejected");
+		assert.strictEqual(validateEvent(target, "unknown", []), true, "Undeclared event was rejected outside strict mode");
+
+		assert.throws(() => validateEvent(target, "login", [1, { id: 1 }]), { name: "EventValidationError", type: "login" }, "Invalid argument was accepted");
+		assert.throws(() => validateEvent(target, "login", ["name", {}]), /argument 1 failed validation/, "Invalid argument was accepted");
+		assert.throws(() => validateEvent(target, "move", [2, 1]), { name: "EventValidationError" }, "Invalid payload was accepted");
+		assert.throws(() => validateEvent(target, "unknown", [], { strict: true }), /event is not declared/, "Undeclared event was accepted in strict mode");
+		assert.strictEqual(validateEvent(target, "error", [new Error()], { strict: true }), true, "'error' was rejected in strict mode");
+		assert.strictEqual(validateEvent(target, "login", [], { mode: "off" }), true, "Payload was validated with validation off");
+	});
+
+	test("should warn instead of throwing in warn mode", (t) => {
+		const warn = t.mock.method(console, "warn", () => {});
+		class Target {
+			static events = { ready: ["boolean"] };
+		}
+
+		assert.strictEqual(validateEvent(new Target(), "ready", ["yes"], { mode: "warn" }), false, "Invalid payload was reported as valid");
+		assert.strictEqual(warn.mock.callCount(), 1, "Warning was not logged");
+		assert.strictEqual(warn.mock.calls[0].arguments[0].name, "EventValidationWarning", "Warning has the wrong name");
+	});
+
+	test("should validate emit() on EventEmitterMixin instances", async () => {
+		class Session extends MixinEmitter {
+			static events = { login: ["string"] };
+		}
+		const session = new Session({ strictEvents: true });
+		let calls = 0;
+		session.on("login", () => calls++);
+
+		session.emit("login", "name");
+		assert.throws(() => session.emit("login", 42), { name: "EventValidationError" }, "Invalid payload was emitted");
+		assert.throws(() => session.emit("logout"), { name: "EventValidationError" }, "Undeclared event was emitted in strict mode");
+		await assert.rejects(session.emitAsync("login", 42), { name: "EventValidationError" }, "Invalid payload was emitted asynchronously");
+		assert.strictEqual(calls, 1, "Listener was called with an invalid payload");
+
+		session.validation = "off";
+		session.emit("login", 42);
+		assert.strictEqual(calls, 2, "Payload was validated with validation off");
+	});
+
+	test("should validate events sent by @emit and @emits", () => {
+		@event("saved", "number")
+		class Store extends EventEmitter {
+			@emit("saved", emit.result)
+			save(value) {
+				return value;
+			}
+
+			@emits("count", emits.set)
+			accessor count = 0;
+		}
+		Store.events = { count: ["number"] };
+
+		const store = new Store();
+		store.save(1);
+		assert.throws(() => store.save("1"), { name: "EventValidationError" }, "@emit sent an invalid payload");
+		assert.throws(() => store.emit("saved", "1"), { name: "EventValidationError" }, "emit() sent an invalid payload");
+		store.count = 1;
+		assert.throws(() => { store.count = "1"; }, { name: "EventValidationError" }, "@emits sent an invalid payload");
+
+		class Plain {
+			static events = { saved: ["number"] };
+			emitted = [];
+
+			emit(...args) {
+				this.emitted.push(args);
+			}
+
+			@emit("saved", emit.result)
+			save(value) {
+				return value;
+			}
+		}
+
+		const plain = new Plain();
+		plain.save(1);
+		assert.throws(() => plain.save("1"), { name: "EventValidationError" }, "@emit sent an invalid payload");
+		assert.deepStrictEqual(plain.emitted, [["saved", 1]], "Invalid payload was emitted");
+	});
+
+	test("should validate the arguments of cancelable events instead of the event", () => {
+		class Session extends MixinEmitter {
+			static events = { save: ["string"] };
+		}
+		const session = new Session();
+		const received = [];
+		session.on("save", event => received.push(event.detail));
+
+		assert.strictEqual(session.emitCancelable("save", "name"), true, "Valid cancelable event was rejected");
+		assert.strictEqual(session.bubble("save", "name"), true, "Valid bubbling event was rejected");
+		assert.throws(() => session.emitCancelable("save", 1), { name: "EventValidationError" }, "Invalid cancelable event was emitted");
+		assert.deepStrictEqual(received, ["name", "name"], "Cancelable events were not emitted");
+
+		@event("save", "string")
+		class Store extends EventEmitter {
+			@emit("save", emit.guard)
+			save(name) {
+				return name;
+			}
+		}
+
+		@event("save", "string")
+		class MixinStore extends MixinEmitter {
+			@emit("save", emit.guard)
+			save(name) {
+				return name;
+			}
+		}
+
+		for (const store of [new Store(), new MixinStore()]) {
+			assert.strictEqual(store.save("name"), "name", `Valid guard event was rejected by ${store.constructor.name}`);
+			assert.throws(() => store.save(1), { name: "EventValidationError" }, `Invalid guard event was emitted by ${store.constructor.name}`);
+		}
+	});
+});
@@ -0,0 +1,25 @@
+/**
+ * Event types that report on the emitter itself, such as listeners being added to it, rather than on its state.
+ * They are never forwarded, bridged, sent to other processes or queued by a batch.
+ */
+export const META_EVENTS = new Set(["newListener", "removeListener"]);
+
+/**
+ * Checks that an object is an emitter that listeners can be added to, with `on()`, `addListener()` or `addEventListener()`.
+ *
+ * @param {object} emitter - The object to check.
+ * @param {object} [options]
+ * @param {string} [options.name] - The name to use for the object in the error message.
+ * @param {boolean} [options.emits=false] - Whether the object must also have an `emit()` method, and add listeners with `on()` or `addListener()`.
+ * @returns {boolean} `true` if the object is an emitter.
+ * @throws {TypeError} If the object is not an emitter.
+ */
+export function checkEmitter(emitter, { name = emitter?.constructor?.name || "object", emits = false } = {}) {
+	const valid = emits
+		? typeof emitter?.emit === "function" && typeof (emitter.on ?? emitter.addListener) === "function"
+		: Boolean(emitter && (emitter.on || emitter.addListener || emitter.addEventListener));
+
+	if (!valid) throw new TypeError(`Object '${name}' is not an EventEmitter.`);
+
+	return true;
+}
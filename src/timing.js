@@ -0,0 +1,131 @@
+/**
+ * @typedef {Object} TimingOptions
+ * @property {number} [debounce] - Waits until events stop arriving for this many milliseconds before calling the listener.
+ * @property {number} [throttle] - Calls the listener at most once every this many milliseconds.
+ * @property {number} [delay] - Calls the listener this many milliseconds after each event.
+ * @property {boolean} [leading] - Whether a debounced or throttled listener is called at the start of a burst of events.
+ * Defaults to `false` for `debounce` and `true` for `throttle`.
+ * @property {boolean} [trailing=true] - Whether a debounced or throttled listener is called with the last event of a burst.
+ */
+
+/**
+ * @param {TimingOptions} [options] - The options to check.
+ * @returns {boolean} `true` if the options include `debounce`, `throttle` or `delay`.
+ */
+export function hasTiming(options) {
+	return options?.debounce !== undefined || options?.throttle !== undefined || options?.delay !== undefined;
+}
+
+/**
+ * @param {string} name - The name of the option.
+ * @param {any} ms - The value of the option.
+ * @returns {number} The number of milliseconds.
+ */
+function checkMilliseconds(name, ms) {
+	if (typeof ms !== "number" || !(ms >= 0) || !Number.isFinite(ms)) {
+		throw new RangeError(`The "${name}" option must be a non-negative number of milliseconds. Received ${String(ms)}`);
+	}
+
+	return ms;
+}
+
+/**
+ * Wraps a listener so that it is debounced, throttled or delayed. The wrapper has a `listener` property
+ * referring to the original listener, the same as the wrappers created by Node.js for `once()`,
+ * so that `listeners()` returns the original listener.
+ *
+ * @example
+ * ```js
+ * const { wrapper, cancel } = timed(update, { debounce: 100 });
+ * emitter.on("set:value", wrapper);
+ * ```
+ *
+ * @param {Function} listener - The listener to wrap.
+ * @param {TimingOptions} options - How to time calls to the listener.
+ * @param {(context: any, args: any[]) => any} [call] - Calls the listener, defaults to calling it with the wrapper's `this` and arguments.
+ * @returns {{ wrapper: Function, cancel: () => void }} The wrapper and a function that cancels any calls that have not happened yet.
+ */
+export function timed(listener, options, call = (context, args) => listener.apply(context, args)) {
+	const { debounce, throttle, delay } = options;
+
+	if ([debounce, throttle, delay].filter(ms => ms !== undefined).length !== 1) {
+		throw new TypeError("Exactly one of the \"debounce\", \"throttle\" or \"delay\" options must be provided.");
+	}
+
+	const { trailing = true } = options;
+	const timers = new Set();
+	let pending;
+	let timer;
+
+	const cancel = () => {
+		clearTimeout(timer);
+		timers.forEach(clearTimeout);
+		timers.clear();
+		timer = undefined;
+		pending = undefined;
+	};
+
+	let wrapper;
+
+	if (delay !== undefined) {
+		const ms = checkMilliseconds("delay", delay);
+
+		wrapper = function (...args) {
+			const id = setTimeout(() => {
+				timers.delete(id);
+				call(this, args);
+			}, ms);
+
+			timers.add(id);
+		};
+	}
+	else if (debounce !== undefined) {
+		const ms = checkMilliseconds("debounce", debounce);
+		const { leading = false } = options;
+
+		wrapper = function (...args) {
+			const first = timer === undefined;
+
+			clearTimeout(timer);
+
+			// Start the timer before calling the listener, so that cancelling from inside the listener also clears it.
+			timer = setTimeout(() => {
+				const last = pending;
+
+				timer = undefined;
+				pending = undefined;
+
+				if (trailing && last) call(...last);
+			}, ms);
+
+			if (first && leading) call(this, args);
+			else pending = [this, args];
+		};
+	}
+	else {
+		const ms = checkMilliseconds("throttle", throttle);
+		const { leading = true } = options;
+
+		const flush = () => {
+			const last = pending;
+
+			pending = undefined;
+			timer = trailing && last ? setTimeout(flush, ms) : undefined;
+
+			if (trailing && last) call(...last);
+		};
+
+		wrapper = function (...args) {
+			if (timer !== undefined) return void (pending = [this, args]);
+
+			timer = setTimeout(flush, ms);
+
+			if (leading) call(this, args);
+			else pending = [this, args];
+		};
+	}
+
+	wrapper.listener = listener;
+
+	return { wrapper, cancel };
+}
@@ -0,0 +1,76 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { hasTiming, timed } from "./timing.js";
+
+suite("timed", () => {
+	test("should only accept one valid timing option", () => {
+		assert.strictEqual(hasTiming({ delay: 0 }), true, "Delay of 0 was not recognised");
+		assert.strictEqual(hasTiming({ leading: true }), false, "Options without timing were recognised");
+		assert.throws(() => timed(() => {}, { debounce: 1, throttle: 1 }), TypeError, "Two timing options were accepted");
+		assert.throws(() => timed(() => {}, { delay: -1 }), RangeError, "Negative delay was accepted");
+		assert.throws(() => timed(() => {}, { debounce: "10" }), RangeError, "String debounce was accepted");
+	});
+
+	test("should debounce calls", (t) => {
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+		const calls = [];
+		const { wrapper } = timed(value => calls.push(value), { debounce: 100 });
+
+		wrapper(1);
+		t.mock.timers.tick(50);
+		wrapper(2);
+		t.mock.timers.tick(99);
+		assert.deepStrictEqual(calls, [], "Debounced listener was called early");
+
+		t.mock.timers.tick(1);
+		assert.deepStrictEqual(calls, [2], "Debounced listener was not called with the last arguments");
+
+		const leading = timed(value => calls.push(value), { debounce: 100, leading: true, trailing: false }).wrapper;
+		leading(3);
+		leading(4);
+		t.mock.timers.tick(100);
+		assert.deepStrictEqual(calls, [2, 3], "Leading debounce was not called once at the start");
+	});
+
+	test("should throttle calls", (t) => {
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+		const calls = [];
+		const { wrapper } = timed(value => calls.push(value), { throttle: 100 });
+
+		wrapper(1);
+		wrapper(2);
+		wrapper(3);
+		assert.deepStrictEqual(calls, [1], "Leading call was not made");
+
+		t.mock.timers.tick(100);
+		assert.deepStrictEqual(calls, [1, 3], "Trailing call was not made with the last arguments");
+
+		t.mock.timers.tick(100);
+		wrapper(4);
+		assert.deepStrictEqual(calls, [1, 3, 4], "Listener was not called after the throttle ended");
+
+		const trailing = timed(value => calls.push(value), { throttle: 100, leading: false }).wrapper;
+		trailing(5);
+		trailing(6);
+		t.mock.timers.tick(100);
+		assert.deepStrictEqual(calls, [1, 3, 4, 6], "Throttle without leading call was not called once at the end");
+	});
+
+	test("should delay each call and cancel pending calls", (t) => {
+		t.mock.timers.enable({ apis: ["setTimeout"] });
+		const calls = [];
+		const listener = value => calls.push(value);
+		const { wrapper, cancel } = timed(listener, { delay: 10 });
+
+		wrapper(1);
+		wrapper(2);
+		t.mock.timers.tick(10);
+		assert.deepStrictEqual(calls, [1, 2], "Delayed calls were not made");
+
+		wrapper(3);
+		cancel();
+		t.mock.timers.tick(10);
+		assert.deepStrictEqual(calls, [1, 2], "Cancelled call was made");
+		assert.strictEqual(wrapper.listener, listener, "Wrapper does not refer to the original listener");
+	});
+});
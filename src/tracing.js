@@ -0,0 +1,130 @@
+import diagnostics_channel from "node:diagnostics_channel";
+
+/**
+ * The tracing channel that emits are published to. Its `start` and `end` events are published around each call to `emit()`,
+ * `error` when it throws, and for `emitSerial()`, `emitParallel()` and `emitAsync()`, `asyncStart` and `asyncEnd` when
+ * the returned promise settles. The context is an {@linkcode EmitContext}.
+ *
+ * @example
+ * ```js
+ * import diagnostics_channel from "node:diagnostics_channel";
+ *
+ * diagnostics_channel.tracingChannel("event-emitter-decorators:emit").subscribe({
+ *     start({ className, type, listenerCount }) {},
+ *     end(context) {},
+ *     asyncEnd(context) {},
+ *     error({ error }) {}
+ * });
+ * ```
+ */
+export const emitChannel = diagnostics_channel.tracingChannel("event-emitter-decorators:emit");
+
+/**
+ * The tracing channel that calls to methods and accessors decorated with `@emit` and `@emits` are published to,
+ * with a {@linkcode MethodContext}.
+ */
+export const methodChannel = diagnostics_channel.tracingChannel("event-emitter-decorators:method");
+
+/**
+ * The contexts of the decorated methods that are currently running, innermost last.
+ *
+ * @type {MethodContext[]}
+ */
+const _methods = [];
+
+/**
+ * @typedef {Object} EmitContext
+ * @property {object} emitter - The emitter the event was emitted on.
+ * @property {string} className - The name of the emitter's class.
+ * @property {string|symbol} type - The event type.
+ * @property {any[]} args - The arguments the event was emitted with.
+ * @property {number} listenerCount - The number of listeners when the event was emitted.
+ * @property {MethodContext} [parent] - The decorated method that emitted the event, if any.
+ * @property {any} [result] - The value returned by `emit()`, or that the returned promise was fulfilled with.
+ * @property {any} [error] - The error thrown by `emit()`, or that the returned promise rejected with.
+ */
+
+/**
+ * @typedef {Object} MethodContext
+ * @property {object} target - The object the method was called on.
+ * @property {string} className - The name of the object's class.
+ * @property {string|symbol} method - The name of the method or accessor.
+ * @property {"method"|"get"|"set"|"init"} kind - Whether a method was called, or an accessor was read, written or initialized.
+ * @property {string|symbol|Event|Function} event - The event the decorator emits.
+ * @property {any[]} args - The arguments the method was called with.
+ * @property {EmitContext[]} events - The contexts of the events emitted while the method was running.
+ * @property {any} [result] - The value returned by the method.
+ * @property {any} [error] - The error thrown by the method.
+ */
+
+/**
+ * @param {import("node:diagnostics_channel").TracingChannel} channel - The tracing channel to check.
+ * @returns {boolean} `true` if any of the channel's events have subscribers.
+ */
+function hasSubscribers(channel) {
+	return channel.start.hasSubscribers
+		|| channel.end.hasSubscribers
+		|| channel.asyncStart.hasSubscribers
+		|| channel.asyncEnd.hasSubscribers
+		|| channel.error.hasSubscribers;
+}
+
+/**
+ * Calls `emit`, publishing it to {@linkcode emitChannel} if it has subscribers. When nothing is subscribed,
+ * `emit` is called without creating a context. The `'newListener'` and `'removeListener'` events are not published.
+ *
+ * @template T
+ * @param {object} emitter - The emitter the event is emitted on.
+ * @param {string|symbol} type - The event type.
+ * @param {any[]} args - The arguments the event is emitted with.
+ * @param {() => T} emit - Emits the event.
+ * @param {boolean} [async=false] - Whether `emit` returns a promise.
+ * @returns {T} The value returned by `emit`.
+ */
+export function traceEmit(emitter, type, args, emit, async = false) {
+	if (!hasSubscribers(emitChannel) || type === "newListener" || type === "removeListener") return emit();
+
+	const parent = _methods.at(-1);
+
+	/** @type {EmitContext} */
+	const context = {
+		emitter,
+		className: emitter?.constructor?.name,
+		type,
+		args,
+		listenerCount: typeof emitter?.listenerCount === "function" ? emitter.listenerCount(type) : 0,
+		parent
+	};
+
+	parent?.events.push(context);
+
+	return async ? emitChannel.tracePromise(emit, context) : emitChannel.traceSync(emit, context);
+}
+
+/**
+ * Wraps a method or accessor function created by `@emit` or `@emits`, so that each call is published to
+ * {@linkcode methodChannel}, and the events it emits are linked to it through their `parent`.
+ *
+ * @param {Function} fn - The function to wrap.
+ * @param {object} details
+ * @param {string|symbol} details.name - The name of the method or accessor.
+ * @param {"method"|"get"|"set"|"init"} details.kind - The kind of call.
+ * @param {string|symbol|Event|Function} details.event - The event the decorator emits.
+ * @returns {Function} The wrapped function.
+ */
+export function traceMethod(fn, { name, kind, event }) {
+	return function (...args) {
+		if (!hasSubscribers(methodChannel) && !hasSubscribers(emitChannel)) return fn.apply(this, args);
+
+		/** @type {MethodContext} */
+		const context = { target: this, className: this?.constructor?.name, method: name, kind, event, args, events: [] };
+
+		_methods.push(context);
+
+		try {
+			return methodChannel.traceSync(fn, context, this, ...args);
+		} finally {
+			_methods.pop();
+		}
+	};
+}
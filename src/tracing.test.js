@@ -0,0 +1,138 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import diagnostics_channel from "node:diagnostics_channel";
+import { emitChannel, methodChannel, traceEmit, traceMethod } from "./tracing.js";
+import MixinEmitter from "./EventEmitter.js";
+
+/**
+ * Subscribes to every event of a tracing channel, recording them as `[name, context]` pairs.
+ *
+ * @param {string} name - The name of the tracing channel.
+ * @returns {{ published: [string, object][], unsubscribe: () => void }} The published events and a function that unsubscribes.
+ */
+function record(name) {
+	const published = [];
+	const handlers = Object.fromEntries(["start", "end", "asyncStart", "asyncEnd", "error"]
+		.map(event => [event, context => published.push([event, context])]));
+	const channel = diagnostics_channel.tracingChannel(name);
+
+	channel.subscribe(handlers);
+
+	return { published, unsubscribe: () => channel.unsubscribe(handlers) };
+}
+
+suite("tracing", () => {
+	test("should publish start and end for each emit with the class name, type and listener count", () => {
+		class Store extends MixinEmitter {}
+		const store = new Store();
+		store.on("change", () => {});
+		store.on("change", () => {});
+
+		const { published, unsubscribe } = record("event-emitter-decorators:emit");
+
+		try {
+			store.emit("change", 1);
+		} finally {
+			unsubscribe();
+		}
+
+		assert.deepStrictEqual(published.map(([event]) => event), ["start", "end"], "Start and end were not published");
+
+		const [[, context]] = published;
+		assert.strictEqual(context.emitter, store, "Context does not have the emitter");
+		assert.strictEqual(context.className, "Store", "Context does not have the class name");
+		assert.strictEqual(context.type, "change", "Context does not have the event type");
+		assert.deepStrictEqual(context.args, [1], "Context does not have the arguments");
+		assert.strictEqual(context.listenerCount, 2, "Context does not have the listener count");
+		assert.strictEqual(context.result, true, "Context does not have the result of emit()");
+	});
+
+	test("should publish error when emit throws", () => {
+		const emitter = new MixinEmitter();
+		const error = new Error("Listener failed");
+		emitter.on("event", () => { throw error; });
+
+		const { published, unsubscribe } = record("event-emitter-decorators:emit");
+
+		try {
+			assert.throws(() => emitter.emit("event"), error, "Error was not re-thrown");
+		} finally {
+			unsubscribe();
+		}
+
+		assert.deepStrictEqual(published.map(([event]) => event), ["start", "error", "end"], "Error was not published");
+		assert.strictEqual(published[1][1].error, error, "Context does not have the error");
+	});
+
+	test("should publish asyncEnd once emitSerial and emitParallel settle", async () => {
+		const emitter = new MixinEmitter();
+		emitter.on("event", async value => value * 2);
+
+		const { published, unsubscribe } = record("event-emitter-decorators:emit");
+
+		try {
+			assert.deepStrictEqual(await emitter.emitSerial("event", 1), [2], "emitSerial() did not resolve with the results");
+			assert.deepStrictEqual(await emitter.emitParallel("event", 2), [4], "emitParallel() did not resolve with the results");
+		} finally {
+			unsubscribe();
+		}
+
+		const ends = published.filter(([event]) => event === "asyncEnd").map(([, context]) => context.result);
+		assert.deepStrictEqual(ends, [[2], [4]], "asyncEnd was not published with the results");
+	});
+
+	test("should not publish newListener and removeListener", () => {
+		const emitter = new MixinEmitter();
+		const { published, unsubscribe } = record("event-emitter-decorators:emit");
+
+		try {
+			const listener = () => {};
+			emitter.on("event", listener);
+			emitter.off("event", listener);
+		} finally {
+			unsubscribe();
+		}
+
+		assert.deepStrictEqual(published, [], "Listener events were published");
+	});
+
+	test("should call emit and the method directly without subscribers", () => {
+		assert.strictEqual(emitChannel.start.hasSubscribers, false, "Emit channel has subscribers");
+		assert.strictEqual(methodChannel.start.hasSubscribers, false, "Method channel has subscribers");
+
+		const emitter = { listenerCount: () => assert.fail("Listener count was read without subscribers") };
+		assert.strictEqual(traceEmit(emitter, "event", [], () => "emitted"), "emitted", "Emit result was not returned");
+
+		const target = { value: 1 };
+		const method = traceMethod(function (add) { return this.value + add; }, { name: "add", kind: "method", event: "added" });
+		assert.strictEqual(method.call(target, 2), 3, "Method was not called with its receiver and arguments");
+	});
+
+	test("should link events emitted by traced methods to their span", () => {
+		const emitter = new MixinEmitter();
+		const save = traceMethod(function (value) {
+			this.emit("saving", value);
+			this.emit("saved", value);
+			return value;
+		}, { name: "save", kind: "method", event: "saved" });
+
+		const methods = record("event-emitter-decorators:method");
+		const emits = record("event-emitter-decorators:emit");
+
+		try {
+			save.call(emitter, 1);
+		} finally {
+			methods.unsubscribe();
+			emits.unsubscribe();
+		}
+
+		const [[, span]] = methods.published;
+		assert.strictEqual(span.method, "save", "Span does not have the method name");
+		assert.strictEqual(span.target, emitter, "Span does not have the target");
+		assert.strictEqual(span.result, 1, "Span does not have the result");
+		assert.deepStrictEqual(span.events.map(context => context.type), ["saving", "saved"], "Span does not list the events");
+
+		const starts = emits.published.filter(([event]) => event === "start");
+		assert.ok(starts.every(([, context]) => context.parent === span), "Events are not linked to the span");
+	});
+});
@@ -0,0 +1,76 @@
+/**
+ * Runs the cleanup function registered for each weakly held listener or receiver once it is garbage collected.
+ */
+const _finalizer = new FinalizationRegistry(({ onCollected, wrapper }) => onCollected(wrapper));
+
+/**
+ * Wraps a listener so that the emitter it is added to only holds it weakly. If a `receiver` is given,
+ * the listener is called on the receiver and only the receiver is held weakly, so the listener itself
+ * must not refer to it, for example by being bound to it. Otherwise the listener is held weakly and
+ * something else must keep it alive for as long as it should be called.
+ *
+ * `onCollected` is called with the wrapper when the weakly held object is garbage collected, or when the wrapper
+ * is called after that has happened, and should remove the wrapper from the emitter. It must not refer to the
+ * weakly held object.
+ *
+ * @example
+ * ```js
+ * const { wrapper } = weakListener(Widget.prototype.update, widget, wrapper => source.off("change", wrapper));
+ * source.on("change", wrapper);
+ * ```
+ *
+ * @param {Function} listener - The listener to wrap.
+ * @param {object} [receiver] - The object to call the listener on.
+ * @param {(wrapper: Function) => void} onCollected - Removes the wrapper once the listener or receiver has been collected.
+ * @returns {{ wrapper: Function, ref: WeakRef, unregister: () => void }} The wrapper, a reference to the object
+ * that is held weakly, and a function that stops watching for it to be collected once the wrapper has been removed.
+ */
+export function weakListener(listener, receiver, onCollected) {
+	if (receiver !== undefined && (receiver === null || (typeof receiver !== "object" && typeof receiver !== "function"))) {
+		throw new TypeError(`The "receiver" option must be an object. Received ${receiver === null ? "null" : `type ${typeof receiver}`}`);
+	}
+
+	const target = receiver ?? listener;
+	const ref = new WeakRef(target);
+	const wrapper = receiver === undefined ? callWeak(ref, onCollected) : callOnWeak(ref, listener, onCollected);
+
+	_finalizer.register(target, { onCollected, wrapper }, wrapper);
+
+	return { wrapper, ref, unregister: () => _finalizer.unregister(wrapper) };
+}
+
+/**
+ * Creates the wrapper for a weakly held listener. This is kept separate from {@linkcode weakListener}
+ * so that the wrapper cannot refer to the listener through the enclosing scope.
+ *
+ * @param {WeakRef<Function>} ref - A reference to the listener.
+ * @param {(wrapper: Function) => void} onCollected - Called instead of the listener once it has been collected.
+ * @returns {Function} The wrapper.
+ */
+function callWeak(ref, onCollected) {
+	return function wrapper(...args) {
+		const listener = ref.deref();
+		if (listener === undefined) return void onCollected(wrapper);
+
+		return listener.apply(this, args);
+	};
+}
+
+/**
+ * Creates the wrapper for a listener called on a weakly held receiver.
+ *
+ * @param {WeakRef<object>} ref - A reference to the receiver.
+ * @param {Function} listener - The listener to call on the receiver.
+ * @param {(wrapper: Function) => void} onCollected - Called instead of the listener once the receiver has been collected.
+ * @returns {Function} The wrapper.
+ */
+function callOnWeak(ref, listener, onCollected) {
+	return function wrapper(...args) {
+		const receiver = ref.deref();
+		if (receiver === undefined) return void onCollected(wrapper);
+
+		return listener.apply(receiver, args);
+	};
+}
+
+export default weakListener;
@@ -0,0 +1,48 @@
+import { suite, test } from "node:test";
+import assert from "node:assert";
+import { weakListener } from "./weak.js";
+
+/**
+ * Runs garbage collection until finalizers have had a chance to run.
+ */
+async function collect() {
+	for (let i = 0; i < 5; i++) {
+		await new Promise(resolve => setImmediate(resolve));
+		global.gc();
+	}
+
+	await new Promise(resolve => setImmediate(resolve));
+}
+
+suite("weakListener", () => {
+	test("should call the listener on the receiver", () => {
+		const receiver = { calls: [] };
+		const { wrapper, ref } = weakListener(function (value) { this.calls.push(value); }, receiver, () => {});
+
+		wrapper(1);
+		assert.deepStrictEqual(receiver.calls, [1], "Listener was not called on the receiver");
+		assert.strictEqual(ref.deref(), receiver, "Reference does not point to the receiver");
+		assert.throws(() => weakListener(() => {}, 42, () => {}), TypeError, "Primitive receiver was accepted");
+	});
+
+	test("should report when the receiver is collected", { skip: !global.gc && "requires --expose-gc" }, async () => {
+		const collected = [];
+		const { wrapper } = (() => weakListener(() => {}, {}, fn => collected.push(fn)))();
+
+		await collect();
+
+		assert.deepStrictEqual(collected, [wrapper], "Collection of the receiver was not reported");
+		wrapper();
+		assert.deepStrictEqual(collected, [wrapper, wrapper], "Calling the wrapper after collection was not reported");
+	});
+
+	test("should not report collection after unregistering", { skip: !global.gc && "requires --expose-gc" }, async () => {
+		const collected = [];
+		const { unregister } = (() => weakListener(() => {}, undefined, fn => collected.push(fn)))();
+
+		unregister();
+		await collect();
+
+		assert.deepStrictEqual(collected, [], "Collection was reported after unregistering");
+	});
+});